@@ -8,6 +8,7 @@ import Sidebar from './components/Sidebar';
 import Dashboard from './pages/Dashboard';
 import TranscriptionPage from './pages/TranscriptionPage';
 import HistoryPage from './pages/HistoryPage';
+import TranscriptionDetailPage from './pages/TranscriptionDetailPage';
 import SettingsPage from './pages/SettingsPage';
 import LoginPage from './pages/LoginPage';
 
@@ -77,6 +78,25 @@ function App() {
             </ProtectedRoute>
           } />
 
+          <Route path="/transcription/:id" element={
+            <ProtectedRoute>
+              <div className="min-h-screen bg-gray-50">
+                <Header onMenuClick={() => setSidebarOpen(!sidebarOpen)} />
+                <div className="flex">
+                  <Sidebar isOpen={sidebarOpen} onClose={() => setSidebarOpen(false)} />
+                  <motion.main
+                    className="flex-1 p-6 lg:ml-64"
+                    initial={{ opacity: 0, y: 20 }}
+                    animate={{ opacity: 1, y: 0 }}
+                    transition={{ duration: 0.5 }}
+                  >
+                    <TranscriptionDetailPage />
+                  </motion.main>
+                </div>
+              </div>
+            </ProtectedRoute>
+          } />
+
           <Route path="/settings" element={
             <ProtectedRoute>
               <div className="min-h-screen bg-gray-50">
@@ -0,0 +1,64 @@
+// Settings value that asks for the spoken language to be detected before transcribing
+export const AUTO_DETECT_LANGUAGE = 'auto';
+
+// ISO 639-2 code stored when the language was meant to be detected but could not be
+export const UNDETERMINED_LANGUAGE = 'und';
+
+// iso639_2 is the bibliographic three-letter code that MP4 and Matroska use to tag tracks
+export const LANGUAGES = [
+  { code: 'en-US', name: 'English (US)', iso639_2: 'eng' },
+  { code: 'en-GB', name: 'English (UK)', iso639_2: 'eng' },
+  { code: 'es-ES', name: 'Spanish', iso639_2: 'spa' },
+  { code: 'fr-FR', name: 'French', iso639_2: 'fre' },
+  { code: 'de-DE', name: 'German', iso639_2: 'ger' },
+  { code: 'ja-JP', name: 'Japanese', iso639_2: 'jpn' },
+  { code: 'zh-CN', name: 'Chinese (Simplified)', iso639_2: 'chi' },
+  { code: 'hi-IN', name: 'Hindi', iso639_2: 'hin' },
+  { code: 'ar-SA', name: 'Arabic', iso639_2: 'ara' },
+  { code: 'ru-RU', name: 'Russian', iso639_2: 'rus' },
+  { code: 'pt-BR', name: 'Portuguese (Brazil)', iso639_2: 'por' },
+  { code: 'it-IT', name: 'Italian', iso639_2: 'ita' }
+];
+
+/**
+ * Find a language by its code, matching on the primary subtag when there is no exact match
+ * @param {string} code - Language code such as en-US or en
+ * @returns {Object|null} - Language or null if unknown
+ */
+export const findLanguage = (code) => {
+  if (!code) return null;
+  const lower = code.toLowerCase();
+  return LANGUAGES.find(language => language.code.toLowerCase() === lower)
+    || LANGUAGES.find(language => language.code.split('-')[0].toLowerCase() === lower.split('-')[0])
+    || null;
+};
+
+/**
+ * Get the display name of a language code
+ * @param {string} code - Language code
+ * @returns {string} - Language name, or the code itself if unknown
+ */
+export const getLanguageName = (code) => {
+  if (code === AUTO_DETECT_LANGUAGE) return 'Auto-detect';
+  if (code === UNDETERMINED_LANGUAGE) return 'Undetermined';
+  const language = findLanguage(code);
+  return language ? language.name : code || 'Unknown';
+};
+
+/**
+ * Map a language reported by a speech model to a language code, e.g. "es" or "spanish" to es-ES
+ * @param {string} value - ISO-639-1 code or English language name
+ * @returns {string|null} - Code from LANGUAGES, the ISO-639-1 code for other languages, or null if unrecognized
+ */
+export const resolveDetectedLanguage = (value) => {
+  if (!value || typeof value !== 'string') return null;
+  const lower = value.trim().toLowerCase();
+
+  if (/^[a-z]{2,3}$/.test(lower)) {
+    const language = findLanguage(lower);
+    return language ? language.code : lower;
+  }
+
+  const byName = LANGUAGES.find(language => language.name.toLowerCase().split(' (')[0] === lower);
+  return byName ? byName.code : null;
+};
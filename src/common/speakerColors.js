@@ -0,0 +1,38 @@
+// Full class names are listed so Tailwind keeps them in the build
+const SPEAKER_COLORS = [
+  { badge: 'bg-blue-100 text-blue-800', border: 'border-l-blue-400', dot: 'bg-blue-400' },
+  { badge: 'bg-green-100 text-green-800', border: 'border-l-green-400', dot: 'bg-green-400' },
+  { badge: 'bg-purple-100 text-purple-800', border: 'border-l-purple-400', dot: 'bg-purple-400' },
+  { badge: 'bg-orange-100 text-orange-800', border: 'border-l-orange-400', dot: 'bg-orange-400' },
+  { badge: 'bg-pink-100 text-pink-800', border: 'border-l-pink-400', dot: 'bg-pink-400' },
+  { badge: 'bg-teal-100 text-teal-800', border: 'border-l-teal-400', dot: 'bg-teal-400' }
+];
+
+const NO_SPEAKER_COLOR = { badge: 'bg-gray-100 text-gray-700', border: 'border-l-gray-200', dot: 'bg-gray-300' };
+
+/**
+ * List the distinct speakers in order of first appearance
+ * @param {Array} segments - Transcription segments
+ * @returns {Array} - Speaker labels
+ */
+export const getSpeakers = (segments = []) => {
+  const speakers = [];
+  segments.forEach(segment => {
+    if (segment && segment.speaker && !speakers.includes(segment.speaker)) {
+      speakers.push(segment.speaker);
+    }
+  });
+  return speakers;
+};
+
+/**
+ * Get the Tailwind classes used to color a speaker consistently
+ * @param {string} speaker - Speaker label
+ * @param {Array} speakers - All speakers, from getSpeakers
+ * @returns {Object} - { badge, border, dot } class names
+ */
+export const getSpeakerColor = (speaker, speakers = []) => {
+  const index = speakers.indexOf(speaker);
+  if (!speaker || index === -1) return NO_SPEAKER_COLOR;
+  return SPEAKER_COLORS[index % SPEAKER_COLORS.length];
+};
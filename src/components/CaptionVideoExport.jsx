@@ -0,0 +1,309 @@
+import React, { useState, useMemo } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { saveAs } from 'file-saver';
+import SafeIcon from '../common/SafeIcon';
+import * as FiIcons from 'react-icons/fi';
+import { renderCaptionedVideo, getCaptionVideoFormats } from '../services/compressionService';
+import { getCaptionPresets, DEFAULT_CAPTION_PRESET } from '../services/captionReflowService';
+import {
+  getCaptionOverlayStyle,
+  saveCaptionStyle,
+  CAPTION_FONTS,
+  CAPTION_SIZES,
+  CAPTION_POSITIONS
+} from '../services/captionStyleService';
+
+const { FiX, FiFilm, FiLoader, FiCheck, FiAlertTriangle } = FiIcons;
+
+const PREVIEW_HEIGHT = 200;
+
+const selectClassName = 'w-full border border-gray-200 rounded-lg px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-primary-500';
+
+const CaptionVideoExport = ({ isOpen, onClose, videoFile, transcriptionData, captionStyle, onCaptionStyleChange }) => {
+  const formats = useMemo(() => getCaptionVideoFormats(), []);
+  const [format, setFormat] = useState(formats.length > 0 ? formats[0].value : null);
+  const [captionOptions, setCaptionOptions] = useState({ preset: DEFAULT_CAPTION_PRESET, speakerPrefix: false });
+  const [isRendering, setIsRendering] = useState(false);
+  const [progress, setProgress] = useState(0);
+  const [progressStage, setProgressStage] = useState('');
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+
+  // Style changes are saved right away so the player overlay shows the same captions
+  const handleStyleChange = (field, value) => {
+    onCaptionStyleChange(saveCaptionStyle({ ...captionStyle, [field]: value }));
+  };
+
+  const handleRender = async () => {
+    setIsRendering(true);
+    setError(null);
+    setResult(null);
+    setProgress(0);
+
+    try {
+      const rendered = await renderCaptionedVideo(
+        videoFile,
+        transcriptionData,
+        { format, style: captionStyle, captionOptions },
+        (percent, stage) => {
+          setProgress(Math.round(percent));
+          setProgressStage(stage);
+        }
+      );
+      const filename = `${videoFile.name.split('.')[0]}_captioned.${rendered.extension}`;
+      saveAs(rendered.blob, filename);
+      setResult({ filename, size: rendered.blob.size });
+    } catch (err) {
+      console.error('Captioned video export failed:', err);
+      setError(err.message || 'Failed to render the captioned video.');
+    } finally {
+      setIsRendering(false);
+    }
+  };
+
+  const handleClose = () => {
+    if (isRendering) return;
+    setResult(null);
+    setError(null);
+    onClose();
+  };
+
+  if (!isOpen) return null;
+
+  const previewStyle = getCaptionOverlayStyle(captionStyle, PREVIEW_HEIGHT);
+  const previewText = (transcriptionData.find(segment => segment.text) || {}).text || 'Your captions will look like this.';
+  const previewPosition = {
+    top: 'top-3',
+    middle: 'inset-y-0 flex items-center',
+    bottom: 'bottom-3'
+  }[captionStyle.position];
+
+  return (
+    <AnimatePresence>
+      <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+        <motion.div
+          initial={{ opacity: 0, scale: 0.9 }}
+          animate={{ opacity: 1, scale: 1 }}
+          exit={{ opacity: 0, scale: 0.9 }}
+          className="bg-white rounded-xl shadow-xl w-full max-w-2xl max-h-[90vh] overflow-y-auto"
+        >
+          {/* Header */}
+          <div className="flex items-center justify-between p-6 border-b border-gray-100">
+            <div>
+              <h3 className="text-xl font-semibold text-gray-900">Burn In Captions</h3>
+              <p className="text-sm text-gray-600 mt-1">
+                Download a copy of the video with the transcript drawn onto the picture
+              </p>
+            </div>
+            <button
+              onClick={handleClose}
+              disabled={isRendering}
+              className="p-2 hover:bg-gray-100 rounded-lg transition-colors"
+            >
+              <SafeIcon icon={FiX} className="w-5 h-5 text-gray-500" />
+            </button>
+          </div>
+
+          {/* Content */}
+          <div className="p-6 space-y-6">
+            {/* Preview */}
+            <div
+              className="relative w-full rounded-lg overflow-hidden bg-gradient-to-br from-gray-700 to-gray-900"
+              style={{ height: PREVIEW_HEIGHT }}
+            >
+              <div className={`absolute ${previewPosition} left-3 right-3`}>
+                <div className="w-full rounded-lg" style={previewStyle.box}>
+                  <p style={previewStyle.text} className="line-clamp-2">{previewText}</p>
+                </div>
+              </div>
+            </div>
+
+            {/* Appearance */}
+            <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+              <div>
+                <label className="block text-xs font-medium text-gray-700 mb-1">Font</label>
+                <select
+                  value={captionStyle.fontFamily}
+                  onChange={(e) => handleStyleChange('fontFamily', e.target.value)}
+                  className={selectClassName}
+                >
+                  {Object.entries(CAPTION_FONTS).map(([value, font]) => (
+                    <option key={value} value={value}>{font.name}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-xs font-medium text-gray-700 mb-1">Size</label>
+                <select
+                  value={captionStyle.fontSize}
+                  onChange={(e) => handleStyleChange('fontSize', e.target.value)}
+                  className={selectClassName}
+                >
+                  {Object.entries(CAPTION_SIZES).map(([value, size]) => (
+                    <option key={value} value={value}>{size.name}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-xs font-medium text-gray-700 mb-1">Position</label>
+                <select
+                  value={captionStyle.position}
+                  onChange={(e) => handleStyleChange('position', e.target.value)}
+                  className={selectClassName}
+                >
+                  {Object.entries(CAPTION_POSITIONS).map(([value, name]) => (
+                    <option key={value} value={value}>{name}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-xs font-medium text-gray-700 mb-1">Alignment</label>
+                <select
+                  value={captionStyle.textAlign}
+                  onChange={(e) => handleStyleChange('textAlign', e.target.value)}
+                  className={selectClassName}
+                >
+                  <option value="left">Left</option>
+                  <option value="center">Center</option>
+                </select>
+              </div>
+              <div>
+                <label className="block text-xs font-medium text-gray-700 mb-1">Text color</label>
+                <input
+                  type="color"
+                  value={captionStyle.textColor}
+                  onChange={(e) => handleStyleChange('textColor', e.target.value)}
+                  className="w-full h-8 border border-gray-200 rounded-lg cursor-pointer"
+                />
+              </div>
+              <div>
+                <label className="block text-xs font-medium text-gray-700 mb-1">Background</label>
+                <input
+                  type="color"
+                  value={captionStyle.backgroundColor}
+                  onChange={(e) => handleStyleChange('backgroundColor', e.target.value)}
+                  className="w-full h-8 border border-gray-200 rounded-lg cursor-pointer"
+                />
+              </div>
+              <div className="col-span-2">
+                <label className="block text-xs font-medium text-gray-700 mb-1">
+                  Background opacity: {Math.round(captionStyle.backgroundOpacity * 100)}%
+                  {captionStyle.backgroundOpacity === 0 && ' (outlined text)'}
+                </label>
+                <input
+                  type="range"
+                  min="0"
+                  max="1"
+                  step="0.05"
+                  value={captionStyle.backgroundOpacity}
+                  onChange={(e) => handleStyleChange('backgroundOpacity', parseFloat(e.target.value))}
+                  className="w-full"
+                />
+              </div>
+            </div>
+
+            {/* Timing and output */}
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+              <div className="sm:col-span-2">
+                <label className="block text-xs font-medium text-gray-700 mb-1">Caption standard</label>
+                <select
+                  value={captionOptions.preset}
+                  onChange={(e) => setCaptionOptions(prev => ({ ...prev, preset: e.target.value }))}
+                  className={selectClassName}
+                >
+                  {getCaptionPresets().map(preset => (
+                    <option key={preset.id} value={preset.id}>
+                      {preset.name} ({preset.maxLineLength} chars/line, {preset.maxCharsPerSecond} chars/sec)
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-xs font-medium text-gray-700 mb-1">Video format</label>
+                <select
+                  value={format || ''}
+                  onChange={(e) => setFormat(e.target.value)}
+                  disabled={formats.length === 0}
+                  className={selectClassName}
+                >
+                  {formats.map(item => (
+                    <option key={item.value} value={item.value}>{item.label}</option>
+                  ))}
+                </select>
+              </div>
+              <label className="flex items-center space-x-2 text-xs font-medium text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={captionOptions.speakerPrefix}
+                  onChange={(e) => setCaptionOptions(prev => ({ ...prev, speakerPrefix: e.target.checked }))}
+                  className="w-4 h-4 text-primary-600 rounded focus:ring-primary-500"
+                />
+                <span>Speaker names</span>
+              </label>
+            </div>
+
+            {formats.length === 0 && (
+              <div className="p-3 bg-amber-50 border border-amber-200 text-amber-800 rounded-lg text-sm">
+                This browser cannot record video. Please try a recent version of Chrome, Edge, Firefox or Safari.
+              </div>
+            )}
+
+            <p className="text-xs text-gray-500">
+              The video is played back and recorded in real time, so rendering takes as long as the video.
+              Keep this tab open and visible until it finishes.
+            </p>
+
+            {isRendering && (
+              <div>
+                <div className="flex justify-between text-sm text-gray-600 mb-1">
+                  <span>{progressStage}</span>
+                  <span>{progress}%</span>
+                </div>
+                <div className="w-full bg-gray-200 rounded-full h-2">
+                  <div className="bg-primary-500 h-2 rounded-full transition-all" style={{ width: `${progress}%` }} />
+                </div>
+              </div>
+            )}
+
+            {result && (
+              <div className="flex items-center space-x-2 p-3 bg-green-50 border border-green-200 text-green-700 rounded-lg text-sm">
+                <SafeIcon icon={FiCheck} className="w-4 h-4" />
+                <span>{result.filename} downloaded ({(result.size / (1024 * 1024)).toFixed(1)} MB)</span>
+              </div>
+            )}
+
+            {error && (
+              <div className="flex items-start space-x-2 p-3 bg-red-50 border border-red-200 text-red-700 rounded-lg text-sm">
+                <SafeIcon icon={FiAlertTriangle} className="w-4 h-4 mt-0.5 flex-shrink-0" />
+                <span>{error}</span>
+              </div>
+            )}
+          </div>
+
+          {/* Footer */}
+          <div className="flex items-center justify-end space-x-3 p-6 border-t border-gray-100 bg-gray-50 rounded-b-xl">
+            <button
+              onClick={handleClose}
+              disabled={isRendering}
+              className="px-4 py-2 text-gray-700 hover:text-gray-900 transition-colors"
+            >
+              Close
+            </button>
+            <motion.button
+              whileHover={{ scale: isRendering ? 1 : 1.02 }}
+              whileTap={{ scale: isRendering ? 1 : 0.98 }}
+              onClick={handleRender}
+              disabled={isRendering || !format || transcriptionData.length === 0}
+              className="flex items-center space-x-2 px-6 py-2 rounded-lg font-medium bg-primary-500 text-white hover:bg-primary-600 transition-colors disabled:bg-gray-300 disabled:text-gray-500 disabled:cursor-not-allowed"
+            >
+              <SafeIcon icon={isRendering ? FiLoader : FiFilm} className={`w-4 h-4 ${isRendering ? 'animate-spin' : ''}`} />
+              <span>{isRendering ? 'Rendering...' : 'Render Video'}</span>
+            </motion.button>
+          </div>
+        </motion.div>
+      </div>
+    </AnimatePresence>
+  );
+};
+
+export default CaptionVideoExport;
@@ -1,21 +1,79 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import SafeIcon from '../common/SafeIcon';
 import * as FiIcons from 'react-icons/fi';
-import { exportTranscription } from '../services/exportService';
+import ExportTemplateEditor from './ExportTemplateEditor';
+import { exportTranscription, exportBundle, buildExportPreview, findPdfUnsupportedScript, DEFAULT_TRANSCRIPT_LAYOUT } from '../services/exportService';
+import { getCaptionPresets, CAPTION_PRESETS, DEFAULT_CAPTION_PRESET } from '../services/captionReflowService';
+import {
+  getExportTemplates,
+  saveExportTemplate,
+  deleteExportTemplate,
+  DEFAULT_EXPORT_TEMPLATE
+} from '../services/exportTemplateService';
+import {
+  summarizeTranscript,
+  extractiveSummarize,
+  getSummarySettings,
+  SUMMARY_LENGTHS,
+  SUMMARY_STYLES
+} from '../services/summarizationService';
+import { countUntranslatedSegments } from '../services/translationService';
+import { getLanguageName } from '../common/languages';
 
-const { FiDownload, FiX, FiCheck, FiLoader, FiFileText, FiFile, FiCode } = FiIcons;
+const { FiDownload, FiX, FiCheck, FiLoader, FiFileText, FiFile, FiCode, FiMessageSquare, FiArchive, FiLayout, FiEye, FiEdit2, FiPlus, FiAlertTriangle } = FiIcons;
 
-const ExportModal = ({ isOpen, onClose, transcriptionData, videoFileName }) => {
+// The preview only needs enough segments to show the layout
+const PREVIEW_SEGMENT_LIMIT = 20;
+
+const ExportModal = ({ isOpen, onClose, transcriptionData, videoFileName, metadata, translations = [] }) => {
   const [selectedExports, setSelectedExports] = useState({
     full: { enabled: true, format: 'txt' },
     summary: { enabled: true, format: 'txt' },
-    keypoints: { enabled: true, format: 'txt' }
+    keypoints: { enabled: true, format: 'txt' },
+    captions: { enabled: false, format: 'srt' }
+  });
+  const [captionOptions, setCaptionOptions] = useState({
+    preset: DEFAULT_CAPTION_PRESET,
+    maxLineLength: CAPTION_PRESETS[DEFAULT_CAPTION_PRESET].maxLineLength,
+    maxLines: CAPTION_PRESETS[DEFAULT_CAPTION_PRESET].maxLines,
+    speakerPrefix: false
   });
+  const [transcriptLayout, setTranscriptLayout] = useState(DEFAULT_TRANSCRIPT_LAYOUT);
+  const [bundleOptions, setBundleOptions] = useState({ enabled: false, includeManifest: true });
+  const [summaryOptions, setSummaryOptions] = useState(getSummarySettings);
+  const [bilingualLanguage, setBilingualLanguage] = useState('');
+  const [templates, setTemplates] = useState([]);
+  const [selectedTemplateId, setSelectedTemplateId] = useState(null);
+  const [templateDraft, setTemplateDraft] = useState(null);
+  const [isSavingTemplate, setIsSavingTemplate] = useState(false);
+  const [templateError, setTemplateError] = useState(null);
+  const [showPreview, setShowPreview] = useState(false);
   const [isExporting, setIsExporting] = useState(false);
   const [exportResults, setExportResults] = useState([]);
   const [error, setError] = useState(null);
 
+  // Load the user's saved templates and preselect their default one
+  useEffect(() => {
+    if (!isOpen) return;
+
+    let cancelled = false;
+    getExportTemplates()
+      .then(list => {
+        if (cancelled) return;
+        setTemplates(list);
+        const defaultTemplate = list.find(template => template.isDefault);
+        setSelectedTemplateId(defaultTemplate ? defaultTemplate.id : null);
+      })
+      .catch(() => {
+        if (!cancelled) setTemplateError('Saved templates could not be loaded. The default template will be used.');
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [isOpen]);
+
   const exportTypes = [
     {
       key: 'full',
@@ -37,15 +95,78 @@ const ExportModal = ({ isOpen, onClose, transcriptionData, videoFileName }) => {
       description: 'Bullet points of important topics',
       icon: FiCode,
       color: 'purple'
+    },
+    {
+      key: 'captions',
+      title: 'Subtitles',
+      description: 'Timed captions for video players and editing software',
+      icon: FiMessageSquare,
+      color: 'orange'
     }
   ];
 
   const fileFormats = [
     { value: 'txt', label: 'Text (.txt)', icon: '📄' },
     { value: 'html', label: 'HTML (.html)', icon: '🌐' },
-    { value: 'docx', label: 'Word (.docx)', icon: '📝' }
+    { value: 'docx', label: 'Word (.docx)', icon: '📝' },
+    { value: 'md', label: 'Markdown (.md)', icon: '📑' },
+    { value: 'pdf', label: 'PDF (.pdf)', icon: '📕' }
+  ];
+
+  // Structured data formats only make sense for the segment-level transcript
+  const dataFormats = [
+    { value: 'json', label: 'JSON (.json)', icon: '🧩' },
+    { value: 'csv', label: 'CSV (.csv)', icon: '📊' }
+  ];
+
+  const subtitleFormats = [
+    { value: 'srt', label: 'SubRip (.srt)', icon: '🎬' },
+    { value: 'vtt', label: 'WebVTT (.vtt)', icon: '🎞️' },
+    { value: 'ttml', label: 'TTML/DFXP (.ttml)', icon: '📺' }
   ];
 
+  // Checked once per transcript since the text can be long. Speaker names, the title and the
+  // file name end up in the PDF as headings and header details, so they are checked as well.
+  const pdfUnsupportedScript = useMemo(
+    () => findPdfUnsupportedScript([
+      videoFileName,
+      metadata?.title,
+      ...(transcriptionData || []).flatMap(segment => [segment.speaker, segment.text])
+    ].filter(Boolean).join('\n')),
+    [transcriptionData, videoFileName, metadata]
+  );
+
+  const getFormats = (exportType) => {
+    if (exportType === 'captions') return subtitleFormats;
+    if (exportType === 'full') return [...fileFormats, ...dataFormats];
+    return fileFormats;
+  };
+
+  // A preset brings its own line rules, which can then be fine-tuned
+  const handleCaptionPresetChange = (presetId) => {
+    const preset = CAPTION_PRESETS[presetId];
+    setCaptionOptions(prev => ({
+      ...prev,
+      preset: presetId,
+      maxLineLength: preset.maxLineLength,
+      maxLines: preset.maxLines
+    }));
+  };
+
+  const handleLayoutChange = (option, value) => {
+    setTranscriptLayout(prev => ({
+      ...prev,
+      [option]: value
+    }));
+  };
+
+  const handleCaptionOptionChange = (option, value) => {
+    setCaptionOptions(prev => ({
+      ...prev,
+      [option]: value
+    }));
+  };
+
   const handleExportToggle = (exportType) => {
     setSelectedExports(prev => ({
       ...prev,
@@ -66,40 +187,151 @@ const ExportModal = ({ isOpen, onClose, transcriptionData, videoFileName }) => {
     }));
   };
 
+  const selectedTemplate = templates.find(template => template.id === selectedTemplateId) || DEFAULT_EXPORT_TEMPLATE;
+  // While a template is being edited, exports and the preview use the unsaved changes
+  const activeTemplate = templateDraft || selectedTemplate;
+
+  const templatedExports = Object.entries(selectedExports)
+    .filter(([exportType, config]) => config.enabled && exportType !== 'captions' && ['html', 'docx'].includes(config.format))
+    .map(([exportType]) => exportType);
+
+  const handleSaveTemplate = async () => {
+    setIsSavingTemplate(true);
+    setTemplateError(null);
+
+    try {
+      const saved = await saveExportTemplate(templateDraft);
+      setTemplates(prev => {
+        const others = prev
+          .filter(template => template.id !== saved.id)
+          .map(template => (saved.isDefault ? { ...template, isDefault: false } : template));
+        return [...others, saved].sort((a, b) => a.name.localeCompare(b.name));
+      });
+      setSelectedTemplateId(saved.id);
+      setTemplateDraft(null);
+    } catch (err) {
+      setTemplateError(err.message || 'Failed to save the template.');
+    } finally {
+      setIsSavingTemplate(false);
+    }
+  };
+
+  const handleDeleteTemplate = async () => {
+    if (!window.confirm(`Delete the "${templateDraft.name}" template?`)) return;
+
+    setIsSavingTemplate(true);
+    setTemplateError(null);
+
+    try {
+      await deleteExportTemplate(templateDraft.id);
+      setTemplates(prev => prev.filter(template => template.id !== templateDraft.id));
+      setSelectedTemplateId(null);
+      setTemplateDraft(null);
+    } catch (err) {
+      setTemplateError(err.message || 'Failed to delete the template.');
+    } finally {
+      setIsSavingTemplate(false);
+    }
+  };
+
+  const getBaseFilename = () => (videoFileName ? videoFileName.split('.')[0] : 'transcription');
+
+  const bilingualTranslation = translations.find(translation => translation.language === bilingualLanguage);
+  const supportsBilingual = ['srt', 'vtt'].includes(selectedExports.captions.format);
+  const untranslatedCount = bilingualTranslation ? countUntranslatedSegments(transcriptionData, bilingualTranslation.segments) : 0;
+
+  const getExportOptions = () => ({
+    ...captionOptions,
+    layout: transcriptLayout,
+    metadata: { fileName: videoFileName, ...metadata },
+    template: activeTemplate,
+    summaryOptions,
+    translation: supportsBilingual && bilingualTranslation ? bilingualTranslation.segments : null
+  });
+
+  // Summaries can come from an LLM, so they are computed once and shared by the summary and key points exports
+  const getSummary = async () => {
+    try {
+      return { summary: await summarizeTranscript(transcriptionData, summaryOptions) };
+    } catch (err) {
+      console.error('Summarization failed, using the local summarizer:', err);
+      return {
+        summary: extractiveSummarize(transcriptionData, summaryOptions),
+        warning: `The summary service failed (${err.message}), so the local summarizer was used instead.`
+      };
+    }
+  };
+
+  const getPreviewHtml = () => {
+    try {
+      return buildExportPreview(
+        (transcriptionData || []).slice(0, PREVIEW_SEGMENT_LIMIT),
+        templatedExports[0] || 'full',
+        getBaseFilename(),
+        getExportOptions()
+      );
+    } catch (err) {
+      console.error('Template preview failed:', err);
+      return '<p style="font-family: sans-serif; color: #b91c1c">The preview could not be rendered.</p>';
+    }
+  };
+
   const handleExportAll = async () => {
     setIsExporting(true);
     setError(null);
     setExportResults([]);
 
-    const baseFilename = videoFileName ? videoFileName.split('.')[0] : 'transcription';
+    const baseFilename = getBaseFilename();
     const enabledExports = Object.entries(selectedExports).filter(([, config]) => config.enabled);
+    const exportOptions = getExportOptions();
 
     try {
-      const results = [];
-      
-      for (const [exportType, config] of enabledExports) {
-        try {
-          const result = await exportTranscription(
-            transcriptionData,
-            exportType,
-            config.format,
-            baseFilename
-          );
-          
-          results.push({
-            type: exportType,
-            format: config.format,
-            filename: result.filename,
-            success: true
-          });
-        } catch (err) {
-          console.error(`Export failed for ${exportType}:`, err);
-          results.push({
-            type: exportType,
-            format: config.format,
-            success: false,
-            error: err.message
-          });
+      let results = [];
+
+      if (enabledExports.some(([exportType]) => exportType === 'summary' || exportType === 'keypoints')) {
+        const { summary, warning } = await getSummary();
+        exportOptions.summary = summary;
+        if (warning) {
+          results.push({ type: 'summary', success: true, warning });
+        }
+      }
+
+      if (bundleOptions.enabled) {
+        // One ZIP download avoids browsers blocking repeated downloads
+        const bundle = await exportBundle(
+          transcriptionData,
+          enabledExports.map(([exportType, config]) => ({ type: exportType, format: config.format })),
+          baseFilename,
+          { ...exportOptions, includeManifest: bundleOptions.includeManifest }
+        );
+        results = [...results, ...bundle.results.map(result => ({ ...result, bundled: true }))];
+        results.push({ type: 'bundle', format: 'zip', filename: bundle.filename, success: true });
+      } else {
+        for (const [exportType, config] of enabledExports) {
+          try {
+            const result = await exportTranscription(
+              transcriptionData,
+              exportType,
+              config.format,
+              baseFilename,
+              exportOptions
+            );
+            
+            results.push({
+              type: exportType,
+              format: config.format,
+              filename: result.filename,
+              success: true
+            });
+          } catch (err) {
+            console.error(`Export failed for ${exportType}:`, err);
+            results.push({
+              type: exportType,
+              format: config.format,
+              success: false,
+              error: err.message
+            });
+          }
         }
       }
 
@@ -195,12 +427,14 @@ const ExportModal = ({ isOpen, onClose, transcriptionData, videoFileName }) => {
                           <label className="block text-xs font-medium text-gray-700">
                             File Format:
                           </label>
-                          <div className="flex space-x-2">
-                            {fileFormats.map((format) => (
+                          <div className="flex flex-wrap gap-2">
+                            {getFormats(exportType.key).map((format) => (
                               <button
                                 key={format.value}
                                 onClick={() => handleFormatChange(exportType.key, format.value)}
-                                className={`flex items-center space-x-1 px-3 py-1 rounded-md text-xs font-medium transition-colors ${
+                                disabled={format.value === 'pdf' && !!pdfUnsupportedScript}
+                                title={format.value === 'pdf' && pdfUnsupportedScript ? `PDF export does not support ${pdfUnsupportedScript} text yet` : undefined}
+                                className={`flex items-center space-x-1 px-3 py-1 rounded-md text-xs font-medium transition-colors disabled:opacity-50 disabled:cursor-not-allowed ${
                                   selectedExports[exportType.key].format === format.value
                                     ? `bg-${exportType.color}-500 text-white`
                                     : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
@@ -211,6 +445,197 @@ const ExportModal = ({ isOpen, onClose, transcriptionData, videoFileName }) => {
                               </button>
                             ))}
                           </div>
+                          {pdfUnsupportedScript && exportType.key !== 'captions' && (
+                            <p className="text-xs text-gray-500">
+                              PDF is unavailable because its fonts cannot show {pdfUnsupportedScript} text. Use HTML or Word instead.
+                            </p>
+                          )}
+
+                          {exportType.key === 'full' && !['json', 'csv'].includes(selectedExports.full.format) && (
+                            <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 pt-2">
+                              <div>
+                                <label className="block text-xs font-medium text-gray-700 mb-1">
+                                  Timestamps
+                                </label>
+                                <select
+                                  value={transcriptLayout.timestamps}
+                                  onChange={(e) => handleLayoutChange('timestamps', e.target.value)}
+                                  className="w-full border border-gray-200 rounded-lg px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                >
+                                  <option value="none">None</option>
+                                  <option value="paragraph">[hh:mm:ss] per paragraph</option>
+                                  <option value="segment">[hh:mm:ss] per segment</option>
+                                </select>
+                              </div>
+                              <div>
+                                <label className="block text-xs font-medium text-gray-700 mb-1">
+                                  New paragraph after a pause of
+                                </label>
+                                <select
+                                  value={transcriptLayout.pauseThreshold}
+                                  onChange={(e) => handleLayoutChange('pauseThreshold', Number(e.target.value))}
+                                  className="w-full border border-gray-200 rounded-lg px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                >
+                                  <option value={0}>Speaker changes only</option>
+                                  <option value={1}>1 second</option>
+                                  <option value={2}>2 seconds</option>
+                                  <option value={5}>5 seconds</option>
+                                  <option value={10}>10 seconds</option>
+                                </select>
+                              </div>
+                              <label className="flex items-center space-x-2 text-xs font-medium text-gray-700">
+                                <input
+                                  type="checkbox"
+                                  checked={transcriptLayout.speakerHeadings}
+                                  onChange={(e) => handleLayoutChange('speakerHeadings', e.target.checked)}
+                                  className="w-4 h-4 text-blue-600 rounded focus:ring-blue-500"
+                                />
+                                <span>Speaker headings</span>
+                              </label>
+                              <label className="flex items-center space-x-2 text-xs font-medium text-gray-700">
+                                <input
+                                  type="checkbox"
+                                  checked={transcriptLayout.includeHeader}
+                                  onChange={(e) => handleLayoutChange('includeHeader', e.target.checked)}
+                                  className="w-4 h-4 text-blue-600 rounded focus:ring-blue-500"
+                                />
+                                <span>File details header</span>
+                              </label>
+                            </div>
+                          )}
+
+                          {(exportType.key === 'summary' || exportType.key === 'keypoints') && (
+                            <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 pt-2">
+                              <div>
+                                <label className="block text-xs font-medium text-gray-700 mb-1">
+                                  Length
+                                </label>
+                                <select
+                                  value={summaryOptions.summaryLength}
+                                  onChange={(e) => setSummaryOptions(prev => ({ ...prev, summaryLength: e.target.value }))}
+                                  className={`w-full border border-gray-200 rounded-lg px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-${exportType.color}-500`}
+                                >
+                                  {Object.entries(SUMMARY_LENGTHS).map(([value, length]) => (
+                                    <option key={value} value={value}>
+                                      {length.name} ({exportType.key === 'keypoints' ? `${length.keyPoints} points` : `about ${length.words} words`})
+                                    </option>
+                                  ))}
+                                </select>
+                              </div>
+                              {exportType.key === 'summary' && (
+                                <div>
+                                  <label className="block text-xs font-medium text-gray-700 mb-1">
+                                    Style
+                                  </label>
+                                  <select
+                                    value={summaryOptions.summaryStyle}
+                                    onChange={(e) => setSummaryOptions(prev => ({ ...prev, summaryStyle: e.target.value }))}
+                                    className="w-full border border-gray-200 rounded-lg px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-green-500"
+                                  >
+                                    {Object.entries(SUMMARY_STYLES).map(([value, style]) => (
+                                      <option key={value} value={value}>{style.name}</option>
+                                    ))}
+                                  </select>
+                                </div>
+                              )}
+                              <p className="sm:col-span-2 text-xs text-gray-500">
+                                {summaryOptions.summaryProvider === 'llm'
+                                  ? 'Summarized by the LLM configured in Settings.'
+                                  : 'Summarized locally in your browser. An LLM can be configured in Settings.'}
+                              </p>
+                            </div>
+                          )}
+
+                          {exportType.key === 'captions' && (
+                            <div className="grid grid-cols-1 sm:grid-cols-3 gap-3 pt-2">
+                              <div className="sm:col-span-3">
+                                <label className="block text-xs font-medium text-gray-700 mb-1">
+                                  Caption standard
+                                </label>
+                                <select
+                                  value={captionOptions.preset}
+                                  onChange={(e) => handleCaptionPresetChange(e.target.value)}
+                                  className="w-full border border-gray-200 rounded-lg px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-orange-500"
+                                >
+                                  {getCaptionPresets().map(preset => (
+                                    <option key={preset.id} value={preset.id}>
+                                      {preset.name} ({preset.maxLineLength} chars/line, {preset.maxCharsPerSecond} chars/sec, {preset.minDuration.toFixed(1)}-{preset.maxDuration}s)
+                                    </option>
+                                  ))}
+                                </select>
+                              </div>
+                              <div>
+                                <label className="block text-xs font-medium text-gray-700 mb-1">
+                                  Max characters per line
+                                </label>
+                                <input
+                                  type="number"
+                                  min="10"
+                                  max="100"
+                                  value={captionOptions.maxLineLength}
+                                  onChange={(e) => handleCaptionOptionChange('maxLineLength', Math.max(10, parseInt(e.target.value, 10) || 10))}
+                                  className="w-full border border-gray-200 rounded-lg px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-orange-500"
+                                />
+                              </div>
+                              <div>
+                                <label className="block text-xs font-medium text-gray-700 mb-1">
+                                  Max lines per cue
+                                </label>
+                                <select
+                                  value={captionOptions.maxLines}
+                                  onChange={(e) => handleCaptionOptionChange('maxLines', parseInt(e.target.value, 10))}
+                                  className="w-full border border-gray-200 rounded-lg px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-orange-500"
+                                >
+                                  <option value={1}>1 line</option>
+                                  <option value={2}>2 lines</option>
+                                  <option value={3}>3 lines</option>
+                                </select>
+                              </div>
+                              <label className="flex items-center space-x-2 text-xs font-medium text-gray-700 sm:mt-5">
+                                <input
+                                  type="checkbox"
+                                  checked={captionOptions.speakerPrefix}
+                                  onChange={(e) => handleCaptionOptionChange('speakerPrefix', e.target.checked)}
+                                  className="w-4 h-4 text-orange-600 rounded focus:ring-orange-500"
+                                />
+                                <span>Speaker names</span>
+                              </label>
+                              {translations.length > 0 && (
+                                <div className="sm:col-span-3">
+                                  <label className="block text-xs font-medium text-gray-700 mb-1">
+                                    Second language
+                                  </label>
+                                  <select
+                                    value={bilingualLanguage}
+                                    onChange={(e) => setBilingualLanguage(e.target.value)}
+                                    disabled={!supportsBilingual}
+                                    className="w-full border border-gray-200 rounded-lg px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-orange-500 disabled:bg-gray-100"
+                                  >
+                                    <option value="">None</option>
+                                    {translations.map(translation => (
+                                      <option key={translation.id} value={translation.language}>
+                                        {getLanguageName(translation.language)}
+                                      </option>
+                                    ))}
+                                  </select>
+                                  <p className="text-xs text-gray-500 mt-1">
+                                    {supportsBilingual
+                                      ? 'Bilingual cues show one line of the original and its translation below it.'
+                                      : 'Bilingual subtitles are available for SRT and VTT.'}
+                                  </p>
+                                  {supportsBilingual && untranslatedCount > 0 && (
+                                    <p className="flex items-start space-x-1 text-xs text-amber-700 mt-1">
+                                      <SafeIcon icon={FiAlertTriangle} className="w-3 h-3 mt-0.5 flex-shrink-0" />
+                                      <span>
+                                        This translation is out of date: {untranslatedCount} {untranslatedCount === 1 ? 'segment was' : 'segments were'} added
+                                        after it was made and will have no translated line. Translate the transcript again to update it.
+                                      </span>
+                                    </p>
+                                  )}
+                                </div>
+                              )}
+                            </div>
+                          )}
                         </motion.div>
                       )}
                     </div>
@@ -219,6 +644,118 @@ const ExportModal = ({ isOpen, onClose, transcriptionData, videoFileName }) => {
               ))}
             </div>
 
+            {/* Document Template */}
+            {templatedExports.length > 0 && (
+              <div className="border border-gray-200 rounded-lg p-4">
+                <div className="flex items-center justify-between gap-3">
+                  <div className="flex items-center space-x-2">
+                    <SafeIcon icon={FiLayout} className="w-5 h-5 text-primary-600" />
+                    <h5 className="font-medium text-gray-900">HTML &amp; Word template</h5>
+                  </div>
+                  <button
+                    onClick={() => setShowPreview(prev => !prev)}
+                    className="flex items-center space-x-1 px-3 py-1 rounded-md text-xs font-medium bg-gray-200 text-gray-700 hover:bg-gray-300 transition-colors"
+                  >
+                    <SafeIcon icon={FiEye} className="w-3 h-3" />
+                    <span>{showPreview ? 'Hide preview' : 'Preview'}</span>
+                  </button>
+                </div>
+                <p className="text-sm text-gray-600 mt-1">Logo, colors, header, footer and cover page for HTML and DOCX exports</p>
+
+                {!templateDraft && (
+                  <div className="flex flex-wrap items-center gap-2 mt-3">
+                    <select
+                      value={selectedTemplateId || ''}
+                      onChange={(e) => setSelectedTemplateId(e.target.value || null)}
+                      className="flex-1 min-w-[160px] border border-gray-200 rounded-lg px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-primary-500"
+                    >
+                      <option value="">Default</option>
+                      {templates.map(template => (
+                        <option key={template.id} value={template.id}>
+                          {template.name}{template.isDefault ? ' (default)' : ''}
+                        </option>
+                      ))}
+                    </select>
+                    {selectedTemplate.id && (
+                      <button
+                        onClick={() => setTemplateDraft({ ...selectedTemplate })}
+                        className="flex items-center space-x-1 px-3 py-1 rounded-md text-xs font-medium bg-gray-200 text-gray-700 hover:bg-gray-300 transition-colors"
+                      >
+                        <SafeIcon icon={FiEdit2} className="w-3 h-3" />
+                        <span>Edit</span>
+                      </button>
+                    )}
+                    <button
+                      onClick={() => setTemplateDraft({ ...selectedTemplate, id: null, name: '', isDefault: false })}
+                      className="flex items-center space-x-1 px-3 py-1 rounded-md text-xs font-medium bg-gray-200 text-gray-700 hover:bg-gray-300 transition-colors"
+                    >
+                      <SafeIcon icon={FiPlus} className="w-3 h-3" />
+                      <span>New template</span>
+                    </button>
+                  </div>
+                )}
+
+                {templateDraft && (
+                  <ExportTemplateEditor
+                    template={templateDraft}
+                    onChange={setTemplateDraft}
+                    onSave={handleSaveTemplate}
+                    onCancel={() => setTemplateDraft(null)}
+                    onDelete={handleDeleteTemplate}
+                    isSaving={isSavingTemplate}
+                  />
+                )}
+
+                {templateError && (
+                  <p className="text-xs text-red-600 mt-2">{templateError}</p>
+                )}
+
+                {showPreview && (
+                  <div className="mt-3">
+                    <iframe
+                      title="Export template preview"
+                      srcDoc={getPreviewHtml()}
+                      sandbox=""
+                      className="w-full h-96 border border-gray-200 rounded-lg bg-white"
+                    />
+                    <p className="text-xs text-gray-500 mt-1">
+                      Showing the first {PREVIEW_SEGMENT_LIMIT} segments as HTML. Word documents use the same logo, colors, header, footer and cover page.
+                    </p>
+                  </div>
+                )}
+              </div>
+            )}
+
+            {/* Bundle Option */}
+            <div className={`border rounded-lg p-4 ${bundleOptions.enabled ? 'border-primary-200 bg-primary-50' : 'border-gray-200 bg-gray-50'}`}>
+              <label className="flex items-start space-x-3 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={bundleOptions.enabled}
+                  onChange={(e) => setBundleOptions(prev => ({ ...prev, enabled: e.target.checked }))}
+                  className="w-5 h-5 text-primary-600 rounded focus:ring-primary-500 mt-0.5"
+                />
+                <div>
+                  <div className="flex items-center space-x-2">
+                    <SafeIcon icon={FiArchive} className="w-5 h-5 text-primary-600" />
+                    <h5 className="font-medium text-gray-900">Download as one ZIP file</h5>
+                  </div>
+                  <p className="text-sm text-gray-600 mt-1">Package all selected exports into a single download</p>
+                </div>
+              </label>
+              {bundleOptions.enabled && (
+                <label className="flex items-center space-x-2 text-xs font-medium text-gray-700 mt-3 ml-8">
+                  <input
+                    type="checkbox"
+                    checked={bundleOptions.includeManifest}
+                    onChange={(e) => setBundleOptions(prev => ({ ...prev, includeManifest: e.target.checked }))}
+                    className="w-4 h-4 text-primary-600 rounded focus:ring-primary-500"
+                  />
+                  <span>Include a JSON manifest describing the files</span>
+                </label>
+              )}
+            </div>
+
             {/* Export Results */}
             {exportResults.length > 0 && (
               <motion.div
@@ -232,16 +769,20 @@ const ExportModal = ({ isOpen, onClose, transcriptionData, videoFileName }) => {
                     <div
                       key={index}
                       className={`flex items-center space-x-2 text-sm ${
-                        result.success ? 'text-green-700' : 'text-red-700'
+                        result.warning ? 'text-amber-700' : result.success ? 'text-green-700' : 'text-red-700'
                       }`}
                     >
                       <SafeIcon 
-                        icon={result.success ? FiCheck : FiX} 
+                        icon={result.warning ? FiAlertTriangle : result.success ? FiCheck : FiX} 
                         className="w-4 h-4" 
                       />
                       <span>
-                        {result.success
-                          ? `${result.filename} downloaded successfully`
+                        {result.warning
+                          ? result.warning
+                          : result.success
+                          ? result.bundled
+                            ? `${result.filename} added to the bundle`
+                            : `${result.filename} downloaded successfully`
                           : `${result.type} export failed: ${result.error}`
                         }
                       </span>
@@ -298,7 +839,9 @@ const ExportModal = ({ isOpen, onClose, transcriptionData, videoFileName }) => {
                 <span>
                   {isExporting 
                     ? 'Exporting...' 
-                    : `Export ${getSelectedCount()} File${getSelectedCount() !== 1 ? 's' : ''}`
+                    : bundleOptions.enabled
+                      ? `Export ZIP (${getSelectedCount()} File${getSelectedCount() !== 1 ? 's' : ''})`
+                      : `Export ${getSelectedCount()} File${getSelectedCount() !== 1 ? 's' : ''}`
                   }
                 </span>
               </motion.button>
@@ -0,0 +1,226 @@
+import React, { useRef, useState } from 'react';
+import SafeIcon from '../common/SafeIcon';
+import * as FiIcons from 'react-icons/fi';
+import { readLogoFile, TEMPLATE_FONTS } from '../services/exportTemplateService';
+
+const { FiImage, FiTrash2, FiSave, FiLoader } = FiIcons;
+
+const colorFields = [
+  { key: 'primaryColor', label: 'Brand color' },
+  { key: 'headingColor', label: 'Title color' },
+  { key: 'accentColor', label: 'Accent color' },
+  { key: 'textColor', label: 'Text color' }
+];
+
+const inputClassName = 'w-full border border-gray-200 rounded-lg px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-primary-500';
+
+const ExportTemplateEditor = ({ template, onChange, onSave, onCancel, onDelete, isSaving = false }) => {
+  const [logoError, setLogoError] = useState(null);
+  const logoInputRef = useRef(null);
+
+  const handleChange = (field, value) => {
+    onChange({ ...template, [field]: value });
+  };
+
+  const handleLogoChange = async (e) => {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setLogoError(null);
+    try {
+      handleChange('logo', await readLogoFile(file));
+    } catch (err) {
+      setLogoError(err.message);
+    }
+  };
+
+  return (
+    <div className="space-y-4 pt-3">
+      <div>
+        <label className="block text-xs font-medium text-gray-700 mb-1">Template name</label>
+        <input
+          type="text"
+          value={template.name}
+          onChange={(e) => handleChange('name', e.target.value)}
+          placeholder="e.g. Client reports"
+          className={inputClassName}
+        />
+      </div>
+
+      <div>
+        <label className="block text-xs font-medium text-gray-700 mb-1">Logo</label>
+        <div className="flex items-center gap-3">
+          {template.logo ? (
+            <img src={template.logo.dataUrl} alt="Template logo" className="h-10 max-w-[160px] object-contain border border-gray-200 rounded bg-white p-1" />
+          ) : (
+            <div className="h-10 w-16 flex items-center justify-center border border-dashed border-gray-300 rounded text-gray-400">
+              <SafeIcon icon={FiImage} className="w-4 h-4" />
+            </div>
+          )}
+          <button
+            onClick={() => logoInputRef.current && logoInputRef.current.click()}
+            className="px-3 py-1 rounded-md text-xs font-medium bg-gray-200 text-gray-700 hover:bg-gray-300 transition-colors"
+          >
+            {template.logo ? 'Replace' : 'Upload'}
+          </button>
+          {template.logo && (
+            <button
+              onClick={() => handleChange('logo', null)}
+              className="px-3 py-1 rounded-md text-xs font-medium text-red-600 hover:bg-red-50 transition-colors"
+            >
+              Remove
+            </button>
+          )}
+          <input
+            ref={logoInputRef}
+            type="file"
+            accept="image/png,image/jpeg,image/gif"
+            onChange={handleLogoChange}
+            className="hidden"
+          />
+        </div>
+        {logoError && <p className="text-xs text-red-600 mt-1">{logoError}</p>}
+      </div>
+
+      <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+        {colorFields.map(field => (
+          <div key={field.key}>
+            <label className="block text-xs font-medium text-gray-700 mb-1">{field.label}</label>
+            <input
+              type="color"
+              value={template[field.key]}
+              onChange={(e) => handleChange(field.key, e.target.value)}
+              className="w-full h-8 border border-gray-200 rounded-lg cursor-pointer"
+            />
+          </div>
+        ))}
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+        <div>
+          <label className="block text-xs font-medium text-gray-700 mb-1">Font</label>
+          <select
+            value={template.fontFamily}
+            onChange={(e) => handleChange('fontFamily', e.target.value)}
+            className={inputClassName}
+          >
+            {Object.entries(TEMPLATE_FONTS).map(([value, font]) => (
+              <option key={value} value={value}>{font.name}</option>
+            ))}
+          </select>
+        </div>
+        <label className="flex items-center space-x-2 text-xs font-medium text-gray-700 sm:mt-5">
+          <input
+            type="checkbox"
+            checked={template.showGeneratedDate}
+            onChange={(e) => handleChange('showGeneratedDate', e.target.checked)}
+            className="w-4 h-4 text-primary-600 rounded focus:ring-primary-500"
+          />
+          <span>Show "Generated on" date</span>
+        </label>
+        <div>
+          <label className="block text-xs font-medium text-gray-700 mb-1">Header text</label>
+          <input
+            type="text"
+            value={template.headerText}
+            onChange={(e) => handleChange('headerText', e.target.value)}
+            placeholder="e.g. Acme Corp · Confidential"
+            className={inputClassName}
+          />
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-700 mb-1">Footer text</label>
+          <input
+            type="text"
+            value={template.footerText}
+            onChange={(e) => handleChange('footerText', e.target.value)}
+            placeholder="e.g. {title} · {date}"
+            className={inputClassName}
+          />
+        </div>
+      </div>
+      <p className="text-xs text-gray-500">Header, footer and cover text can use {'{title}'} and {'{date}'}.</p>
+
+      <div className="space-y-3">
+        <label className="flex items-center space-x-2 text-xs font-medium text-gray-700">
+          <input
+            type="checkbox"
+            checked={template.coverPage}
+            onChange={(e) => handleChange('coverPage', e.target.checked)}
+            className="w-4 h-4 text-primary-600 rounded focus:ring-primary-500"
+          />
+          <span>Cover page</span>
+        </label>
+        {template.coverPage && (
+          <div className="grid grid-cols-1 gap-3 ml-6">
+            <div>
+              <label className="block text-xs font-medium text-gray-700 mb-1">Cover subtitle</label>
+              <input
+                type="text"
+                value={template.coverSubtitle}
+                onChange={(e) => handleChange('coverSubtitle', e.target.value)}
+                placeholder="e.g. Interview transcript"
+                className={inputClassName}
+              />
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-gray-700 mb-1">Cover text</label>
+              <textarea
+                rows={3}
+                value={template.coverText}
+                onChange={(e) => handleChange('coverText', e.target.value)}
+                placeholder="e.g. Prepared for the research team"
+                className={inputClassName}
+              />
+            </div>
+          </div>
+        )}
+      </div>
+
+      <label className="flex items-center space-x-2 text-xs font-medium text-gray-700">
+        <input
+          type="checkbox"
+          checked={template.isDefault}
+          onChange={(e) => handleChange('isDefault', e.target.checked)}
+          className="w-4 h-4 text-primary-600 rounded focus:ring-primary-500"
+        />
+        <span>Use this template by default</span>
+      </label>
+
+      <div className="flex items-center justify-between pt-1">
+        <div>
+          {template.id && (
+            <button
+              onClick={onDelete}
+              disabled={isSaving}
+              className="flex items-center space-x-1 px-3 py-1 rounded-md text-xs font-medium text-red-600 hover:bg-red-50 transition-colors disabled:opacity-50"
+            >
+              <SafeIcon icon={FiTrash2} className="w-3 h-3" />
+              <span>Delete</span>
+            </button>
+          )}
+        </div>
+        <div className="flex space-x-2">
+          <button
+            onClick={onCancel}
+            disabled={isSaving}
+            className="px-3 py-1 rounded-md text-xs font-medium text-gray-700 hover:bg-gray-200 transition-colors"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={onSave}
+            disabled={isSaving || !template.name.trim()}
+            className="flex items-center space-x-1 px-3 py-1 rounded-md text-xs font-medium bg-primary-500 text-white hover:bg-primary-600 transition-colors disabled:opacity-50"
+          >
+            <SafeIcon icon={isSaving ? FiLoader : FiSave} className={`w-3 h-3 ${isSaving ? 'animate-spin' : ''}`} />
+            <span>{isSaving ? 'Saving...' : 'Save template'}</span>
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ExportTemplateEditor;
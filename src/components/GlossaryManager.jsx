@@ -0,0 +1,177 @@
+import React, { useState, useEffect } from 'react';
+import SafeIcon from '../common/SafeIcon';
+import * as FiIcons from 'react-icons/fi';
+import { getGlossaries, saveGlossary, deleteGlossary, parseGlossaryTerms } from '../services/glossaryService';
+
+const { FiPlus, FiEdit3, FiTrash2, FiSave, FiLoader, FiAlertTriangle } = FiIcons;
+
+const inputClassName = 'w-full border border-gray-200 rounded-lg px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-primary-500';
+
+const emptyDraft = { id: null, name: '', termsText: '', appliesToAll: false };
+
+const GlossaryManager = () => {
+  const [glossaries, setGlossaries] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [draft, setDraft] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    getGlossaries()
+      .then(setGlossaries)
+      .catch(() => setError('Failed to load your glossaries.'))
+      .finally(() => setIsLoading(false));
+  }, []);
+
+  const handleEdit = (glossary) => {
+    setError(null);
+    setDraft(glossary
+      ? { id: glossary.id, name: glossary.name, termsText: glossary.terms.join('\n'), appliesToAll: glossary.appliesToAll }
+      : emptyDraft);
+  };
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    setError(null);
+    try {
+      const saved = await saveGlossary({
+        id: draft.id,
+        name: draft.name,
+        terms: parseGlossaryTerms(draft.termsText),
+        appliesToAll: draft.appliesToAll
+      });
+      setGlossaries(prev => [...prev.filter(glossary => glossary.id !== saved.id), saved]
+        .sort((a, b) => a.name.localeCompare(b.name)));
+      setDraft(null);
+    } catch (err) {
+      setError(err.message || 'Failed to save the glossary.');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async (glossary) => {
+    if (!window.confirm(`Delete the "${glossary.name}" glossary?`)) return;
+    setError(null);
+    try {
+      await deleteGlossary(glossary.id);
+      setGlossaries(prev => prev.filter(item => item.id !== glossary.id));
+      if (draft?.id === glossary.id) setDraft(null);
+    } catch (err) {
+      setError(err.message || 'Failed to delete the glossary.');
+    }
+  };
+
+  return (
+    <div className="space-y-3">
+      {isLoading && (
+        <div className="flex items-center space-x-2 text-sm text-gray-500">
+          <SafeIcon icon={FiLoader} className="w-4 h-4 animate-spin" />
+          <span>Loading glossaries...</span>
+        </div>
+      )}
+
+      {!isLoading && glossaries.length === 0 && !draft && (
+        <p className="text-sm text-gray-500">You have no glossaries yet.</p>
+      )}
+
+      {glossaries.map(glossary => (
+        <div key={glossary.id} className="flex items-center justify-between gap-3 p-3 border border-gray-200 rounded-lg">
+          <div className="min-w-0">
+            <span className="block text-sm font-medium text-gray-700">{glossary.name}</span>
+            <span className="block text-xs text-gray-500 truncate">
+              {glossary.appliesToAll ? 'Every transcription' : 'Project glossary'} · {glossary.terms.length} terms: {glossary.terms.join(', ')}
+            </span>
+          </div>
+          <div className="flex items-center space-x-1 flex-shrink-0">
+            <button
+              onClick={() => handleEdit(glossary)}
+              disabled={isSaving}
+              className="p-1.5 text-gray-400 hover:text-gray-600 rounded transition-colors"
+              title="Edit glossary"
+            >
+              <SafeIcon icon={FiEdit3} className="w-4 h-4" />
+            </button>
+            <button
+              onClick={() => handleDelete(glossary)}
+              disabled={isSaving}
+              className="p-1.5 text-gray-400 hover:text-red-600 rounded transition-colors"
+              title="Delete glossary"
+            >
+              <SafeIcon icon={FiTrash2} className="w-4 h-4" />
+            </button>
+          </div>
+        </div>
+      ))}
+
+      {draft ? (
+        <div className="space-y-3 p-3 border border-primary-200 bg-primary-50 rounded-lg">
+          <div>
+            <label className="block text-xs font-medium text-gray-700 mb-1">Glossary name</label>
+            <input
+              type="text"
+              value={draft.name}
+              onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+              placeholder="e.g. Product launch"
+              className={inputClassName}
+            />
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-700 mb-1">Terms (one per line)</label>
+            <textarea
+              value={draft.termsText}
+              onChange={(e) => setDraft({ ...draft, termsText: e.target.value })}
+              rows="5"
+              placeholder={'Supabase\nKubernetes\nVisual Studio Code'}
+              className={`${inputClassName} resize-y`}
+            />
+          </div>
+          <label className="flex items-center space-x-2 text-xs font-medium text-gray-700">
+            <input
+              type="checkbox"
+              checked={draft.appliesToAll}
+              onChange={(e) => setDraft({ ...draft, appliesToAll: e.target.checked })}
+              className="w-4 h-4 text-primary-600 rounded focus:ring-primary-500"
+            />
+            <span>Use for every transcription</span>
+          </label>
+          <div className="flex justify-end space-x-2">
+            <button
+              onClick={() => setDraft(null)}
+              disabled={isSaving}
+              className="px-3 py-1 rounded-md text-xs font-medium text-gray-700 hover:bg-gray-200 transition-colors"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={handleSave}
+              disabled={isSaving || !draft.name.trim() || parseGlossaryTerms(draft.termsText).length === 0}
+              className="flex items-center space-x-1 px-3 py-1 rounded-md text-xs font-medium bg-primary-500 text-white hover:bg-primary-600 transition-colors disabled:opacity-50"
+            >
+              <SafeIcon icon={isSaving ? FiLoader : FiSave} className={`w-3 h-3 ${isSaving ? 'animate-spin' : ''}`} />
+              <span>{isSaving ? 'Saving...' : 'Save glossary'}</span>
+            </button>
+          </div>
+        </div>
+      ) : (
+        <button
+          onClick={() => handleEdit(null)}
+          disabled={isLoading}
+          className="flex items-center space-x-1 px-3 py-1 text-xs font-medium text-primary-700 bg-primary-100 hover:bg-primary-200 rounded-md transition-colors disabled:opacity-50"
+        >
+          <SafeIcon icon={FiPlus} className="w-3 h-3" />
+          <span>New glossary</span>
+        </button>
+      )}
+
+      {error && (
+        <div className="flex items-start space-x-2 p-3 bg-red-50 border border-red-200 text-red-700 rounded-lg text-sm">
+          <SafeIcon icon={FiAlertTriangle} className="w-4 h-4 mt-0.5 flex-shrink-0" />
+          <span>{error}</span>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default GlossaryManager;
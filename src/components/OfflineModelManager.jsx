@@ -0,0 +1,134 @@
+import React, { useState, useEffect } from 'react';
+import SafeIcon from '../common/SafeIcon';
+import * as FiIcons from 'react-icons/fi';
+import {
+  WHISPER_MODELS,
+  getCachedWhisperModels,
+  downloadWhisperModel,
+  deleteWhisperModel,
+  isLocalWhisperSupported
+} from '../services/localWhisperService';
+
+const { FiDownload, FiTrash2, FiCheck, FiLoader, FiAlertTriangle } = FiIcons;
+
+const formatMegabytes = (bytes) => `${Math.max(1, Math.round(bytes / (1024 * 1024)))} MB`;
+
+const OfflineModelManager = ({ selectedModel, onSelect }) => {
+  const [cachedModels, setCachedModels] = useState({});
+  const [download, setDownload] = useState(null);
+  const [error, setError] = useState(null);
+  const supported = isLocalWhisperSupported();
+
+  useEffect(() => {
+    if (supported) {
+      getCachedWhisperModels().then(setCachedModels);
+    }
+  }, [supported]);
+
+  const handleDownload = async (modelId) => {
+    setError(null);
+    setDownload({ modelId, progress: 0 });
+    try {
+      await downloadWhisperModel(modelId, (progress) => setDownload({ modelId, progress }));
+      setCachedModels(await getCachedWhisperModels());
+      onSelect(modelId);
+    } catch (err) {
+      console.error('Model download failed:', err);
+      setError(err.message || 'Failed to download the model.');
+    } finally {
+      setDownload(null);
+    }
+  };
+
+  const handleDelete = async (modelId) => {
+    setError(null);
+    try {
+      await deleteWhisperModel(modelId);
+      setCachedModels(await getCachedWhisperModels());
+    } catch (err) {
+      setError(err.message || 'Failed to delete the model.');
+    }
+  };
+
+  if (!supported) {
+    return (
+      <div className="flex items-start space-x-2 p-3 bg-amber-50 border border-amber-200 text-amber-800 rounded-lg text-sm">
+        <SafeIcon icon={FiAlertTriangle} className="w-4 h-4 mt-0.5 flex-shrink-0" />
+        <span>This browser cannot run transcription models locally.</span>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-3">
+      {WHISPER_MODELS.map(model => {
+        const isCached = model.id in cachedModels;
+        const isDownloading = download?.modelId === model.id;
+
+        return (
+          <div
+            key={model.id}
+            className={`p-3 border rounded-lg ${selectedModel === model.id ? 'border-primary-300 bg-primary-50' : 'border-gray-200'}`}
+          >
+            <div className="flex items-center justify-between gap-3">
+              <label className="flex items-center space-x-2 min-w-0 cursor-pointer">
+                <input
+                  type="radio"
+                  name="localModel"
+                  value={model.id}
+                  checked={selectedModel === model.id}
+                  onChange={() => onSelect(model.id)}
+                  className="text-primary-600 focus:ring-primary-500"
+                />
+                <span className="min-w-0">
+                  <span className="block text-sm font-medium text-gray-700">{model.name}</span>
+                  <span className="block text-xs text-gray-500">
+                    {model.description} · {isCached ? `${formatMegabytes(cachedModels[model.id])} on this device` : `about ${model.size} MB download`}
+                  </span>
+                </span>
+              </label>
+
+              {isCached ? (
+                <div className="flex items-center space-x-2 flex-shrink-0">
+                  <SafeIcon icon={FiCheck} className="w-4 h-4 text-green-600" />
+                  <button
+                    onClick={() => handleDelete(model.id)}
+                    disabled={!!download}
+                    className="p-1.5 text-gray-400 hover:text-red-600 rounded transition-colors disabled:opacity-50"
+                    title="Remove from this device"
+                  >
+                    <SafeIcon icon={FiTrash2} className="w-4 h-4" />
+                  </button>
+                </div>
+              ) : (
+                <button
+                  onClick={() => handleDownload(model.id)}
+                  disabled={!!download}
+                  className="flex items-center space-x-1 px-3 py-1 text-xs font-medium text-primary-700 bg-primary-100 hover:bg-primary-200 rounded-md transition-colors flex-shrink-0 disabled:opacity-50"
+                >
+                  <SafeIcon icon={isDownloading ? FiLoader : FiDownload} className={`w-3 h-3 ${isDownloading ? 'animate-spin' : ''}`} />
+                  <span>{isDownloading ? `${Math.round(download.progress)}%` : 'Download'}</span>
+                </button>
+              )}
+            </div>
+
+            {isDownloading && (
+              <div className="w-full bg-gray-200 rounded-full h-1.5 mt-2">
+                <div className="bg-primary-500 h-1.5 rounded-full transition-all" style={{ width: `${download.progress}%` }} />
+              </div>
+            )}
+          </div>
+        );
+      })}
+
+      {error && (
+        <div className="flex items-start space-x-2 p-3 bg-red-50 border border-red-200 text-red-700 rounded-lg text-sm">
+          <SafeIcon icon={FiAlertTriangle} className="w-4 h-4 mt-0.5 flex-shrink-0" />
+          <span>{error}</span>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default OfflineModelManager;
@@ -0,0 +1,188 @@
+import React, { useState, useEffect } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { format } from 'date-fns';
+import SafeIcon from '../common/SafeIcon';
+import * as FiIcons from 'react-icons/fi';
+import { getTranscriptionRevisions } from '../services/transcriptionDbService';
+import { applySegmentRevision, getTranscriptBeforeRevision } from '../services/segmentEditService';
+
+const { FiX, FiClock, FiRotateCcw, FiLoader, FiAlertCircle } = FiIcons;
+
+const RevisionHistory = ({ isOpen, onClose, transcriptionId, transcriptionData = [], onRestore }) => {
+  const [revisions, setRevisions] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [segmentFilter, setSegmentFilter] = useState('all');
+
+  useEffect(() => {
+    if (isOpen && transcriptionId) {
+      fetchRevisions();
+    }
+  }, [isOpen, transcriptionId]);
+
+  const fetchRevisions = async () => {
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      const data = await getTranscriptionRevisions(transcriptionId);
+      setRevisions(data);
+    } catch (err) {
+      console.error('Failed to load revisions:', err);
+      setError('Failed to load revision history. Please try again later.');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const formatTime = (time) => {
+    if (typeof time !== 'number') return '0:00';
+    const minutes = Math.floor(time / 60);
+    const seconds = Math.floor(time % 60);
+    return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+  };
+
+  const formatDate = (dateString) => {
+    try {
+      return format(new Date(dateString), 'yyyy-MM-dd HH:mm:ss');
+    } catch (e) {
+      return dateString;
+    }
+  };
+
+  const getSegment = (segmentId) => transcriptionData.find(segment => segment.id === segmentId);
+
+  const handleRestoreSegment = (revision) => {
+    onRestore(applySegmentRevision(transcriptionData, revision));
+    onClose();
+  };
+
+  const handleRestoreTranscript = (revision) => {
+    onRestore(getTranscriptBeforeRevision(transcriptionData, revisions, revision));
+    onClose();
+  };
+
+  const visibleRevisions = segmentFilter === 'all'
+    ? revisions
+    : revisions.filter(revision => String(revision.segment_id) === segmentFilter);
+
+  const editedSegmentIds = [...new Set(revisions.map(revision => revision.segment_id))];
+
+  if (!isOpen) return null;
+
+  return (
+    <AnimatePresence>
+      <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+        <motion.div
+          initial={{ opacity: 0, scale: 0.9 }}
+          animate={{ opacity: 1, scale: 1 }}
+          exit={{ opacity: 0, scale: 0.9 }}
+          className="bg-white rounded-xl shadow-xl w-full max-w-2xl max-h-[90vh] flex flex-col"
+        >
+          {/* Header */}
+          <div className="flex items-center justify-between p-6 border-b border-gray-100">
+            <div>
+              <h3 className="text-xl font-semibold text-gray-900">Revision History</h3>
+              <p className="text-sm text-gray-600 mt-1">
+                Restore an earlier version of a segment or roll back the whole transcript
+              </p>
+            </div>
+            <button
+              onClick={onClose}
+              className="p-2 hover:bg-gray-100 rounded-lg transition-colors"
+            >
+              <SafeIcon icon={FiX} className="w-5 h-5 text-gray-500" />
+            </button>
+          </div>
+
+          {/* Content */}
+          <div className="p-6 overflow-y-auto flex-1 space-y-4">
+            {editedSegmentIds.length > 1 && (
+              <select
+                value={segmentFilter}
+                onChange={(e) => setSegmentFilter(e.target.value)}
+                className="border border-gray-200 rounded-lg px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-primary-500"
+              >
+                <option value="all">All segments</option>
+                {editedSegmentIds.map(segmentId => {
+                  const segment = getSegment(segmentId);
+                  return (
+                    <option key={segmentId} value={String(segmentId)}>
+                      {segment ? `${formatTime(segment.startTime)} - ${segment.text.slice(0, 40)}` : `Segment ${segmentId}`}
+                    </option>
+                  );
+                })}
+              </select>
+            )}
+
+            {isLoading ? (
+              <div className="flex justify-center py-12">
+                <SafeIcon icon={FiLoader} className="w-8 h-8 text-primary-500 animate-spin" />
+              </div>
+            ) : error ? (
+              <div className="flex items-start gap-2 bg-red-50 border border-red-200 rounded-lg p-4">
+                <SafeIcon icon={FiAlertCircle} className="text-red-500 flex-shrink-0 mt-0.5" />
+                <p className="text-sm text-red-700">{error}</p>
+              </div>
+            ) : visibleRevisions.length === 0 ? (
+              <div className="text-center py-12">
+                <SafeIcon icon={FiClock} className="w-12 h-12 text-gray-300 mx-auto mb-4" />
+                <p className="text-gray-500">No earlier versions yet</p>
+              </div>
+            ) : (
+              visibleRevisions.map(revision => {
+                const segment = getSegment(revision.segment_id);
+                return (
+                  <div key={revision.id} className="border border-gray-200 rounded-lg p-4">
+                    <div className="flex items-center justify-between mb-2">
+                      <span className="text-xs text-gray-500">{formatDate(revision.created_at)}</span>
+                      {segment && (
+                        <span className="text-xs font-medium text-primary-600">
+                          {formatTime(segment.startTime)} - {formatTime(segment.endTime)}
+                        </span>
+                      )}
+                    </div>
+                    <p className="text-sm text-gray-700 mb-1">
+                      <span className="font-medium text-gray-500">Before: </span>
+                      {revision.action === 'insert' ? (
+                        <span className="italic text-gray-500">Segment did not exist (added by a split or import)</span>
+                      ) : (
+                        <>
+                          {revision.previous?.speaker && <span className="font-medium">{revision.previous.speaker}: </span>}
+                          {revision.previous?.text}
+                        </>
+                      )}
+                    </p>
+                    <p className="text-sm text-gray-400 mb-3">
+                      <span className="font-medium">Now: </span>
+                      {segment ? segment.text : <span className="italic">Deleted</span>}
+                    </p>
+                    <div className="flex flex-wrap gap-2">
+                      <button
+                        onClick={() => handleRestoreSegment(revision)}
+                        disabled={revision.action === 'insert' && !segment}
+                        className="flex items-center space-x-1 px-3 py-1 bg-primary-500 text-white text-xs rounded-lg hover:bg-primary-600 disabled:opacity-50"
+                      >
+                        <SafeIcon icon={FiRotateCcw} className="w-3 h-3" />
+                        <span>Restore segment</span>
+                      </button>
+                      <button
+                        onClick={() => handleRestoreTranscript(revision)}
+                        className="flex items-center space-x-1 px-3 py-1 bg-gray-200 text-gray-700 text-xs rounded-lg hover:bg-gray-300"
+                      >
+                        <SafeIcon icon={FiClock} className="w-3 h-3" />
+                        <span>Restore transcript to before this change</span>
+                      </button>
+                    </div>
+                  </div>
+                );
+              })
+            )}
+          </div>
+        </motion.div>
+      </div>
+    </AnimatePresence>
+  );
+};
+
+export default RevisionHistory;
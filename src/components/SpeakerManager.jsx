@@ -0,0 +1,134 @@
+import React, { useState } from 'react';
+import { motion } from 'framer-motion';
+import SafeIcon from '../common/SafeIcon';
+import * as FiIcons from 'react-icons/fi';
+import { getSpeakers, getSpeakerColor } from '../common/speakerColors';
+import { renameSpeaker, mergeSpeakers } from '../services/speakerService';
+
+const { FiUsers, FiEdit3, FiCheck, FiX, FiGitMerge, FiLoader } = FiIcons;
+
+const SpeakerManager = ({ transcriptionData = [], onChange, isSaving = false }) => {
+  const [editingSpeaker, setEditingSpeaker] = useState(null);
+  const [editName, setEditName] = useState('');
+  const [mergeTargets, setMergeTargets] = useState({});
+
+  const speakers = getSpeakers(transcriptionData);
+
+  if (speakers.length === 0) return null;
+
+  const getSegmentCount = (speaker) => {
+    return transcriptionData.filter(segment => segment.speaker === speaker).length;
+  };
+
+  const handleStartRename = (speaker) => {
+    setEditingSpeaker(speaker);
+    setEditName(speaker);
+  };
+
+  const handleSaveRename = () => {
+    if (editingSpeaker && editName.trim() && editName.trim() !== editingSpeaker) {
+      onChange(renameSpeaker(transcriptionData, editingSpeaker, editName));
+    }
+    setEditingSpeaker(null);
+    setEditName('');
+  };
+
+  const handleMerge = (speaker) => {
+    const target = mergeTargets[speaker];
+    if (!target) return;
+    onChange(mergeSpeakers(transcriptionData, speaker, target));
+    setMergeTargets(prev => ({ ...prev, [speaker]: '' }));
+  };
+
+  return (
+    <div className="bg-white p-6 rounded-xl shadow-sm border border-gray-100">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-semibold text-gray-900">Speakers</h3>
+        <div className="flex items-center space-x-2 text-gray-400">
+          {isSaving && <SafeIcon icon={FiLoader} className="w-4 h-4 animate-spin" />}
+          <SafeIcon icon={FiUsers} className="w-5 h-5" />
+        </div>
+      </div>
+
+      <div className="space-y-3">
+        {speakers.map(speaker => {
+          const color = getSpeakerColor(speaker, speakers);
+          const otherSpeakers = speakers.filter(other => other !== speaker);
+
+          return (
+            <div key={speaker} className="flex flex-wrap items-center gap-2 p-3 rounded-lg border border-gray-200">
+              <span className={`w-3 h-3 rounded-full ${color.dot}`}></span>
+
+              {editingSpeaker === speaker ? (
+                <div className="flex items-center space-x-1 flex-1">
+                  <input
+                    type="text"
+                    value={editName}
+                    onChange={(e) => setEditName(e.target.value)}
+                    onKeyDown={(e) => e.key === 'Enter' && handleSaveRename()}
+                    className="flex-1 border border-gray-200 rounded-lg px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-primary-500"
+                    autoFocus
+                  />
+                  <button
+                    onClick={handleSaveRename}
+                    className="p-1 text-green-600 hover:text-green-700"
+                  >
+                    <SafeIcon icon={FiCheck} className="w-4 h-4" />
+                  </button>
+                  <button
+                    onClick={() => setEditingSpeaker(null)}
+                    className="p-1 text-gray-400 hover:text-gray-600"
+                  >
+                    <SafeIcon icon={FiX} className="w-4 h-4" />
+                  </button>
+                </div>
+              ) : (
+                <div className="flex items-center space-x-2 flex-1">
+                  <span className={`px-2 py-0.5 rounded-full text-xs font-semibold ${color.badge}`}>{speaker}</span>
+                  <span className="text-xs text-gray-500">
+                    {getSegmentCount(speaker)} segment{getSegmentCount(speaker) !== 1 ? 's' : ''}
+                  </span>
+                  <motion.button
+                    whileHover={{ scale: 1.1 }}
+                    whileTap={{ scale: 0.9 }}
+                    onClick={() => handleStartRename(speaker)}
+                    className="p-1 text-gray-400 hover:text-gray-600 transition-colors"
+                  >
+                    <SafeIcon icon={FiEdit3} className="w-3 h-3" />
+                  </motion.button>
+                </div>
+              )}
+
+              {otherSpeakers.length > 0 && editingSpeaker !== speaker && (
+                <div className="flex items-center space-x-1">
+                  <select
+                    value={mergeTargets[speaker] || ''}
+                    onChange={(e) => setMergeTargets(prev => ({ ...prev, [speaker]: e.target.value }))}
+                    className="border border-gray-200 rounded-lg px-2 py-1 text-xs focus:outline-none focus:ring-2 focus:ring-primary-500"
+                  >
+                    <option value="">Merge into...</option>
+                    {otherSpeakers.map(other => (
+                      <option key={other} value={other}>{other}</option>
+                    ))}
+                  </select>
+                  <button
+                    onClick={() => handleMerge(speaker)}
+                    disabled={!mergeTargets[speaker]}
+                    className="p-1 text-primary-600 hover:text-primary-700 disabled:opacity-40"
+                  >
+                    <SafeIcon icon={FiGitMerge} className="w-4 h-4" />
+                  </button>
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+      <p className="text-xs text-gray-500 mt-3">
+        Rename a speaker to an existing name to merge them. Reassign single lines from the segment editor.
+      </p>
+    </div>
+  );
+};
+
+export default SpeakerManager;
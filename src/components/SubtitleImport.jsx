@@ -0,0 +1,108 @@
+import React, { useState, useRef } from 'react';
+import { motion } from 'framer-motion';
+import SafeIcon from '../common/SafeIcon';
+import * as FiIcons from 'react-icons/fi';
+import { importSubtitleFile } from '../services/subtitleImportService';
+
+const { FiUploadCloud, FiLoader, FiAlertTriangle, FiCheck, FiX } = FiIcons;
+
+const MAX_LISTED_ERRORS = 5;
+
+const SubtitleImport = ({ onImport, hasTranscript = false, disabled = false }) => {
+  const [isImporting, setIsImporting] = useState(false);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+  const inputRef = useRef(null);
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files && e.target.files[0];
+    // Allow picking the same file again after fixing it
+    e.target.value = '';
+    if (!file) return;
+
+    if (hasTranscript && !window.confirm('Replace the current transcript with the imported subtitles?')) {
+      return;
+    }
+
+    setIsImporting(true);
+    setError(null);
+    setResult(null);
+
+    try {
+      const imported = await importSubtitleFile(file);
+      onImport(imported.segments);
+      setResult({ fileName: file.name, ...imported });
+    } catch (err) {
+      console.error('Subtitle import failed:', err);
+      setError(err.message || 'Failed to import subtitles.');
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  return (
+    <div>
+      <motion.button
+        whileHover={{ scale: 1.05 }}
+        whileTap={{ scale: 0.95 }}
+        onClick={() => inputRef.current && inputRef.current.click()}
+        disabled={disabled || isImporting}
+        className="flex items-center space-x-2 px-5 py-3 rounded-lg font-semibold bg-gray-100 text-gray-700 hover:bg-gray-200 transition-colors disabled:opacity-50"
+      >
+        <SafeIcon icon={isImporting ? FiLoader : FiUploadCloud} className={`w-5 h-5 ${isImporting ? 'animate-spin' : ''}`} />
+        <span>{isImporting ? 'Importing...' : 'Import Subtitles'}</span>
+      </motion.button>
+      <input
+        ref={inputRef}
+        type="file"
+        accept=".srt,.vtt,.sbv"
+        onChange={handleFileChange}
+        className="hidden"
+      />
+
+      {error && (
+        <div className="mt-4 p-3 bg-red-50 border border-red-200 text-red-700 rounded-lg">
+          <div className="flex items-start justify-between gap-2">
+            <p className="text-sm">Subtitle import failed: {error}</p>
+            <button onClick={() => setError(null)} className="text-red-400 hover:text-red-600">
+              <SafeIcon icon={FiX} className="w-4 h-4" />
+            </button>
+          </div>
+        </div>
+      )}
+
+      {result && (
+        <div className={`mt-4 p-3 rounded-lg border ${
+          result.errors.length > 0 ? 'bg-amber-50 border-amber-200 text-amber-800' : 'bg-green-50 border-green-200 text-green-700'
+        }`}>
+          <div className="flex items-start justify-between gap-2">
+            <div className="flex items-start gap-2">
+              <SafeIcon icon={result.errors.length > 0 ? FiAlertTriangle : FiCheck} className="w-4 h-4 mt-0.5 flex-shrink-0" />
+              <div className="text-sm">
+                <p>
+                  Imported {result.segments.length} cue{result.segments.length !== 1 ? 's' : ''} from {result.fileName} ({result.format.toUpperCase()})
+                  {result.errors.length > 0 && `, skipped ${result.errors.length} malformed cue${result.errors.length !== 1 ? 's' : ''}`}
+                </p>
+                {result.errors.length > 0 && (
+                  <ul className="mt-2 space-y-1 text-xs">
+                    {result.errors.slice(0, MAX_LISTED_ERRORS).map((item, index) => (
+                      <li key={index}>Line {item.line} (cue {item.cue}): {item.message}</li>
+                    ))}
+                    {result.errors.length > MAX_LISTED_ERRORS && (
+                      <li>...and {result.errors.length - MAX_LISTED_ERRORS} more</li>
+                    )}
+                  </ul>
+                )}
+              </div>
+            </div>
+            <button onClick={() => setResult(null)} className="opacity-60 hover:opacity-100">
+              <SafeIcon icon={FiX} className="w-4 h-4" />
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SubtitleImport;
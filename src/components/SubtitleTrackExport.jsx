@@ -0,0 +1,340 @@
+import React, { useState, useRef } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { saveAs } from 'file-saver';
+import SafeIcon from '../common/SafeIcon';
+import * as FiIcons from 'react-icons/fi';
+import { muxSubtitleTracks, MAX_MUX_FILE_SIZE } from '../services/compressionService';
+import { formatTranscriptionForExport } from '../services/transcriptionService';
+import { parseSubtitles } from '../services/subtitleImportService';
+import { getCaptionPresets, DEFAULT_CAPTION_PRESET } from '../services/captionReflowService';
+import { LANGUAGES, getLanguageName } from '../common/languages';
+
+const { FiX, FiLayers, FiLoader, FiCheck, FiAlertTriangle, FiPlus, FiTrash2, FiFileText } = FiIcons;
+
+const selectClassName = 'w-full border border-gray-200 rounded-lg px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-primary-500';
+
+const containers = [
+  { value: 'mkv', label: 'Matroska (.mkv)', description: 'Works with any video and audio codec' },
+  { value: 'mp4', label: 'MP4 (.mp4)', description: 'Best for H.264/AAC videos; other codecs may fail' }
+];
+
+const SubtitleTrackExport = ({ isOpen, onClose, videoFile, transcriptionData, language }) => {
+  const [tracks, setTracks] = useState(() => [{
+    id: 'transcript',
+    source: 'transcript',
+    name: 'Current transcript',
+    language: language || 'en-US',
+    title: getLanguageName(language || 'en-US')
+  }]);
+  const [captionOptions, setCaptionOptions] = useState({ preset: DEFAULT_CAPTION_PRESET, speakerPrefix: false });
+  const [container, setContainer] = useState('mkv');
+  const [defaultTrackId, setDefaultTrackId] = useState('transcript');
+  const [isMuxing, setIsMuxing] = useState(false);
+  const [progress, setProgress] = useState(0);
+  const [progressStage, setProgressStage] = useState('');
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const updateTrack = (trackId, field, value) => {
+    setTracks(prev => prev.map(track => (track.id === trackId ? { ...track, [field]: value } : track)));
+  };
+
+  const removeTrack = (trackId) => {
+    const remaining = tracks.filter(track => track.id !== trackId);
+    setTracks(remaining);
+    // Keep a track shown by default as long as there is one
+    if (defaultTrackId === trackId) setDefaultTrackId(remaining.length > 0 ? remaining[0].id : null);
+  };
+
+  const isVideoTooLarge = !!videoFile && videoFile.size > MAX_MUX_FILE_SIZE;
+
+  const handleAddFile = async (e) => {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setError(null);
+    try {
+      const content = await file.text();
+      // Parsing validates the file; SBV is not understood by FFmpeg, so it is converted to SRT
+      const parsed = parseSubtitles(content, { fileName: file.name });
+      const track = {
+        id: `file-${Date.now()}`,
+        source: 'file',
+        name: file.name,
+        language: '',
+        title: '',
+        format: parsed.format === 'vtt' ? 'vtt' : 'srt',
+        content: parsed.format === 'sbv'
+          ? formatTranscriptionForExport(parsed.segments, 'srt', { preset: captionOptions.preset })
+          : content,
+        cueCount: parsed.segments.length
+      };
+      setTracks(prev => [...prev, track]);
+    } catch (err) {
+      setError(`${file.name}: ${err.message}`);
+    }
+  };
+
+  const handleMux = async () => {
+    setIsMuxing(true);
+    setError(null);
+    setResult(null);
+    setProgress(0);
+
+    try {
+      const muxTracks = tracks.map(track => (track.source === 'transcript'
+        ? {
+          content: formatTranscriptionForExport(transcriptionData, 'srt', captionOptions),
+          format: 'srt',
+          language: track.language,
+          title: track.title
+        }
+        : { content: track.content, format: track.format, language: track.language, title: track.title }));
+
+      const muxed = await muxSubtitleTracks(
+        videoFile,
+        muxTracks,
+        { container, defaultTrack: tracks.findIndex(track => track.id === defaultTrackId) },
+        (percent, stage) => {
+          setProgress(Math.round(percent));
+          setProgressStage(stage);
+        }
+      );
+      const filename = `${videoFile.name.split('.')[0]}_subtitled.${muxed.extension}`;
+      saveAs(muxed.blob, filename);
+      setResult({ filename, size: muxed.blob.size });
+    } catch (err) {
+      console.error('Subtitle track export failed:', err);
+      setError(err.message || 'Failed to add subtitle tracks.');
+    } finally {
+      setIsMuxing(false);
+    }
+  };
+
+  const handleClose = () => {
+    if (isMuxing) return;
+    setResult(null);
+    setError(null);
+    onClose();
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <AnimatePresence>
+      <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+        <motion.div
+          initial={{ opacity: 0, scale: 0.9 }}
+          animate={{ opacity: 1, scale: 1 }}
+          exit={{ opacity: 0, scale: 0.9 }}
+          className="bg-white rounded-xl shadow-xl w-full max-w-2xl max-h-[90vh] overflow-y-auto"
+        >
+          {/* Header */}
+          <div className="flex items-center justify-between p-6 border-b border-gray-100">
+            <div>
+              <h3 className="text-xl font-semibold text-gray-900">Add Subtitle Tracks</h3>
+              <p className="text-sm text-gray-600 mt-1">
+                Store selectable subtitle tracks in the video file without re-encoding it. Subtitle tracks already in the video are kept.
+              </p>
+            </div>
+            <button
+              onClick={handleClose}
+              disabled={isMuxing}
+              className="p-2 hover:bg-gray-100 rounded-lg transition-colors"
+            >
+              <SafeIcon icon={FiX} className="w-5 h-5 text-gray-500" />
+            </button>
+          </div>
+
+          {/* Content */}
+          <div className="p-6 space-y-6">
+            {/* Tracks */}
+            <div className="space-y-3">
+              <h4 className="font-medium text-gray-900">Subtitle tracks</h4>
+              {tracks.length === 0 && (
+                <p className="text-sm text-gray-500">No tracks yet. Add a subtitle file below.</p>
+              )}
+              {tracks.map(track => (
+                <div key={track.id} className="border border-gray-200 rounded-lg p-3">
+                  <div className="flex items-center justify-between gap-2 mb-2">
+                    <div className="flex items-center space-x-2 min-w-0">
+                      <SafeIcon icon={FiFileText} className="w-4 h-4 text-primary-600 flex-shrink-0" />
+                      <span className="text-sm font-medium text-gray-900 truncate">{track.name}</span>
+                      {track.cueCount && (
+                        <span className="text-xs text-gray-500 flex-shrink-0">{track.cueCount} cues</span>
+                      )}
+                    </div>
+                    <button
+                      onClick={() => removeTrack(track.id)}
+                      disabled={isMuxing}
+                      className="p-1 text-gray-400 hover:text-red-600 transition-colors"
+                      title="Remove track"
+                    >
+                      <SafeIcon icon={FiTrash2} className="w-4 h-4" />
+                    </button>
+                  </div>
+                  <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+                    <div>
+                      <label className="block text-xs font-medium text-gray-700 mb-1">Language</label>
+                      <select
+                        value={track.language}
+                        onChange={(e) => updateTrack(track.id, 'language', e.target.value)}
+                        className={selectClassName}
+                      >
+                        <option value="">Unknown</option>
+                        {LANGUAGES.map(item => (
+                          <option key={item.code} value={item.code}>{item.name}</option>
+                        ))}
+                      </select>
+                    </div>
+                    <div>
+                      <label className="block text-xs font-medium text-gray-700 mb-1">Track name</label>
+                      <input
+                        type="text"
+                        value={track.title}
+                        onChange={(e) => updateTrack(track.id, 'title', e.target.value)}
+                        placeholder="e.g. English (SDH)"
+                        className={selectClassName}
+                      />
+                    </div>
+                    <label className="flex items-center space-x-2 text-xs font-medium text-gray-700 sm:mt-5">
+                      <input
+                        type="radio"
+                        name="default-subtitle-track"
+                        checked={defaultTrackId === track.id}
+                        onChange={() => setDefaultTrackId(track.id)}
+                        className="w-4 h-4 text-primary-600 focus:ring-primary-500"
+                      />
+                      <span>Show by default</span>
+                    </label>
+                  </div>
+                  {track.source === 'transcript' && (
+                    <div className="grid grid-cols-1 sm:grid-cols-3 gap-3 mt-3">
+                      <div className="sm:col-span-2">
+                        <label className="block text-xs font-medium text-gray-700 mb-1">Caption standard</label>
+                        <select
+                          value={captionOptions.preset}
+                          onChange={(e) => setCaptionOptions(prev => ({ ...prev, preset: e.target.value }))}
+                          className={selectClassName}
+                        >
+                          {getCaptionPresets().map(preset => (
+                            <option key={preset.id} value={preset.id}>{preset.name}</option>
+                          ))}
+                        </select>
+                      </div>
+                      <label className="flex items-center space-x-2 text-xs font-medium text-gray-700 sm:mt-5">
+                        <input
+                          type="checkbox"
+                          checked={captionOptions.speakerPrefix}
+                          onChange={(e) => setCaptionOptions(prev => ({ ...prev, speakerPrefix: e.target.checked }))}
+                          className="w-4 h-4 text-primary-600 rounded focus:ring-primary-500"
+                        />
+                        <span>Speaker names</span>
+                      </label>
+                    </div>
+                  )}
+                </div>
+              ))}
+
+              <button
+                onClick={() => fileInputRef.current && fileInputRef.current.click()}
+                disabled={isMuxing}
+                className="flex items-center space-x-2 px-3 py-2 rounded-lg text-sm font-medium bg-gray-100 text-gray-700 hover:bg-gray-200 transition-colors"
+              >
+                <SafeIcon icon={FiPlus} className="w-4 h-4" />
+                <span>Add subtitle file (.srt, .vtt, .sbv)</span>
+              </button>
+              <input
+                ref={fileInputRef}
+                type="file"
+                accept=".srt,.vtt,.sbv"
+                onChange={handleAddFile}
+                className="hidden"
+              />
+            </div>
+
+            {/* Container */}
+            <div>
+              <label className="block text-xs font-medium text-gray-700 mb-1">Output container</label>
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+                {containers.map(item => (
+                  <button
+                    key={item.value}
+                    onClick={() => setContainer(item.value)}
+                    className={`text-left p-3 rounded-lg border transition-colors ${
+                      container === item.value ? 'border-primary-500 bg-primary-50' : 'border-gray-200 hover:bg-gray-50'
+                    }`}
+                  >
+                    <p className="text-sm font-medium text-gray-900">{item.label}</p>
+                    <p className="text-xs text-gray-500">{item.description}</p>
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            {isVideoTooLarge && (
+              <div className="flex items-start space-x-2 p-3 bg-amber-50 border border-amber-200 text-amber-800 rounded-lg text-sm">
+                <SafeIcon icon={FiAlertTriangle} className="w-4 h-4 mt-0.5 flex-shrink-0" />
+                <span>
+                  This video is larger than {MAX_MUX_FILE_SIZE / (1024 * 1024)} MB, which is more than the browser can process in memory.
+                  Export the subtitles as files and add them with a desktop tool instead.
+                </span>
+              </div>
+            )}
+
+            {isMuxing && (
+              <div>
+                <div className="flex justify-between text-sm text-gray-600 mb-1">
+                  <span>{progressStage}</span>
+                  <span>{progress}%</span>
+                </div>
+                <div className="w-full bg-gray-200 rounded-full h-2">
+                  <div className="bg-primary-500 h-2 rounded-full transition-all" style={{ width: `${progress}%` }} />
+                </div>
+              </div>
+            )}
+
+            {result && (
+              <div className="flex items-center space-x-2 p-3 bg-green-50 border border-green-200 text-green-700 rounded-lg text-sm">
+                <SafeIcon icon={FiCheck} className="w-4 h-4" />
+                <span>{result.filename} downloaded ({(result.size / (1024 * 1024)).toFixed(1)} MB)</span>
+              </div>
+            )}
+
+            {error && (
+              <div className="flex items-start space-x-2 p-3 bg-red-50 border border-red-200 text-red-700 rounded-lg text-sm">
+                <SafeIcon icon={FiAlertTriangle} className="w-4 h-4 mt-0.5 flex-shrink-0" />
+                <span>{error}</span>
+              </div>
+            )}
+          </div>
+
+          {/* Footer */}
+          <div className="flex items-center justify-end space-x-3 p-6 border-t border-gray-100 bg-gray-50 rounded-b-xl">
+            <button
+              onClick={handleClose}
+              disabled={isMuxing}
+              className="px-4 py-2 text-gray-700 hover:text-gray-900 transition-colors"
+            >
+              Close
+            </button>
+            <motion.button
+              whileHover={{ scale: isMuxing ? 1 : 1.02 }}
+              whileTap={{ scale: isMuxing ? 1 : 0.98 }}
+              onClick={handleMux}
+              disabled={isMuxing || tracks.length === 0 || isVideoTooLarge}
+              className="flex items-center space-x-2 px-6 py-2 rounded-lg font-medium bg-primary-500 text-white hover:bg-primary-600 transition-colors disabled:bg-gray-300 disabled:text-gray-500 disabled:cursor-not-allowed"
+            >
+              <SafeIcon icon={isMuxing ? FiLoader : FiLayers} className={`w-4 h-4 ${isMuxing ? 'animate-spin' : ''}`} />
+              <span>{isMuxing ? 'Processing...' : `Export ${container.toUpperCase()}`}</span>
+            </motion.button>
+          </div>
+        </motion.div>
+      </div>
+    </AnimatePresence>
+  );
+};
+
+export default SubtitleTrackExport;
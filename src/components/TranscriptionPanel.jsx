@@ -1,17 +1,30 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import SafeIcon from '../common/SafeIcon';
+import { getSpeakers, getSpeakerColor } from '../common/speakerColors';
+import { splitSegment, mergeWithNextSegment, retimeSegment, findOverlappingSegments } from '../services/segmentEditService';
 import * as FiIcons from 'react-icons/fi';
 
-const { FiEdit3, FiCopy, FiDownload, FiSearch, FiClock, FiCheck, FiSave, FiTrash2, FiCheckCircle } = FiIcons;
+const { FiEdit3, FiCopy, FiDownload, FiSearch, FiClock, FiCheck, FiSave, FiTrash2, FiCheckCircle, FiLoader, FiAlertCircle, FiRotateCcw, FiRotateCw, FiList, FiScissors, FiLink, FiAlertTriangle, FiMinus, FiPlus } = FiIcons;
 
-const TranscriptionPanel = ({ transcriptionData = [], currentTime = 0, onJumpToTime, isTranscribing = false }) => {
+const saveStatusLabels = {
+  dirty: { label: 'Unsaved edits', icon: FiEdit3, className: 'text-amber-600' },
+  saving: { label: 'Saving...', icon: FiLoader, className: 'text-gray-500' },
+  saved: { label: 'All changes saved', icon: FiCheck, className: 'text-green-600' },
+  error: { label: 'Save failed', icon: FiAlertCircle, className: 'text-red-600' }
+};
+
+const TranscriptionPanel = ({ transcriptionData = [], currentTime = 0, onJumpToTime, onSpeakerChange, onSegmentsChange, saveStatus, onUndo, onRedo, canUndo = false, canRedo = false, onShowHistory, isTranscribing = false }) => {
   const [searchTerm, setSearchTerm] = useState('');
   const [editingId, setEditingId] = useState(null);
   const [editText, setEditText] = useState('');
+  const [editStart, setEditStart] = useState(0);
+  const [editEnd, setEditEnd] = useState(0);
   const [editedData, setEditedData] = useState([]);
   const [copiedIndex, setCopiedIndex] = useState(null);
 
+  const textareaRef = useRef(null);
+
   // Initialize edited data when transcription data changes
   useEffect(() => {
     if (Array.isArray(transcriptionData)) {
@@ -22,6 +35,27 @@ const TranscriptionPanel = ({ transcriptionData = [], currentTime = 0, onJumpToT
     }
   }, [transcriptionData]);
 
+  // Ctrl/Cmd+Z undoes, Ctrl/Cmd+Shift+Z or Ctrl/Cmd+Y redoes, unless the user is typing
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey)) return;
+      const target = e.target;
+      if (target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.tagName === 'SELECT' || target.isContentEditable)) return;
+
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey && canUndo && typeof onUndo === 'function') {
+        e.preventDefault();
+        onUndo();
+      } else if (((key === 'z' && e.shiftKey) || key === 'y') && canRedo && typeof onRedo === 'function') {
+        e.preventDefault();
+        onRedo();
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onUndo, onRedo, canUndo, canRedo]);
+
   // Make sure transcription data is valid before filtering
   const filteredData = Array.isArray(editedData) 
     ? editedData.filter(item => 
@@ -29,21 +63,108 @@ const TranscriptionPanel = ({ transcriptionData = [], currentTime = 0, onJumpToT
       )
     : [];
 
+  const speakers = getSpeakers(editedData);
+  const overlappingIds = findOverlappingSegments(editedData);
+
+  // A new speaker group starts whenever the speaker changes between visible segments
+  const startsSpeakerGroup = (item, index) => {
+    if (!item.speaker) return false;
+    return index === 0 || filteredData[index - 1]?.speaker !== item.speaker;
+  };
+
   const handleEdit = (item) => {
     if (!item || !item.id) return;
     setEditingId(item.id);
     setEditText(item.text || '');
+    setEditStart(item.startTime);
+    setEditEnd(item.endTime);
   };
 
-  const handleSaveEdit = (id) => {
-    if (!id) return;
-    setEditedData(prev => 
-      prev.map(item => item.id === id ? { ...item, text: editText } : item)
-    );
+  // Let the page own the change when it persists edits, otherwise keep it local
+  const commitChange = (updatedData) => {
+    if (typeof onSegmentsChange === 'function') {
+      onSegmentsChange(updatedData);
+    } else {
+      setEditedData(updatedData);
+    }
+  };
+
+  const applyTextEdit = (data, id) => data.map(item => {
+    if (item.id !== id) return item;
+    if (item.text === editText) return item;
+    // Word timings and glossary marks no longer match once the text is rewritten
+    const { words, corrections, ...rest } = item;
+    return { ...rest, text: editText };
+  });
+
+  const stopEditing = () => {
     setEditingId(null);
     setEditText('');
   };
 
+  const handleSaveEdit = (id) => {
+    if (!id) return;
+    const segment = editedData.find(item => item.id === id);
+    const startTime = Number(editStart);
+    const endTime = Number(editEnd);
+    const textEdited = applyTextEdit(editedData, id);
+    // Retiming rounds the times and can drop word timings, so only retime when the times were changed
+    const updatedData = segment && (startTime !== segment.startTime || endTime !== segment.endTime)
+      ? retimeSegment(textEdited, id, { startTime, endTime })
+      : textEdited;
+
+    commitChange(updatedData);
+    stopEditing();
+  };
+
+  const handleSplitAtCursor = (id) => {
+    const offset = textareaRef.current ? textareaRef.current.selectionStart : 0;
+    const updatedData = splitSegment(applyTextEdit(editedData, id), id, offset);
+    if (updatedData.length === editedData.length) return;
+
+    commitChange(updatedData);
+    stopEditing();
+  };
+
+  const handleMergeWithNext = (id) => {
+    commitChange(mergeWithNextSegment(editedData, id));
+  };
+
+  const hasNextSegment = (item) => {
+    const index = editedData.findIndex(segment => segment.id === item.id);
+    return index !== -1 && index < editedData.length - 1;
+  };
+
+  const nudgeTime = (setTime, amount) => {
+    setTime(time => Math.max(0, Math.round((Number(time) + amount) * 10) / 10));
+  };
+
+  const renderTimeControl = (label, value, setValue) => (
+    <div className="flex items-center space-x-1">
+      <label className="text-xs font-medium text-gray-600">{label}:</label>
+      <button
+        onClick={() => nudgeTime(setValue, -0.1)}
+        className="p-1 text-gray-500 hover:text-gray-700 hover:bg-gray-100 rounded"
+      >
+        <SafeIcon icon={FiMinus} className="w-3 h-3" />
+      </button>
+      <input
+        type="number"
+        step="0.1"
+        min="0"
+        value={value}
+        onChange={(e) => setValue(e.target.value)}
+        className="w-20 border border-gray-200 rounded-lg px-2 py-1 text-xs focus:outline-none focus:ring-2 focus:ring-primary-500"
+      />
+      <button
+        onClick={() => nudgeTime(setValue, 0.1)}
+        className="p-1 text-gray-500 hover:text-gray-700 hover:bg-gray-100 rounded"
+      >
+        <SafeIcon icon={FiPlus} className="w-3 h-3" />
+      </button>
+    </div>
+  );
+
   const handleCopySegment = (text) => {
     if (!text) return;
     navigator.clipboard.writeText(text);
@@ -76,6 +197,66 @@ const TranscriptionPanel = ({ transcriptionData = [], currentTime = 0, onJumpToT
     return currentTime >= item.startTime && currentTime <= item.endTime;
   };
 
+  const isCurrentWord = (word) => {
+    if (!word || typeof word.start !== 'number' || typeof word.end !== 'number') return false;
+    return currentTime >= word.start && currentTime < word.end;
+  };
+
+  // Marks left behind by a split or merge point at other text and are skipped
+  const getGlossaryCorrections = (item) => {
+    const text = item.text || '';
+    return (Array.isArray(item.corrections) ? item.corrections : [])
+      .filter(correction => text.slice(correction.offset, correction.offset + correction.term.length) === correction.term)
+      .sort((a, b) => a.offset - b.offset);
+  };
+
+  const renderCorrectedText = (text, corrections) => {
+    const parts = [];
+    let position = 0;
+    corrections.forEach((correction, i) => {
+      if (correction.offset < position) return;
+      parts.push(text.slice(position, correction.offset));
+      parts.push(
+        <span
+          key={i}
+          title={`Glossary correction, transcribed as "${correction.original}"`}
+          className="underline decoration-dotted decoration-primary-500 underline-offset-2"
+        >
+          {correction.term}
+        </span>
+      );
+      position = correction.offset + correction.term.length;
+    });
+    parts.push(text.slice(position));
+    return <>{parts}</>;
+  };
+
+  const renderSegmentText = (item) => {
+    if (searchTerm || !isCurrentSegment(item) || !Array.isArray(item.words) || item.words.length === 0) {
+      const corrections = searchTerm ? [] : getGlossaryCorrections(item);
+      return corrections.length > 0
+        ? renderCorrectedText(item.text, corrections)
+        : getSearchHighlightedText(item.text || '', searchTerm);
+    }
+
+    // Prefer the segment's own tokens so punctuation stripped from word timings is kept
+    const tokens = (item.text || '').split(/\s+/).filter(Boolean);
+    const useTokens = tokens.length === item.words.length;
+
+    return (
+      <>
+        {item.words.map((word, i) => (
+          <React.Fragment key={i}>
+            {i > 0 && ' '}
+            <span className={isCurrentWord(word) ? 'bg-primary-200 text-primary-900 rounded px-0.5' : ''}>
+              {useTokens ? tokens[i] : word.word}
+            </span>
+          </React.Fragment>
+        ))}
+      </>
+    );
+  };
+
   const getSearchHighlightedText = (text, searchTerm) => {
     if (!text || !searchTerm) return text;
     try {
@@ -110,6 +291,56 @@ const TranscriptionPanel = ({ transcriptionData = [], currentTime = 0, onJumpToT
         <div className="flex items-center justify-between mb-4">
           <h3 className="text-lg font-semibold text-gray-900">Transcription</h3>
           <div className="flex items-center space-x-2">
+            {saveStatus && saveStatusLabels[saveStatus] && (
+              <span className={`flex items-center space-x-1 text-xs font-medium ${saveStatusLabels[saveStatus].className}`}>
+                <SafeIcon
+                  icon={saveStatusLabels[saveStatus].icon}
+                  className={`w-3 h-3 ${saveStatus === 'saving' ? 'animate-spin' : ''}`}
+                />
+                <span>{saveStatusLabels[saveStatus].label}</span>
+              </span>
+            )}
+            {overlappingIds.size > 0 && (
+              <span className="flex items-center space-x-1 text-xs font-medium text-amber-600">
+                <SafeIcon icon={FiAlertTriangle} className="w-3 h-3" />
+                <span>{overlappingIds.size} overlapping</span>
+              </span>
+            )}
+            {typeof onUndo === 'function' && (
+              <motion.button
+                whileHover={{ scale: 1.05 }}
+                whileTap={{ scale: 0.95 }}
+                onClick={onUndo}
+                disabled={!canUndo}
+                title="Undo (Ctrl+Z)"
+                className="p-2 text-gray-600 hover:text-gray-900 hover:bg-gray-100 rounded-lg transition-colors disabled:opacity-50"
+              >
+                <SafeIcon icon={FiRotateCcw} className="w-4 h-4" />
+              </motion.button>
+            )}
+            {typeof onRedo === 'function' && (
+              <motion.button
+                whileHover={{ scale: 1.05 }}
+                whileTap={{ scale: 0.95 }}
+                onClick={onRedo}
+                disabled={!canRedo}
+                title="Redo (Ctrl+Shift+Z)"
+                className="p-2 text-gray-600 hover:text-gray-900 hover:bg-gray-100 rounded-lg transition-colors disabled:opacity-50"
+              >
+                <SafeIcon icon={FiRotateCw} className="w-4 h-4" />
+              </motion.button>
+            )}
+            {typeof onShowHistory === 'function' && (
+              <motion.button
+                whileHover={{ scale: 1.05 }}
+                whileTap={{ scale: 0.95 }}
+                onClick={onShowHistory}
+                title="Revision history"
+                className="p-2 text-gray-600 hover:text-gray-900 hover:bg-gray-100 rounded-lg transition-colors"
+              >
+                <SafeIcon icon={FiList} className="w-4 h-4" />
+              </motion.button>
+            )}
             <motion.button
               whileHover={{ scale: 1.05 }}
               whileTap={{ scale: 0.95 }}
@@ -174,8 +405,16 @@ const TranscriptionPanel = ({ transcriptionData = [], currentTime = 0, onJumpToT
                   transition={{ duration: 0.3, delay: index * 0.05 }}
                   className={`p-4 rounded-lg border transition-all duration-200 ${
                     isCurrentSegment(item) ? 'border-primary-500 bg-primary-50' : 'border-gray-200 hover:border-gray-300'
-                  }`}
+                  } ${item.speaker ? `border-l-4 ${getSpeakerColor(item.speaker, speakers).border}` : ''}`}
                 >
+                  {startsSpeakerGroup(item, index) && (
+                    <div className="flex items-center space-x-2 mb-2">
+                      <span className={`w-2 h-2 rounded-full ${getSpeakerColor(item.speaker, speakers).dot}`}></span>
+                      <span className={`px-2 py-0.5 rounded-full text-xs font-semibold ${getSpeakerColor(item.speaker, speakers).badge}`}>
+                        {item.speaker}
+                      </span>
+                    </div>
+                  )}
                   <div className="flex items-start justify-between mb-2">
                     <motion.button
                       whileHover={{ scale: 1.02 }}
@@ -184,8 +423,25 @@ const TranscriptionPanel = ({ transcriptionData = [], currentTime = 0, onJumpToT
                     >
                       <SafeIcon icon={FiClock} className="w-4 h-4" />
                       <span>{formatTime(item.startTime)} - {formatTime(item.endTime)}</span>
+                      {overlappingIds.has(item.id) && (
+                        <span className="flex items-center space-x-1 text-xs text-amber-600" title="Starts before the previous segment ends">
+                          <SafeIcon icon={FiAlertTriangle} className="w-3 h-3" />
+                          <span>Overlap</span>
+                        </span>
+                      )}
                     </motion.button>
                     <div className="flex items-center space-x-1">
+                      {!searchTerm && hasNextSegment(item) && (
+                        <motion.button
+                          whileHover={{ scale: 1.1 }}
+                          whileTap={{ scale: 0.9 }}
+                          onClick={() => handleMergeWithNext(item.id)}
+                          title="Merge with next segment"
+                          className="p-1 text-gray-400 hover:text-gray-600 transition-colors"
+                        >
+                          <SafeIcon icon={FiLink} className="w-3 h-3" />
+                        </motion.button>
+                      )}
                       <motion.button
                         whileHover={{ scale: 1.1 }}
                         whileTap={{ scale: 0.9 }}
@@ -220,18 +476,52 @@ const TranscriptionPanel = ({ transcriptionData = [], currentTime = 0, onJumpToT
                         onChange={(e) => setEditText(e.target.value)}
                         className="w-full p-2 border border-gray-200 rounded-lg resize-none focus:outline-none focus:ring-2 focus:ring-primary-500"
                         rows="3"
+                        ref={textareaRef}
                         autoFocus
                       />
+                      <div className="flex flex-wrap items-center gap-3">
+                        {renderTimeControl('Start', editStart, setEditStart)}
+                        {renderTimeControl('End', editEnd, setEditEnd)}
+                      </div>
+                      {Number(editEnd) <= Number(editStart) && (
+                        <p className="text-xs text-red-600">The end time must be after the start time.</p>
+                      )}
+                      {speakers.length > 0 && typeof onSpeakerChange === 'function' && (
+                        <div className="flex items-center space-x-2">
+                          <label className="text-xs font-medium text-gray-600">Speaker:</label>
+                          <select
+                            value={item.speaker || ''}
+                            onChange={(e) => onSpeakerChange(item.id, e.target.value)}
+                            className="border border-gray-200 rounded-lg px-2 py-1 text-xs focus:outline-none focus:ring-2 focus:ring-primary-500"
+                          >
+                            <option value="">No speaker</option>
+                            {speakers.map(speaker => (
+                              <option key={speaker} value={speaker}>{speaker}</option>
+                            ))}
+                          </select>
+                        </div>
+                      )}
                       <div className="flex items-center space-x-2">
                         <motion.button
                           whileHover={{ scale: 1.05 }}
                           whileTap={{ scale: 0.95 }}
                           onClick={() => handleSaveEdit(item.id)}
-                          className="flex items-center space-x-1 px-3 py-1 bg-green-500 text-white text-sm rounded-lg hover:bg-green-600"
+                          disabled={Number(editEnd) <= Number(editStart)}
+                          className="flex items-center space-x-1 px-3 py-1 bg-green-500 text-white text-sm rounded-lg hover:bg-green-600 disabled:opacity-50"
                         >
                           <SafeIcon icon={FiSave} className="w-3 h-3" />
                           <span>Save</span>
                         </motion.button>
+                        <motion.button
+                          whileHover={{ scale: 1.05 }}
+                          whileTap={{ scale: 0.95 }}
+                          onClick={() => handleSplitAtCursor(item.id)}
+                          title="Split the segment at the cursor"
+                          className="flex items-center space-x-1 px-3 py-1 bg-gray-200 text-gray-700 text-sm rounded-lg hover:bg-gray-300"
+                        >
+                          <SafeIcon icon={FiScissors} className="w-3 h-3" />
+                          <span>Split</span>
+                        </motion.button>
                         <button
                           onClick={() => setEditingId(null)}
                           className="px-3 py-1 text-gray-600 text-sm hover:text-gray-800"
@@ -242,7 +532,7 @@ const TranscriptionPanel = ({ transcriptionData = [], currentTime = 0, onJumpToT
                     </div>
                   ) : (
                     <p className="text-gray-700 leading-relaxed">
-                      {getSearchHighlightedText(item.text || '', searchTerm)}
+                      {renderSegmentText(item)}
                     </p>
                   )}
                 </motion.div>
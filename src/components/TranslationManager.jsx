@@ -0,0 +1,241 @@
+import React, { useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { format } from 'date-fns';
+import SafeIcon from '../common/SafeIcon';
+import * as FiIcons from 'react-icons/fi';
+import { LANGUAGES, findLanguage, getLanguageName } from '../common/languages';
+import { translateSegments, countUntranslatedSegments, getTranslationSettings } from '../services/translationService';
+import { getAvailableTranslationProviders } from '../services/translationProviders';
+import { saveTranscriptionTranslation, deleteTranscriptionTranslation } from '../services/transcriptionDbService';
+
+const { FiX, FiGlobe, FiLoader, FiTrash2, FiChevronDown, FiChevronUp, FiAlertCircle } = FiIcons;
+
+const selectClassName = 'w-full border border-gray-200 rounded-lg px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-primary-500';
+
+const TranslationManager = ({
+  isOpen,
+  onClose,
+  transcriptionId,
+  transcriptionData = [],
+  sourceLanguage,
+  translations = [],
+  onTranslationsChange
+}) => {
+  const providers = getAvailableTranslationProviders();
+  const source = findLanguage(sourceLanguage);
+  // Regional variants of the source language are still useful targets, the source itself is not
+  const targetLanguages = LANGUAGES.filter(language => language.code !== source?.code);
+  const [targetLanguage, setTargetLanguage] = useState(
+    (targetLanguages.find(language => !source || language.code.split('-')[0] !== source.code.split('-')[0]) || targetLanguages[0]).code
+  );
+  const [translationSettings] = useState(getTranslationSettings);
+  const [provider, setProvider] = useState(
+    providers.some(item => item.id === translationSettings.translationProvider) ? translationSettings.translationProvider : providers[0].id
+  );
+  const [isTranslating, setIsTranslating] = useState(false);
+  const [progress, setProgress] = useState(0);
+  const [expandedId, setExpandedId] = useState(null);
+  const [error, setError] = useState(null);
+
+  const formatTime = (time) => {
+    if (typeof time !== 'number') return '0:00';
+    const minutes = Math.floor(time / 60);
+    const seconds = Math.floor(time % 60);
+    return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+  };
+
+  const formatDate = (dateString) => {
+    try {
+      return format(new Date(dateString), 'yyyy-MM-dd HH:mm');
+    } catch (e) {
+      return dateString;
+    }
+  };
+
+  const handleTranslate = async () => {
+    setIsTranslating(true);
+    setProgress(0);
+    setError(null);
+
+    try {
+      const segments = await translateSegments(transcriptionData, {
+        provider,
+        sourceLanguage,
+        targetLanguage,
+        apiBaseUrl: translationSettings.translationApiBaseUrl,
+        apiKey: translationSettings.translationApiKey,
+        model: translationSettings.translationModel,
+        progressCallback: (percent) => setProgress(Math.round(percent))
+      });
+      const saved = await saveTranscriptionTranslation(transcriptionId, { language: targetLanguage, provider, segments });
+      onTranslationsChange([
+        ...translations.filter(translation => translation.language !== saved.language),
+        saved
+      ].sort((a, b) => a.language.localeCompare(b.language)));
+      setExpandedId(saved.id);
+    } catch (err) {
+      console.error('Translation failed:', err);
+      setError(err.message || 'Failed to translate the transcript.');
+    } finally {
+      setIsTranslating(false);
+    }
+  };
+
+  const handleDelete = async (translation) => {
+    if (!window.confirm(`Delete the ${getLanguageName(translation.language)} translation?`)) return;
+    setError(null);
+
+    try {
+      await deleteTranscriptionTranslation(translation.id);
+      onTranslationsChange(translations.filter(item => item.id !== translation.id));
+    } catch (err) {
+      setError(err.message || 'Failed to delete the translation.');
+    }
+  };
+
+  const existing = translations.find(translation => translation.language === targetLanguage);
+
+  if (!isOpen) return null;
+
+  return (
+    <AnimatePresence>
+      <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+        <motion.div
+          initial={{ opacity: 0, scale: 0.9 }}
+          animate={{ opacity: 1, scale: 1 }}
+          exit={{ opacity: 0, scale: 0.9 }}
+          className="bg-white rounded-xl shadow-xl w-full max-w-2xl max-h-[90vh] flex flex-col"
+        >
+          {/* Header */}
+          <div className="flex items-center justify-between p-6 border-b border-gray-100">
+            <div>
+              <h3 className="text-xl font-semibold text-gray-900">Translations</h3>
+              <p className="text-sm text-gray-600 mt-1">
+                Translated copies keep the original timings and can be exported as bilingual subtitles
+              </p>
+            </div>
+            <button
+              onClick={onClose}
+              disabled={isTranslating}
+              className="p-2 hover:bg-gray-100 rounded-lg transition-colors"
+            >
+              <SafeIcon icon={FiX} className="w-5 h-5 text-gray-500" />
+            </button>
+          </div>
+
+          <div className="p-6 space-y-6 overflow-y-auto">
+            {/* New translation */}
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-3 items-end">
+              <div>
+                <label className="block text-xs font-medium text-gray-700 mb-1">Translate into</label>
+                <select
+                  value={targetLanguage}
+                  onChange={(e) => setTargetLanguage(e.target.value)}
+                  disabled={isTranslating}
+                  className={selectClassName}
+                >
+                  {targetLanguages.map(language => (
+                    <option key={language.code} value={language.code}>{language.name}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-xs font-medium text-gray-700 mb-1">Translation service</label>
+                <select
+                  value={provider}
+                  onChange={(e) => setProvider(e.target.value)}
+                  disabled={isTranslating}
+                  className={selectClassName}
+                >
+                  {providers.map(item => (
+                    <option key={item.id} value={item.id}>{item.name}</option>
+                  ))}
+                </select>
+              </div>
+              <motion.button
+                whileHover={{ scale: isTranslating ? 1 : 1.02 }}
+                whileTap={{ scale: isTranslating ? 1 : 0.98 }}
+                onClick={handleTranslate}
+                disabled={isTranslating || transcriptionData.length === 0}
+                className="flex items-center justify-center space-x-2 px-4 py-2 rounded-lg font-medium bg-primary-500 text-white hover:bg-primary-600 transition-colors disabled:bg-gray-300 disabled:text-gray-500 disabled:cursor-not-allowed"
+              >
+                <SafeIcon icon={isTranslating ? FiLoader : FiGlobe} className={`w-4 h-4 ${isTranslating ? 'animate-spin' : ''}`} />
+                <span>{isTranslating ? `${progress}%` : existing ? 'Translate Again' : 'Translate'}</span>
+              </motion.button>
+            </div>
+
+            {existing && !isTranslating && (
+              <p className="text-xs text-gray-500 -mt-3">
+                Translating again replaces the {getLanguageName(existing.language)} version from {formatDate(existing.updated_at || existing.created_at)}.
+              </p>
+            )}
+
+            {error && (
+              <div className="flex items-start space-x-2 p-3 bg-red-50 border border-red-200 text-red-700 rounded-lg text-sm">
+                <SafeIcon icon={FiAlertCircle} className="w-4 h-4 mt-0.5 flex-shrink-0" />
+                <span>{error}</span>
+              </div>
+            )}
+
+            {/* Language versions */}
+            <div>
+              <h4 className="text-sm font-medium text-gray-900 mb-2">Language versions</h4>
+              {translations.length === 0 ? (
+                <p className="text-sm text-gray-500">This transcript has not been translated yet.</p>
+              ) : (
+                <div className="space-y-2">
+                  {translations.map(translation => (
+                    <div key={translation.id} className="border border-gray-200 rounded-lg">
+                      <div className="flex items-center justify-between p-3">
+                        <button
+                          onClick={() => setExpandedId(expandedId === translation.id ? null : translation.id)}
+                          className="flex items-center space-x-2 text-left min-w-0"
+                        >
+                          <SafeIcon icon={expandedId === translation.id ? FiChevronUp : FiChevronDown} className="w-4 h-4 text-gray-400 flex-shrink-0" />
+                          <span className="text-sm font-medium text-gray-900">{getLanguageName(translation.language)}</span>
+                          <span className="text-xs text-gray-500 truncate">
+                            {(translation.segments || []).length} segments • {formatDate(translation.updated_at || translation.created_at)}
+                          </span>
+                          {countUntranslatedSegments(transcriptionData, translation.segments || []) > 0 && (
+                            <span
+                              className="flex items-center space-x-1 text-xs text-amber-700 flex-shrink-0"
+                              title="Segments were added after this translation was made. Translate again to update it."
+                            >
+                              <SafeIcon icon={FiAlertCircle} className="w-3 h-3" />
+                              <span>Out of date</span>
+                            </span>
+                          )}
+                        </button>
+                        <button
+                          onClick={() => handleDelete(translation)}
+                          disabled={isTranslating}
+                          className="p-1.5 text-gray-400 hover:text-red-600 rounded transition-colors"
+                          title="Delete translation"
+                        >
+                          <SafeIcon icon={FiTrash2} className="w-4 h-4" />
+                        </button>
+                      </div>
+
+                      {expandedId === translation.id && (
+                        <div className="border-t border-gray-100 max-h-64 overflow-y-auto divide-y divide-gray-50">
+                          {(translation.segments || []).map((segment, index) => (
+                            <div key={segment.id ?? index} className="flex gap-3 px-3 py-2 text-sm">
+                              <span className="text-xs text-gray-400 font-mono pt-0.5 flex-shrink-0">{formatTime(segment.startTime)}</span>
+                              <p className="text-gray-700">{segment.text}</p>
+                            </div>
+                          ))}
+                        </div>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          </div>
+        </motion.div>
+      </div>
+    </AnimatePresence>
+  );
+};
+
+export default TranslationManager;
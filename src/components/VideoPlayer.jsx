@@ -2,10 +2,11 @@ import React, { forwardRef, useEffect, useState } from 'react';
 import { motion } from 'framer-motion';
 import SafeIcon from '../common/SafeIcon';
 import * as FiIcons from 'react-icons/fi';
+import { getCaptionOverlayStyle, DEFAULT_CAPTION_STYLE } from '../services/captionStyleService';
 
 const { FiPlay, FiPause, FiVolume2, FiVolumeX, FiMaximize, FiMinimize, FiSettings } = FiIcons;
 
-const VideoPlayer = forwardRef(({ videoFile, onTimeUpdate, transcriptionData, currentTime }, ref) => {
+const VideoPlayer = forwardRef(({ videoFile, onTimeUpdate, transcriptionData, currentTime, captionStyle = DEFAULT_CAPTION_STYLE }, ref) => {
   const [isPlaying, setIsPlaying] = useState(false);
   const [duration, setDuration] = useState(0);
   const [volume, setVolume] = useState(1);
@@ -13,6 +14,7 @@ const VideoPlayer = forwardRef(({ videoFile, onTimeUpdate, transcriptionData, cu
   const [showControls, setShowControls] = useState(true);
   const [isFullscreen, setIsFullscreen] = useState(false);
   const [prevVolume, setPrevVolume] = useState(1);
+  const [playerHeight, setPlayerHeight] = useState(256);
   const containerRef = React.useRef(null);
 
   useEffect(() => {
@@ -43,6 +45,22 @@ const VideoPlayer = forwardRef(({ videoFile, onTimeUpdate, transcriptionData, cu
     };
   }, [ref, onTimeUpdate]);
 
+  // Track the displayed video height so captions scale with the player, including in fullscreen
+  useEffect(() => {
+    const video = ref.current;
+    if (!video) return;
+
+    const measure = () => {
+      if (video.clientHeight > 0) setPlayerHeight(video.clientHeight);
+    };
+    measure();
+
+    if (typeof ResizeObserver === 'undefined') return;
+    const observer = new ResizeObserver(measure);
+    observer.observe(video);
+    return () => observer.disconnect();
+  }, [ref]);
+
   // Handle fullscreen changes
   useEffect(() => {
     const handleFullscreenChange = () => {
@@ -153,6 +171,14 @@ const VideoPlayer = forwardRef(({ videoFile, onTimeUpdate, transcriptionData, cu
 
   const currentTranscript = getCurrentTranscription();
 
+  // Same caption style as burned-in exports, scaled to the displayed video height
+  const overlayStyle = getCaptionOverlayStyle(captionStyle, playerHeight);
+  const overlayPosition = {
+    top: isFullscreen ? 'top-8' : 'top-4',
+    middle: 'inset-y-0 flex items-center',
+    bottom: isFullscreen ? 'bottom-24' : 'bottom-16'
+  }[captionStyle.position] || (isFullscreen ? 'bottom-24' : 'bottom-16');
+
   return (
     <motion.div
       initial={{ opacity: 0, y: 20 }}
@@ -176,13 +202,16 @@ const VideoPlayer = forwardRef(({ videoFile, onTimeUpdate, transcriptionData, cu
 
         {/* Current Transcription Overlay */}
         {currentTranscript && (
-          <motion.div
-            initial={{ opacity: 0, y: 20 }}
-            animate={{ opacity: 1, y: 0 }}
-            className={`absolute ${isFullscreen ? 'bottom-24' : 'bottom-16'} left-4 right-4 bg-black bg-opacity-80 text-white p-4 rounded-lg`}
-          >
-            <p className={`${isFullscreen ? 'text-lg' : 'text-sm'} font-medium`}>{currentTranscript.text}</p>
-          </motion.div>
+          <div className={`absolute ${overlayPosition} left-4 right-4`}>
+            <motion.div
+              initial={{ opacity: 0, y: 20 }}
+              animate={{ opacity: 1, y: 0 }}
+              className="w-full rounded-lg"
+              style={overlayStyle.box}
+            >
+              <p style={overlayStyle.text}>{currentTranscript.text}</p>
+            </motion.div>
+          </div>
         )}
 
         {/* Video Controls */}
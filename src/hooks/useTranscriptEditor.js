@@ -0,0 +1,216 @@
+import { useState, useRef, useCallback } from 'react';
+import {
+  updateTranscriptionSegments,
+  insertTranscriptionSegments,
+  deleteTranscriptionSegments,
+  saveSegmentRevisions,
+  getTranscriptionSegments
+} from '../services/transcriptionDbService';
+import {
+  getSegmentUpdates,
+  getAddedSegments,
+  getRemovedSegmentIds,
+  toRevisionSnapshot
+} from '../services/segmentEditService';
+
+const MAX_HISTORY = 100;
+
+/**
+ * Keep an editable copy of a transcript, with undo/redo, and auto-save changes for saved transcriptions
+ * @param {string|null} transcriptionId - ID of the saved transcription, or null while unsaved
+ * @returns {Object} - { segments, loadSegments, applyChange, undo, redo, canUndo, canRedo, saveStatus, saveError }
+ *   saveStatus is one of 'saved', 'dirty' (edited but not in the library), 'saving' or 'error';
+ *   after an error the segments are reloaded from the library
+ */
+export const useTranscriptEditor = (transcriptionId) => {
+  const [segments, setSegments] = useState([]);
+  const [saveStatus, setSaveStatus] = useState('saved');
+  const [saveError, setSaveError] = useState(null);
+  const [historySize, setHistorySize] = useState({ past: 0, future: 0 });
+
+  const segmentsRef = useRef(segments);
+  const pendingSaves = useRef(0);
+  const failedSave = useRef(null);
+  const saveQueue = useRef(Promise.resolve());
+  const storedIds = useRef(new Map());
+  const past = useRef([]);
+  const future = useRef([]);
+
+  const updateSegments = (next) => {
+    segmentsRef.current = next;
+    setSegments(next);
+  };
+
+  const updateHistorySize = () => {
+    setHistorySize({ past: past.current.length, future: future.current.length });
+  };
+
+  const hasChanges = (previous, next) => (
+    getSegmentUpdates(previous, next).length > 0 ||
+    getAddedSegments(previous, next).length > 0 ||
+    getRemovedSegmentIds(previous, next).length > 0
+  );
+
+  // Swap temporary ids of newly stored segments for their database ids
+  const withStoredIds = (list) => list.map(segment => (
+    storedIds.current.has(segment.id) ? { ...segment, id: storedIds.current.get(segment.id) } : segment
+  ));
+
+  const applyStoredIds = () => {
+    past.current = past.current.map(withStoredIds);
+    future.current = future.current.map(withStoredIds);
+    updateSegments(withStoredIds(segmentsRef.current));
+  };
+
+  // Write changed segments to the database, keeping their previous state as revisions
+  const writeChanges = async (previous, next) => {
+    const before = withStoredIds(previous);
+    const after = withStoredIds(next);
+    const updates = getSegmentUpdates(before, after);
+    const added = getAddedSegments(before, after);
+    const removedIds = getRemovedSegmentIds(before, after);
+
+    await deleteTranscriptionSegments(removedIds);
+    const updatedIds = new Set(updates.map(({ id }) => id));
+    await updateTranscriptionSegments(transcriptionId, after.filter(segment => updatedIds.has(segment.id)));
+
+    let inserted = [];
+    if (added.length > 0) {
+      inserted = await insertTranscriptionSegments(transcriptionId, added);
+      added.forEach((segment, index) => storedIds.current.set(segment.id, inserted[index].id));
+      applyStoredIds();
+    }
+
+    // Splits insert segments and merges delete them, so those are recorded too for whole-transcript restores
+    const previousById = new Map(before.map(segment => [segment.id, segment]));
+    try {
+      await saveSegmentRevisions(transcriptionId, [
+        ...updates.map(({ id }) => ({ segmentId: id, action: 'update', previous: toRevisionSnapshot(previousById.get(id)) })),
+        ...inserted.map(({ id }) => ({ segmentId: id, action: 'insert', previous: null })),
+        ...removedIds.map(id => ({ segmentId: id, action: 'delete', previous: toRevisionSnapshot(previousById.get(id)) }))
+      ]);
+    } catch (error) {
+      // The edit itself is saved; a missing revision should not block editing
+      console.warn('Failed to record revision history:', error);
+    }
+  };
+
+  // Segment writes are separate requests, so after a failure the editor shows what actually got stored
+  const reloadStoredSegments = async (error) => {
+    try {
+      const stored = await getTranscriptionSegments(transcriptionId);
+      updateSegments(stored);
+      past.current = [];
+      future.current = [];
+      updateHistorySize();
+      setSaveError(`${error.message}. The transcript was reloaded from the library.`);
+    } catch (reloadError) {
+      console.error('Failed to reload transcript after a save error:', reloadError);
+    }
+  };
+
+  const persist = async (previous, next) => {
+    if (!hasChanges(previous, next)) return;
+
+    if (!transcriptionId) {
+      setSaveStatus('dirty');
+      return;
+    }
+
+    pendingSaves.current += 1;
+    setSaveStatus('saving');
+    setSaveError(null);
+
+    // Saves run one after another so inserted segments have their ids before the next edit is written
+    const save = saveQueue.current.then(() => writeChanges(previous, next));
+    saveQueue.current = save.catch(() => {});
+
+    try {
+      await save;
+    } catch (error) {
+      console.error('Failed to save transcript changes:', error);
+      failedSave.current = error;
+      setSaveStatus('error');
+      setSaveError(error.message);
+    }
+
+    pendingSaves.current -= 1;
+    if (pendingSaves.current > 0) return;
+
+    // Every queued change now uses database ids, so temporary ids may be reused
+    storedIds.current = new Map();
+    const error = failedSave.current;
+    if (!error) {
+      setSaveStatus('saved');
+      return;
+    }
+    failedSave.current = null;
+    await reloadStoredSegments(error);
+  };
+
+  // Replace the transcript without saving, e.g. after transcribing or loading from the database
+  const loadSegments = useCallback((next) => {
+    updateSegments(Array.isArray(next) ? next : []);
+    storedIds.current = new Map();
+    failedSave.current = null;
+    past.current = [];
+    future.current = [];
+    updateHistorySize();
+    setSaveStatus('saved');
+    setSaveError(null);
+  }, []);
+
+  // Apply an edited copy of the transcript and persist whatever changed
+  const applyChange = useCallback(async (next) => {
+    const previous = segmentsRef.current;
+    if (!hasChanges(previous, next)) {
+      updateSegments(next);
+      return;
+    }
+
+    past.current = [...past.current, previous].slice(-MAX_HISTORY);
+    future.current = [];
+    updateHistorySize();
+    updateSegments(next);
+
+    await persist(previous, next);
+  }, [transcriptionId]);
+
+  const undo = useCallback(async () => {
+    if (past.current.length === 0) return;
+    const previous = segmentsRef.current;
+    const restored = past.current[past.current.length - 1];
+
+    past.current = past.current.slice(0, -1);
+    future.current = [...future.current, previous];
+    updateHistorySize();
+    updateSegments(restored);
+
+    await persist(previous, restored);
+  }, [transcriptionId]);
+
+  const redo = useCallback(async () => {
+    if (future.current.length === 0) return;
+    const previous = segmentsRef.current;
+    const restored = future.current[future.current.length - 1];
+
+    future.current = future.current.slice(0, -1);
+    past.current = [...past.current, previous];
+    updateHistorySize();
+    updateSegments(restored);
+
+    await persist(previous, restored);
+  }, [transcriptionId]);
+
+  return {
+    segments,
+    loadSegments,
+    applyChange,
+    undo,
+    redo,
+    canUndo: historySize.past > 0,
+    canRedo: historySize.future > 0,
+    saveStatus,
+    saveError
+  };
+};
@@ -2,21 +2,42 @@ import React, { useState, useEffect } from 'react';
 import { motion } from 'framer-motion';
 import SafeIcon from '../common/SafeIcon';
 import * as FiIcons from 'react-icons/fi';
+import { getAvailableProviders, resolveTranscriptionProviderId, DEFAULT_TRANSCRIPTION_PROVIDER } from '../services/transcriptionProviders';
+import { DEFAULT_WHISPER_MODEL, getWhisperLanguageWarning } from '../services/localWhisperService';
+import OfflineModelManager from '../components/OfflineModelManager';
+import GlossaryManager from '../components/GlossaryManager';
+import { LANGUAGES, AUTO_DETECT_LANGUAGE } from '../common/languages';
+import {
+  getAvailableSummarizationProviders,
+  DEFAULT_SUMMARY_SETTINGS,
+  SUMMARY_LENGTHS,
+  SUMMARY_STYLES
+} from '../services/summarizationService';
+import { DEFAULT_POST_PROCESSING_SETTINGS, PROFANITY_MASK_STYLES } from '../services/postProcessingService';
+import { getAvailableTranslationProviders } from '../services/translationProviders';
+import { DEFAULT_TRANSLATION_SETTINGS } from '../services/translationService';
 
-const { FiUser, FiSettings, FiMic, FiGlobe, FiBell, FiSave, FiCheck, FiHardDrive } = FiIcons;
+const { FiUser, FiSettings, FiMic, FiGlobe, FiBell, FiSave, FiCheck, FiHardDrive, FiAlignLeft, FiCpu, FiBookOpen, FiAlertTriangle } = FiIcons;
 
 const SettingsPage = () => {
   const [settings, setSettings] = useState({
     language: 'en-US',
     accuracy: 'high',
+    speakerDiarization: false,
     autoSave: true,
     notifications: true,
     theme: 'light',
     apiKey: '',
+    apiProvider: DEFAULT_TRANSCRIPTION_PROVIDER,
+    apiBaseUrl: '',
+    localModel: DEFAULT_WHISPER_MODEL,
     maxFileSize: '5120', // 5GB in MB
     enableLargeFileSupport: true,
     memoryOptimization: true,
-    chunkProcessing: true
+    chunkProcessing: true,
+    ...DEFAULT_SUMMARY_SETTINGS,
+    ...DEFAULT_TRANSLATION_SETTINGS,
+    ...DEFAULT_POST_PROCESSING_SETTINGS
   });
   const [saved, setSaved] = useState(false);
 
@@ -26,6 +47,12 @@ const SettingsPage = () => {
     if (savedSettings) {
       try {
         const parsedSettings = JSON.parse(savedSettings);
+        // Providers that were removed (e.g. AssemblyAI) fall back to the default and are cleared from storage
+        const apiProvider = resolveTranscriptionProviderId(parsedSettings.apiProvider);
+        if (parsedSettings.apiProvider !== undefined && apiProvider !== parsedSettings.apiProvider) {
+          parsedSettings.apiProvider = apiProvider;
+          localStorage.setItem('transcriptionSettings', JSON.stringify(parsedSettings));
+        }
         setSettings(prev => ({ ...prev, ...parsedSettings }));
       } catch (error) {
         console.error('Failed to parse settings:', error);
@@ -46,20 +73,12 @@ const SettingsPage = () => {
     setTimeout(() => setSaved(false), 3000);
   };
 
-  const languages = [
-    { code: 'en-US', name: 'English (US)' },
-    { code: 'en-GB', name: 'English (UK)' },
-    { code: 'es-ES', name: 'Spanish' },
-    { code: 'fr-FR', name: 'French' },
-    { code: 'de-DE', name: 'German' },
-    { code: 'ja-JP', name: 'Japanese' },
-    { code: 'zh-CN', name: 'Chinese (Simplified)' },
-    { code: 'hi-IN', name: 'Hindi' },
-    { code: 'ar-SA', name: 'Arabic' },
-    { code: 'ru-RU', name: 'Russian' },
-    { code: 'pt-BR', name: 'Portuguese (Brazil)' },
-    { code: 'it-IT', name: 'Italian' }
-  ];
+  const languages = LANGUAGES;
+  const whisperLanguageWarning = getWhisperLanguageWarning(settings.localModel, settings.language);
+
+  const transcriptionProviders = getAvailableProviders();
+  const summarizationProviders = getAvailableSummarizationProviders();
+  const translationProviders = getAvailableTranslationProviders();
 
   const maxFileSizeOptions = [
     { value: '500', label: '500 MB' },
@@ -106,12 +125,14 @@ const SettingsPage = () => {
                 onChange={(e) => handleSettingChange('language', e.target.value)}
                 className="w-full border border-gray-200 rounded-lg px-3 py-2 focus:outline-none focus:ring-2 focus:ring-primary-500"
               >
+                <option value={AUTO_DETECT_LANGUAGE}>Auto-detect</option>
                 {languages.map(lang => (
                   <option key={lang.code} value={lang.code}>{lang.name}</option>
                 ))}
               </select>
               <p className="text-xs text-gray-500 mt-1">
                 The language that will be used for transcription. For best results, choose the language spoken in your videos.
+                Auto-detect listens to the first two minutes of audio to pick the language.
               </p>
             </div>
 
@@ -164,6 +185,17 @@ const SettingsPage = () => {
                     className="text-primary-600 focus:ring-primary-500 rounded"
                   />
                   <span className="text-sm text-gray-700">Auto-punctuation</span>
+                  <span className="text-xs text-gray-500">(Sentence endings and capitals)</span>
+                </label>
+                <label className="flex items-center space-x-2">
+                  <input
+                    type="checkbox"
+                    checked={settings.numberNormalization}
+                    onChange={(e) => handleSettingChange('numberNormalization', e.target.checked)}
+                    className="text-primary-600 focus:ring-primary-500 rounded"
+                  />
+                  <span className="text-sm text-gray-700">Number Normalization</span>
+                  <span className="text-xs text-gray-500">(Write "twenty five" as 25, English only)</span>
                 </label>
                 <label className="flex items-center space-x-2">
                   <input
@@ -174,7 +206,38 @@ const SettingsPage = () => {
                   />
                   <span className="text-sm text-gray-700">Profanity Filter</span>
                 </label>
+                {settings.profanityFilter && (
+                  <div className="ml-6 space-y-3">
+                    <div>
+                      <label className="block text-xs font-medium text-gray-700 mb-1">Mask Style</label>
+                      <select
+                        value={settings.profanityMaskStyle}
+                        onChange={(e) => handleSettingChange('profanityMaskStyle', e.target.value)}
+                        className="w-full border border-gray-200 rounded-lg px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-primary-500"
+                      >
+                        {Object.entries(PROFANITY_MASK_STYLES).map(([value, style]) => (
+                          <option key={value} value={value}>{style.name}</option>
+                        ))}
+                      </select>
+                    </div>
+                    <div>
+                      <label className="block text-xs font-medium text-gray-700 mb-1">Filtered Words</label>
+                      <textarea
+                        value={settings.profanityWords}
+                        onChange={(e) => handleSettingChange('profanityWords', e.target.value)}
+                        rows="4"
+                        className="w-full border border-gray-200 rounded-lg px-3 py-2 text-sm resize-y focus:outline-none focus:ring-2 focus:ring-primary-500"
+                      />
+                      <p className="text-xs text-gray-500 mt-1">
+                        One word per line. Plurals and endings such as -ing are matched too; end a word with * to match anything starting with it.
+                      </p>
+                    </div>
+                  </div>
+                )}
               </div>
+              <p className="text-xs text-gray-500 mt-2">
+                These options clean up new transcriptions before they are shown and saved.
+              </p>
             </div>
           </div>
         </motion.div>
@@ -404,16 +467,285 @@ const SettingsPage = () => {
                 onChange={(e) => handleSettingChange('apiProvider', e.target.value)}
                 className="w-full border border-gray-200 rounded-lg px-3 py-2 focus:outline-none focus:ring-2 focus:ring-primary-500"
               >
-                <option value="openai">OpenAI Whisper</option>
-                <option value="assembly">AssemblyAI</option>
-                <option value="google">Google Speech-to-Text</option>
-                <option value="azure">Microsoft Azure Speech</option>
-                <option value="aws">Amazon Transcribe</option>
+                {transcriptionProviders.map(provider => (
+                  <option key={provider.id} value={provider.id}>{provider.name}</option>
+                ))}
+              </select>
+              <p className="text-xs text-gray-500 mt-1">
+                Select your preferred transcription service provider. The mock provider returns sample text and is intended for testing.
+              </p>
+            </div>
+
+            {settings.apiProvider !== 'mock' && settings.apiProvider !== 'local' && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  API URL
+                </label>
+                <input
+                  type="text"
+                  value={settings.apiBaseUrl}
+                  onChange={(e) => handleSettingChange('apiBaseUrl', e.target.value)}
+                  placeholder={settings.apiProvider === 'whispercpp' ? 'http://127.0.0.1:8080' : 'https://api.openai.com/v1'}
+                  className="w-full border border-gray-200 rounded-lg px-3 py-2 focus:outline-none focus:ring-2 focus:ring-primary-500"
+                />
+                <p className="text-xs text-gray-500 mt-1">
+                  Leave empty to use the provider's default address. Point this at any OpenAI-compatible or whisper.cpp server.
+                </p>
+              </div>
+            )}
+          </div>
+        </motion.div>
+
+        {/* Offline Transcription */}
+        <motion.div
+          initial={{ opacity: 0, x: -20 }}
+          animate={{ opacity: 1, x: 0 }}
+          transition={{ duration: 0.5, delay: 0.45 }}
+          className="bg-white rounded-xl shadow-sm border border-gray-100 p-6"
+        >
+          <div className="flex items-center space-x-3 mb-6">
+            <div className="p-2 bg-gray-100 rounded-lg">
+              <SafeIcon icon={FiCpu} className="w-5 h-5 text-gray-600" />
+            </div>
+            <h3 className="text-lg font-semibold text-gray-900">Offline Transcription</h3>
+          </div>
+
+          <div className="space-y-4">
+            <p className="text-sm text-gray-600">
+              With the Offline Whisper provider, audio is transcribed by a model running in your browser and never leaves this device.
+              Models are downloaded once and kept in the browser cache.
+            </p>
+            <OfflineModelManager
+              selectedModel={settings.localModel}
+              onSelect={(modelId) => handleSettingChange('localModel', modelId)}
+            />
+            {whisperLanguageWarning && (
+              <div className="flex items-start space-x-2 p-3 bg-amber-50 border border-amber-200 text-amber-800 rounded-lg text-sm">
+                <SafeIcon icon={FiAlertTriangle} className="w-4 h-4 mt-0.5 flex-shrink-0" />
+                <span>{whisperLanguageWarning}</span>
+              </div>
+            )}
+            {settings.apiProvider !== 'local' && (
+              <p className="text-xs text-gray-500">
+                Select "Offline Whisper (this device)" as the API provider to use the selected model.
+              </p>
+            )}
+          </div>
+        </motion.div>
+
+        {/* Summary Settings */}
+        <motion.div
+          initial={{ opacity: 0, x: 20 }}
+          animate={{ opacity: 1, x: 0 }}
+          transition={{ duration: 0.5, delay: 0.5 }}
+          className="bg-white rounded-xl shadow-sm border border-gray-100 p-6"
+        >
+          <div className="flex items-center space-x-3 mb-6">
+            <div className="p-2 bg-green-100 rounded-lg">
+              <SafeIcon icon={FiAlignLeft} className="w-5 h-5 text-green-600" />
+            </div>
+            <h3 className="text-lg font-semibold text-gray-900">Summaries</h3>
+          </div>
+
+          <div className="space-y-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Summarizer
+              </label>
+              <select
+                value={settings.summaryProvider}
+                onChange={(e) => handleSettingChange('summaryProvider', e.target.value)}
+                className="w-full border border-gray-200 rounded-lg px-3 py-2 focus:outline-none focus:ring-2 focus:ring-primary-500"
+              >
+                {summarizationProviders.map(provider => (
+                  <option key={provider.id} value={provider.id}>{provider.name}</option>
+                ))}
               </select>
               <p className="text-xs text-gray-500 mt-1">
-                Select your preferred transcription service provider. Each provider may require a specific API key format.
+                The local summarizer picks the most central sentences of the transcript without sending it anywhere.
               </p>
             </div>
+
+            <div className="grid grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Default Length
+                </label>
+                <select
+                  value={settings.summaryLength}
+                  onChange={(e) => handleSettingChange('summaryLength', e.target.value)}
+                  className="w-full border border-gray-200 rounded-lg px-3 py-2 focus:outline-none focus:ring-2 focus:ring-primary-500"
+                >
+                  {Object.entries(SUMMARY_LENGTHS).map(([value, length]) => (
+                    <option key={value} value={value}>{length.name}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Default Style
+                </label>
+                <select
+                  value={settings.summaryStyle}
+                  onChange={(e) => handleSettingChange('summaryStyle', e.target.value)}
+                  className="w-full border border-gray-200 rounded-lg px-3 py-2 focus:outline-none focus:ring-2 focus:ring-primary-500"
+                >
+                  {Object.entries(SUMMARY_STYLES).map(([value, style]) => (
+                    <option key={value} value={value}>{style.name}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+
+            {settings.summaryProvider === 'llm' && (
+              <>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    LLM API URL
+                  </label>
+                  <input
+                    type="text"
+                    value={settings.summaryApiBaseUrl}
+                    onChange={(e) => handleSettingChange('summaryApiBaseUrl', e.target.value)}
+                    placeholder="https://api.openai.com/v1"
+                    className="w-full border border-gray-200 rounded-lg px-3 py-2 focus:outline-none focus:ring-2 focus:ring-primary-500"
+                  />
+                  <p className="text-xs text-gray-500 mt-1">
+                    Any OpenAI-compatible chat completions server, such as a local Ollama or vLLM instance.
+                  </p>
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    LLM API Key
+                  </label>
+                  <input
+                    type="password"
+                    value={settings.summaryApiKey}
+                    onChange={(e) => handleSettingChange('summaryApiKey', e.target.value)}
+                    placeholder="Uses the transcription API key when empty"
+                    className="w-full border border-gray-200 rounded-lg px-3 py-2 focus:outline-none focus:ring-2 focus:ring-primary-500"
+                  />
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Model
+                  </label>
+                  <input
+                    type="text"
+                    value={settings.summaryModel}
+                    onChange={(e) => handleSettingChange('summaryModel', e.target.value)}
+                    placeholder="gpt-4o-mini"
+                    className="w-full border border-gray-200 rounded-lg px-3 py-2 focus:outline-none focus:ring-2 focus:ring-primary-500"
+                  />
+                </div>
+              </>
+            )}
+          </div>
+        </motion.div>
+
+        {/* Glossaries */}
+        <motion.div
+          initial={{ opacity: 0, x: -20 }}
+          animate={{ opacity: 1, x: 0 }}
+          transition={{ duration: 0.5, delay: 0.55 }}
+          className="bg-white rounded-xl shadow-sm border border-gray-100 p-6"
+        >
+          <div className="flex items-center space-x-3 mb-6">
+            <div className="p-2 bg-amber-100 rounded-lg">
+              <SafeIcon icon={FiBookOpen} className="w-5 h-5 text-amber-600" />
+            </div>
+            <h3 className="text-lg font-semibold text-gray-900">Glossaries</h3>
+          </div>
+
+          <div className="space-y-4">
+            <p className="text-sm text-gray-600">
+              Product names and jargon are passed to the transcription service as hints, and close misspellings are replaced
+              with the glossary spelling afterwards. Project glossaries are picked when starting a transcription.
+            </p>
+            <GlossaryManager />
+          </div>
+        </motion.div>
+
+        {/* Translation Settings */}
+        <motion.div
+          initial={{ opacity: 0, x: 20 }}
+          animate={{ opacity: 1, x: 0 }}
+          transition={{ duration: 0.5, delay: 0.6 }}
+          className="bg-white rounded-xl shadow-sm border border-gray-100 p-6"
+        >
+          <div className="flex items-center space-x-3 mb-6">
+            <div className="p-2 bg-indigo-100 rounded-lg">
+              <SafeIcon icon={FiGlobe} className="w-5 h-5 text-indigo-600" />
+            </div>
+            <h3 className="text-lg font-semibold text-gray-900">Translations</h3>
+          </div>
+
+          <div className="space-y-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Translation Service
+              </label>
+              <select
+                value={settings.translationProvider}
+                onChange={(e) => handleSettingChange('translationProvider', e.target.value)}
+                className="w-full border border-gray-200 rounded-lg px-3 py-2 focus:outline-none focus:ring-2 focus:ring-primary-500"
+              >
+                {translationProviders.map(provider => (
+                  <option key={provider.id} value={provider.id}>{provider.name}</option>
+                ))}
+              </select>
+              <p className="text-xs text-gray-500 mt-1">
+                The mock service only tags each line with the target language, for trying out bilingual exports.
+              </p>
+            </div>
+
+            {settings.translationProvider === 'llm' && (
+              <>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    LLM API URL
+                  </label>
+                  <input
+                    type="text"
+                    value={settings.translationApiBaseUrl}
+                    onChange={(e) => handleSettingChange('translationApiBaseUrl', e.target.value)}
+                    placeholder="https://api.openai.com/v1"
+                    className="w-full border border-gray-200 rounded-lg px-3 py-2 focus:outline-none focus:ring-2 focus:ring-primary-500"
+                  />
+                  <p className="text-xs text-gray-500 mt-1">
+                    Any OpenAI-compatible chat completions server, such as a local Ollama or vLLM instance.
+                  </p>
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    LLM API Key
+                  </label>
+                  <input
+                    type="password"
+                    value={settings.translationApiKey}
+                    onChange={(e) => handleSettingChange('translationApiKey', e.target.value)}
+                    placeholder="Uses the transcription API key when empty"
+                    className="w-full border border-gray-200 rounded-lg px-3 py-2 focus:outline-none focus:ring-2 focus:ring-primary-500"
+                  />
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Model
+                  </label>
+                  <input
+                    type="text"
+                    value={settings.translationModel}
+                    onChange={(e) => handleSettingChange('translationModel', e.target.value)}
+                    placeholder="gpt-4o-mini"
+                    className="w-full border border-gray-200 rounded-lg px-3 py-2 focus:outline-none focus:ring-2 focus:ring-primary-500"
+                  />
+                </div>
+              </>
+            )}
           </div>
         </motion.div>
       </div>
@@ -0,0 +1,418 @@
+import React, {useState, useRef, useEffect} from 'react';
+import {motion} from 'framer-motion';
+import {useParams, useNavigate} from 'react-router-dom';
+import {format} from 'date-fns';
+import VideoPlayer from '../components/VideoPlayer';
+import TranscriptionPanel from '../components/TranscriptionPanel';
+import ExportModal from '../components/ExportModal';
+import SpeakerManager from '../components/SpeakerManager';
+import RevisionHistory from '../components/RevisionHistory';
+import SubtitleImport from '../components/SubtitleImport';
+import CaptionVideoExport from '../components/CaptionVideoExport';
+import SubtitleTrackExport from '../components/SubtitleTrackExport';
+import TranslationManager from '../components/TranslationManager';
+import SafeIcon from '../common/SafeIcon';
+import * as FiIcons from 'react-icons/fi';
+import {getTranscriptionWithSegments, getTranscriptionTranslations} from '../services/transcriptionDbService';
+import {reassignSegmentSpeaker} from '../services/speakerService';
+import {createSegmentId} from '../services/segmentEditService';
+import {getCaptionStyle} from '../services/captionStyleService';
+import {useTranscriptEditor} from '../hooks/useTranscriptEditor';
+
+const {FiArrowLeft, FiDownload, FiFilm, FiAlertCircle, FiAlertTriangle, FiClock, FiGlobe, FiFileText, FiLayers} = FiIcons;
+
+const TranscriptionDetailPage = () => {
+  const {id} = useParams();
+  const navigate = useNavigate();
+
+  const [transcription, setTranscription] = useState(null);
+  const {
+    segments: transcriptionData,
+    loadSegments,
+    applyChange,
+    undo,
+    redo,
+    canUndo,
+    canRedo,
+    saveStatus,
+    saveError
+  } = useTranscriptEditor(id);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [mediaFile, setMediaFile] = useState(null);
+  const [mediaUrl, setMediaUrl] = useState(null);
+  const [currentTime, setCurrentTime] = useState(0);
+  const [showExportModal, setShowExportModal] = useState(false);
+  const [showRevisionHistory, setShowRevisionHistory] = useState(false);
+  const [showCaptionVideoExport, setShowCaptionVideoExport] = useState(false);
+  const [showSubtitleTrackExport, setShowSubtitleTrackExport] = useState(false);
+  const [showTranslations, setShowTranslations] = useState(false);
+  const [translations, setTranslations] = useState([]);
+  const [captionStyle, setCaptionStyle] = useState(getCaptionStyle);
+
+  const videoRef = useRef(null);
+  const audioRef = useRef(null);
+
+  useEffect(() => {
+    fetchTranscription();
+  }, [id]);
+
+  // Release the object URL when the media changes or the page unmounts
+  useEffect(() => {
+    if (!mediaFile) return;
+    const url = URL.createObjectURL(mediaFile);
+    setMediaUrl(url);
+    return () => URL.revokeObjectURL(url);
+  }, [mediaFile]);
+
+  const fetchTranscription = async () => {
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      const data = await getTranscriptionWithSegments(id);
+      setTranscription(data);
+      loadSegments(data.segments || []);
+    } catch (err) {
+      console.error('Failed to load transcription:', err);
+      setError('Failed to load this transcription. It may have been deleted.');
+    } finally {
+      setIsLoading(false);
+    }
+
+    // Translations are optional, so the transcript still opens when they fail to load
+    try {
+      setTranslations(await getTranscriptionTranslations(id));
+    } catch (err) {
+      setTranslations([]);
+    }
+  };
+
+  const isAudioOnly = mediaFile ? mediaFile.type.startsWith('audio/') : false;
+
+  const handleMediaSelect = (e) => {
+    const file = e.target.files && e.target.files[0];
+    if (file) {
+      setMediaFile(file);
+    }
+  };
+
+  const handleTimeUpdate = (time) => {
+    setCurrentTime(time);
+  };
+
+  const jumpToTime = (time) => {
+    if (isAudioOnly && audioRef.current) {
+      audioRef.current.currentTime = time;
+    } else if (videoRef.current) {
+      videoRef.current.currentTime = time;
+    }
+  };
+
+  const handleSegmentSpeakerChange = (segmentId, speaker) => {
+    applyChange(reassignSegmentSpeaker(transcriptionData, segmentId, speaker));
+  };
+
+  // Imported cues are numbered from 1 like stored rows, so give them temporary ids: the editor
+  // then deletes the stored segments and inserts the imported ones instead of overwriting by id
+  const handleSubtitleImport = (segments) => {
+    applyChange(segments.map(segment => ({...segment, id: createSegmentId()})));
+  };
+
+  const formatDuration = (seconds) => {
+    if (typeof seconds !== 'number') return '0:00';
+    const minutes = Math.floor(seconds / 60);
+    const remainingSeconds = Math.floor(seconds % 60);
+    return `${minutes}:${remainingSeconds.toString().padStart(2, '0')}`;
+  };
+
+  const formatDate = (dateString) => {
+    try {
+      return format(new Date(dateString), 'yyyy-MM-dd HH:mm');
+    } catch (e) {
+      return dateString;
+    }
+  };
+
+  const renderMediaPlayer = () => {
+    if (!mediaFile) {
+      return (
+        <div className="bg-white p-6 rounded-xl shadow-sm border border-gray-100">
+          <h3 className="font-semibold text-gray-900 mb-2">Media Playback</h3>
+          <p className="text-sm text-gray-500 mb-4">
+            Media files are not stored with transcriptions. Select the original file to play it back alongside the transcript.
+          </p>
+          <label className="inline-flex items-center space-x-2 px-4 py-2 bg-primary-500 text-white rounded-lg hover:bg-primary-600 transition-colors cursor-pointer">
+            <SafeIcon icon={FiFilm} className="w-4 h-4" />
+            <span>Select {transcription?.file_name || 'media file'}</span>
+            <input
+              type="file"
+              accept="video/*,audio/*"
+              onChange={handleMediaSelect}
+              className="hidden"
+            />
+          </label>
+        </div>
+      );
+    }
+
+    return (
+      <div className="space-y-3">
+        {isAudioOnly ? (
+          <div className="bg-white p-6 rounded-xl shadow-sm border border-gray-100">
+            <h3 className="font-semibold text-gray-900 mb-4">{mediaFile.name}</h3>
+            <audio
+              ref={audioRef}
+              src={mediaUrl || ''}
+              controls
+              className="w-full"
+              onTimeUpdate={(e) => handleTimeUpdate(e.target.currentTime)}
+            />
+          </div>
+        ) : (
+          <VideoPlayer
+            ref={videoRef}
+            videoFile={mediaFile}
+            onTimeUpdate={handleTimeUpdate}
+            transcriptionData={transcriptionData}
+            currentTime={currentTime}
+            captionStyle={captionStyle}
+          />
+        )}
+        {transcription?.file_name && mediaFile.name !== transcription.file_name && (
+          <div className="flex items-center space-x-2 text-amber-600 text-sm">
+            <SafeIcon icon={FiAlertTriangle} className="w-4 h-4" />
+            <span>This file name differs from the transcribed file ({transcription.file_name}).</span>
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  if (isLoading) {
+    return (
+      <div className="p-12 flex justify-center items-center">
+        <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-primary-500"></div>
+      </div>
+    );
+  }
+
+  if (!transcription) {
+    return (
+      <div className="bg-white rounded-xl shadow-sm border border-gray-100 p-12 text-center">
+        <SafeIcon icon={FiAlertCircle} className="w-12 h-12 text-red-300 mx-auto mb-4" />
+        <h3 className="text-lg font-medium text-gray-900 mb-2">Transcription Not Found</h3>
+        <p className="text-gray-500 mb-4">{error}</p>
+        <button
+          onClick={() => navigate('/history')}
+          className="px-4 py-2 bg-primary-500 text-white rounded-lg hover:bg-primary-600 transition-colors"
+        >
+          Back to History
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-8">
+      {/* Header */}
+      <motion.div
+        initial={{opacity: 0, y: 20}}
+        animate={{opacity: 1, y: 0}}
+        transition={{duration: 0.5}}
+      >
+        <button
+          onClick={() => navigate('/history')}
+          className="flex items-center space-x-1 text-sm text-primary-600 hover:text-primary-700 font-medium mb-3"
+        >
+          <SafeIcon icon={FiArrowLeft} className="w-4 h-4" />
+          <span>Back to History</span>
+        </button>
+        <h1 className="text-3xl font-bold text-gray-900 mb-2">{transcription.title || transcription.file_name}</h1>
+        <div className="flex flex-wrap items-center gap-4 text-sm text-gray-600">
+          <span className="flex items-center space-x-1">
+            <SafeIcon icon={FiClock} className="w-4 h-4 text-gray-400" />
+            <span>{formatDuration(transcription.duration)}</span>
+          </span>
+          <span className="flex items-center space-x-1">
+            <SafeIcon icon={FiGlobe} className="w-4 h-4 text-gray-400" />
+            <span>{transcription.language}</span>
+          </span>
+          <span className="flex items-center space-x-1">
+            <SafeIcon icon={FiFileText} className="w-4 h-4 text-gray-400" />
+            <span>{transcriptionData.length} segments</span>
+          </span>
+          {transcription.created_at && <span>{formatDate(transcription.created_at)}</span>}
+        </div>
+      </motion.div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+        <motion.div
+          initial={{opacity: 0, x: -20}}
+          animate={{opacity: 1, x: 0}}
+          transition={{duration: 0.5}}
+          className="space-y-6"
+        >
+          {renderMediaPlayer()}
+
+          {/* Controls */}
+          <div className="bg-white p-6 rounded-xl shadow-sm border border-gray-100">
+            <h3 className="text-lg font-semibold text-gray-900 mb-4">Transcript</h3>
+            <div className="flex flex-wrap items-start gap-4">
+              <motion.button
+                whileHover={{scale: 1.05}}
+                whileTap={{scale: 0.95}}
+                onClick={() => setShowExportModal(true)}
+                disabled={transcriptionData.length === 0}
+                className="flex items-center space-x-2 px-5 py-3 rounded-lg font-semibold bg-green-500 text-white hover:bg-green-600 transition-colors disabled:opacity-50"
+              >
+                <SafeIcon icon={FiDownload} className="w-5 h-5" />
+                <span>Export Files</span>
+              </motion.button>
+
+              <motion.button
+                whileHover={{scale: 1.05}}
+                whileTap={{scale: 0.95}}
+                onClick={() => setShowTranslations(true)}
+                disabled={transcriptionData.length === 0}
+                className="flex items-center space-x-2 px-5 py-3 rounded-lg font-semibold bg-gray-100 text-gray-700 hover:bg-gray-200 transition-colors disabled:opacity-50"
+              >
+                <SafeIcon icon={FiGlobe} className="w-5 h-5" />
+                <span>Translate{translations.length > 0 && ` (${translations.length})`}</span>
+              </motion.button>
+
+              {mediaFile && !isAudioOnly && (
+                <motion.button
+                  whileHover={{scale: 1.05}}
+                  whileTap={{scale: 0.95}}
+                  onClick={() => setShowCaptionVideoExport(true)}
+                  disabled={transcriptionData.length === 0}
+                  className="flex items-center space-x-2 px-5 py-3 rounded-lg font-semibold bg-gray-100 text-gray-700 hover:bg-gray-200 transition-colors disabled:opacity-50"
+                >
+                  <SafeIcon icon={FiFilm} className="w-5 h-5" />
+                  <span>Burn In Captions</span>
+                </motion.button>
+              )}
+
+              {mediaFile && !isAudioOnly && (
+                <motion.button
+                  whileHover={{scale: 1.05}}
+                  whileTap={{scale: 0.95}}
+                  onClick={() => setShowSubtitleTrackExport(true)}
+                  disabled={transcriptionData.length === 0}
+                  className="flex items-center space-x-2 px-5 py-3 rounded-lg font-semibold bg-gray-100 text-gray-700 hover:bg-gray-200 transition-colors disabled:opacity-50"
+                >
+                  <SafeIcon icon={FiLayers} className="w-5 h-5" />
+                  <span>Add Subtitle Tracks</span>
+                </motion.button>
+              )}
+            </div>
+
+            <div className="mt-4">
+              <SubtitleImport
+                onImport={handleSubtitleImport}
+                hasTranscript={transcriptionData.length > 0}
+              />
+            </div>
+
+            {(error || saveError) && (
+              <div className="mt-4 p-3 bg-red-50 border border-red-200 text-red-700 rounded-lg">
+                <p className="text-sm">{error || `Failed to save changes: ${saveError}`}</p>
+              </div>
+            )}
+          </div>
+
+          {/* Speakers */}
+          <SpeakerManager
+            transcriptionData={transcriptionData}
+            onChange={applyChange}
+            isSaving={saveStatus === 'saving'}
+          />
+        </motion.div>
+
+        {/* Transcription Panel */}
+        <motion.div
+          initial={{opacity: 0, x: 20}}
+          animate={{opacity: 1, x: 0}}
+          transition={{duration: 0.5, delay: 0.2}}
+        >
+          <TranscriptionPanel
+            transcriptionData={transcriptionData}
+            currentTime={currentTime}
+            onJumpToTime={jumpToTime}
+            onSpeakerChange={handleSegmentSpeakerChange}
+            onSegmentsChange={applyChange}
+            onUndo={undo}
+            onRedo={redo}
+            canUndo={canUndo}
+            canRedo={canRedo}
+            onShowHistory={() => setShowRevisionHistory(true)}
+            saveStatus={saveStatus}
+          />
+        </motion.div>
+      </div>
+
+      {/* Revision History */}
+      <RevisionHistory
+        isOpen={showRevisionHistory}
+        onClose={() => setShowRevisionHistory(false)}
+        transcriptionId={id}
+        transcriptionData={transcriptionData}
+        onRestore={applyChange}
+      />
+
+      {/* Export Modal */}
+      <ExportModal
+        isOpen={showExportModal}
+        onClose={() => setShowExportModal(false)}
+        transcriptionData={transcriptionData}
+        videoFileName={transcription.file_name}
+        metadata={{
+          title: transcription.title,
+          duration: transcription.duration,
+          language: transcription.language,
+          createdAt: transcription.created_at
+        }}
+        translations={translations}
+      />
+
+      {/* Translations */}
+      {showTranslations && (
+        <TranslationManager
+          isOpen={showTranslations}
+          onClose={() => setShowTranslations(false)}
+          transcriptionId={id}
+          transcriptionData={transcriptionData}
+          sourceLanguage={transcription.language}
+          translations={translations}
+          onTranslationsChange={setTranslations}
+        />
+      )}
+
+      {/* Burned-in Caption Video Export */}
+      {mediaFile && (
+        <CaptionVideoExport
+          isOpen={showCaptionVideoExport}
+          onClose={() => setShowCaptionVideoExport(false)}
+          videoFile={mediaFile}
+          transcriptionData={transcriptionData}
+          captionStyle={captionStyle}
+          onCaptionStyleChange={setCaptionStyle}
+        />
+      )}
+
+      {/* Soft Subtitle Track Export */}
+      {mediaFile && showSubtitleTrackExport && (
+        <SubtitleTrackExport
+          isOpen={showSubtitleTrackExport}
+          onClose={() => setShowSubtitleTrackExport(false)}
+          videoFile={mediaFile}
+          transcriptionData={transcriptionData}
+          language={transcription.language}
+        />
+      )}
+    </div>
+  );
+};
+
+export default TranscriptionDetailPage;
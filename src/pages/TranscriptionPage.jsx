@@ -6,17 +6,36 @@ import VideoCompression from '../components/VideoCompression';
 import VideoPlayer from '../components/VideoPlayer';
 import TranscriptionPanel from '../components/TranscriptionPanel';
 import ExportModal from '../components/ExportModal';
+import SpeakerManager from '../components/SpeakerManager';
+import RevisionHistory from '../components/RevisionHistory';
+import SubtitleImport from '../components/SubtitleImport';
+import CaptionVideoExport from '../components/CaptionVideoExport';
+import SubtitleTrackExport from '../components/SubtitleTrackExport';
 import SafeIcon from '../common/SafeIcon';
 import * as FiIcons from 'react-icons/fi';
 import {extractAudioFromVideo, transcribeAudio, saveTranscriptionToDatabase} from '../services/transcriptionService';
+import {getTranscriptionWithSegments} from '../services/transcriptionDbService';
+import {reassignSegmentSpeaker} from '../services/speakerService';
+import {createSegmentId} from '../services/segmentEditService';
+import {getWhisperLanguageWarning} from '../services/localWhisperService';
+import {getCaptionStyle} from '../services/captionStyleService';
+import {getGlossaries, getGlossaryTerms} from '../services/glossaryService';
+import {getPostProcessingSettings} from '../services/postProcessingService';
+import {AUTO_DETECT_LANGUAGE, UNDETERMINED_LANGUAGE, getLanguageName} from '../common/languages';
+import {useTranscriptEditor} from '../hooks/useTranscriptEditor';
 import {useAuth} from '../context/AuthContext';
 
-const {FiUpload, FiPlay, FiPause, FiDownload, FiSettings, FiLoader, FiSave, FiCheck, FiAlertTriangle, FiMusic} = FiIcons;
+const {FiUpload, FiPlay, FiPause, FiDownload, FiSettings, FiLoader, FiSave, FiCheck, FiAlertTriangle, FiMusic, FiFilm, FiLayers, FiGlobe, FiBookOpen} = FiIcons;
+
+// An English-only offline model cannot transcribe or detect other languages
+const readWhisperLanguageWarning = () => {
+  const settings = JSON.parse(localStorage.getItem('transcriptionSettings')) || {};
+  return settings.apiProvider === 'local' ? getWhisperLanguageWarning(settings.localModel, settings.language) : null;
+};
 
 const TranscriptionPage = () => {
   const [videoFile, setVideoFile] = useState(null);
   const [isTranscribing, setIsTranscribing] = useState(false);
-  const [transcriptionData, setTranscriptionData] = useState([]);
   const [currentTime, setCurrentTime] = useState(0);
   const [progress, setProgress] = useState(0);
   const [progressStage, setProgressStage] = useState('');
@@ -25,11 +44,31 @@ const TranscriptionPage = () => {
   const [isSaving, setIsSaving] = useState(false);
   const [saveSuccess, setSaveSuccess] = useState(false);
   const [transcriptionId, setTranscriptionId] = useState(null);
+  const {
+    segments: transcriptionData,
+    loadSegments,
+    applyChange,
+    undo,
+    redo,
+    canUndo,
+    canRedo,
+    saveStatus,
+    saveError
+  } = useTranscriptEditor(transcriptionId);
   const [showLargeFileWarning, setShowLargeFileWarning] = useState(false);
   const [showCompressionOption, setShowCompressionOption] = useState(false);
   const [compressionResults, setCompressionResults] = useState(null);
   const [isAudioOnly, setIsAudioOnly] = useState(false);
   const [showExportModal, setShowExportModal] = useState(false);
+  const [showRevisionHistory, setShowRevisionHistory] = useState(false);
+  const [showCaptionVideoExport, setShowCaptionVideoExport] = useState(false);
+  const [showSubtitleTrackExport, setShowSubtitleTrackExport] = useState(false);
+  const [captionStyle, setCaptionStyle] = useState(getCaptionStyle);
+  const [whisperLanguageWarning] = useState(readWhisperLanguageWarning);
+  const [detectedLanguage, setDetectedLanguage] = useState(undefined);
+  const [glossaries, setGlossaries] = useState([]);
+  const [projectGlossaryId, setProjectGlossaryId] = useState('');
+  const [glossaryCorrectionCount, setGlossaryCorrectionCount] = useState(null);
 
   const videoRef = useRef(null);
   const audioRef = useRef(null);
@@ -39,7 +78,7 @@ const TranscriptionPage = () => {
   // Reset state when a new file is uploaded
   const handleFileUpload = (file) => {
     setVideoFile(file);
-    setTranscriptionData([]);
+    loadSegments([]);
     setError(null);
     setProgress(0);
     setProgressStage('');
@@ -47,6 +86,8 @@ const TranscriptionPage = () => {
     setTranscriptionId(null);
     setCompressionResults(null);
     setIsAudioOnly(false);
+    setDetectedLanguage(undefined);
+    setGlossaryCorrectionCount(null);
 
     // Check if it's a large file and show warning
     const fileSizeGB = file.size / (1024 * 1024 * 1024);
@@ -58,6 +99,13 @@ const TranscriptionPage = () => {
     setShowCompressionOption(true);
   };
 
+  // Transcription still works without glossaries if they cannot be loaded
+  useEffect(() => {
+    getGlossaries()
+      .then(setGlossaries)
+      .catch(err => console.warn('Failed to load glossaries:', err));
+  }, []);
+
   // Get video/audio duration after media is loaded
   useEffect(() => {
     if (videoFile) {
@@ -93,6 +141,8 @@ const TranscriptionPage = () => {
     setIsTranscribing(true);
     setProgress(0);
     setError(null);
+    setDetectedLanguage(undefined);
+    setGlossaryCorrectionCount(null);
 
     try {
       const fileSizeGB = videoFile.size / (1024 * 1024 * 1024);
@@ -121,14 +171,21 @@ const TranscriptionPage = () => {
 
       // Get settings from localStorage or use defaults
       const settings = JSON.parse(localStorage.getItem('transcriptionSettings')) || {
-        language: 'en-US',
-        model: 'standard',
+        language: 'en-US'
       };
 
       const transcriptionOptions = {
+        provider: settings.apiProvider,
+        apiKey: settings.apiKey,
+        apiBaseUrl: settings.apiBaseUrl,
         language: settings.language,
         model: settings.model,
+        localModel: settings.localModel,
+        diarization: !!settings.speakerDiarization,
+        glossaryTerms: getGlossaryTerms(glossaries, projectGlossaryId || null),
+        postProcessing: getPostProcessingSettings(),
         duration: videoDuration,
+        onLanguageDetected: setDetectedLanguage,
         progressCallback: (progress, stage) => {
           setProgress(50 + (progress * 0.4)); // Transcription takes 40% of progress
           if (stage) setProgressStage(stage);
@@ -140,7 +197,10 @@ const TranscriptionPage = () => {
 
       // Step 3: Update UI with transcription
       setProgressStage('Finalizing transcription...');
-      setTranscriptionData(transcriptionResult);
+      loadSegments(transcriptionResult);
+      if (transcriptionOptions.glossaryTerms.length > 0) {
+        setGlossaryCorrectionCount(transcriptionResult.reduce((count, segment) => count + (segment.corrections?.length || 0), 0));
+      }
       setProgress(100);
 
       // Delay to show 100% completion
@@ -176,13 +236,8 @@ const TranscriptionPage = () => {
     setError(null);
 
     try {
-      // Get settings from localStorage
-      const settings = JSON.parse(localStorage.getItem('transcriptionSettings')) || {
-        language: 'en-US',
-      };
-
       const options = {
-        language: settings.language,
+        language: getTranscriptLanguage(),
         duration: videoDuration,
         title: videoFile.name.split('.')[0],
         compressionApplied: !!compressionResults,
@@ -194,6 +249,10 @@ const TranscriptionPage = () => {
       setTranscriptionId(id);
       setSaveSuccess(true);
 
+      // Reload so segments carry their database ids for later updates
+      const saved = await getTranscriptionWithSegments(id);
+      loadSegments(saved.segments);
+
       // Clear success message after a few seconds
       setTimeout(() => {
         setSaveSuccess(false);
@@ -207,6 +266,22 @@ const TranscriptionPage = () => {
     }
   };
 
+  // Imported subtitles start a new transcript, or replace the saved one in the library
+  const handleSubtitleImport = (segments) => {
+    setError(null);
+    if (transcriptionId) {
+      // Temporary ids make the editor replace the stored segments rather than overwrite rows by id
+      applyChange(segments.map(segment => ({...segment, id: createSegmentId()})));
+    } else {
+      loadSegments(segments);
+      setSaveSuccess(false);
+    }
+  };
+
+  const handleSegmentSpeakerChange = (segmentId, speaker) => {
+    applyChange(reassignSegmentSpeaker(transcriptionData, segmentId, speaker));
+  };
+
   const viewHistory = () => {
     navigate('/history');
   };
@@ -232,6 +307,23 @@ const TranscriptionPage = () => {
     }
   };
 
+  // A detected language wins over the settings, which may only say "auto"
+  const getTranscriptLanguage = () => {
+    if (detectedLanguage) return detectedLanguage.language;
+    const settings = JSON.parse(localStorage.getItem('transcriptionSettings')) || {};
+    if (settings.language === AUTO_DETECT_LANGUAGE) return UNDETERMINED_LANGUAGE;
+    return settings.language || 'en-US';
+  };
+
+  const getExportMetadata = () => {
+    return {
+      title: videoFile ? videoFile.name.split('.')[0] : undefined,
+      duration: videoDuration,
+      language: getTranscriptLanguage(),
+      fileSize: videoFile?.size
+    };
+  };
+
   const renderMediaPlayer = () => {
     if (isAudioOnly) {
       return (
@@ -278,6 +370,7 @@ const TranscriptionPage = () => {
           onTimeUpdate={handleTimeUpdate}
           transcriptionData={transcriptionData}
           currentTime={currentTime}
+          captionStyle={captionStyle}
         />
       );
     }
@@ -358,6 +451,15 @@ const TranscriptionPage = () => {
               </motion.div>
             )}
 
+            {whisperLanguageWarning && (
+              <div className="bg-amber-50 border border-amber-200 rounded-lg p-4">
+                <div className="flex items-start gap-2">
+                  <SafeIcon icon={FiAlertTriangle} className="text-amber-500 flex-shrink-0 mt-0.5" />
+                  <p className="text-sm text-amber-800">{whisperLanguageWarning}</p>
+                </div>
+              </div>
+            )}
+
             {/* Controls */}
             <div className="bg-white p-6 rounded-xl shadow-sm border border-gray-100">
               <div className="flex items-center justify-between mb-4">
@@ -367,6 +469,23 @@ const TranscriptionPage = () => {
                 </div>
               </div>
 
+              {glossaries.some(glossary => !glossary.appliesToAll) && (
+                <div className="mb-4">
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Project glossary</label>
+                  <select
+                    value={projectGlossaryId}
+                    onChange={(e) => setProjectGlossaryId(e.target.value)}
+                    disabled={isTranscribing}
+                    className="w-full sm:w-64 border border-gray-200 rounded-lg px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-primary-500"
+                  >
+                    <option value="">None</option>
+                    {glossaries.filter(glossary => !glossary.appliesToAll).map(glossary => (
+                      <option key={glossary.id} value={glossary.id}>{glossary.name}</option>
+                    ))}
+                  </select>
+                </div>
+              )}
+
               <div className="flex flex-wrap items-center gap-4">
                 <motion.button
                   whileHover={{scale: 1.05}}
@@ -395,6 +514,30 @@ const TranscriptionPage = () => {
                       <span>Export Files</span>
                     </motion.button>
 
+                    {!isAudioOnly && !videoFile.type.startsWith('audio/') && (
+                      <motion.button
+                        whileHover={{scale: 1.05}}
+                        whileTap={{scale: 0.95}}
+                        onClick={() => setShowCaptionVideoExport(true)}
+                        className="flex items-center space-x-2 px-5 py-3 rounded-lg font-semibold bg-gray-100 text-gray-700 hover:bg-gray-200 transition-colors"
+                      >
+                        <SafeIcon icon={FiFilm} className="w-5 h-5" />
+                        <span>Burn In Captions</span>
+                      </motion.button>
+                    )}
+
+                    {!isAudioOnly && !videoFile.type.startsWith('audio/') && (
+                      <motion.button
+                        whileHover={{scale: 1.05}}
+                        whileTap={{scale: 0.95}}
+                        onClick={() => setShowSubtitleTrackExport(true)}
+                        className="flex items-center space-x-2 px-5 py-3 rounded-lg font-semibold bg-gray-100 text-gray-700 hover:bg-gray-200 transition-colors"
+                      >
+                        <SafeIcon icon={FiLayers} className="w-5 h-5" />
+                        <span>Add Subtitle Tracks</span>
+                      </motion.button>
+                    )}
+
                     <motion.button
                       whileHover={{scale: 1.05}}
                       whileTap={{scale: 0.95}}
@@ -415,6 +558,14 @@ const TranscriptionPage = () => {
                 )}
               </div>
 
+              <div className="mt-4">
+                <SubtitleImport
+                  onImport={handleSubtitleImport}
+                  hasTranscript={transcriptionData.length > 0}
+                  disabled={isTranscribing}
+                />
+              </div>
+
               {isTranscribing && (
                 <div className="mt-4">
                   <div className="flex items-center space-x-2">
@@ -436,9 +587,36 @@ const TranscriptionPage = () => {
                 </div>
               )}
 
-              {error && (
+              {detectedLanguage !== undefined && (
+                <div className={`mt-4 flex items-center gap-2 p-3 rounded-lg text-sm border ${
+                  detectedLanguage ? 'bg-blue-50 border-blue-200 text-blue-700' : 'bg-amber-50 border-amber-200 text-amber-800'
+                }`}>
+                  <SafeIcon icon={detectedLanguage ? FiGlobe : FiAlertTriangle} className="w-4 h-4 flex-shrink-0" />
+                  {detectedLanguage ? (
+                    <p>
+                      Detected language: <span className="font-medium">{getLanguageName(detectedLanguage.language)}</span>
+                      {detectedLanguage.confidence !== null && ` (${Math.round(detectedLanguage.confidence * 100)}% confidence)`}
+                    </p>
+                  ) : (
+                    <p>The spoken language could not be detected, so the transcription service chose it.</p>
+                  )}
+                </div>
+              )}
+
+              {glossaryCorrectionCount !== null && (
+                <div className="mt-4 flex items-center gap-2 p-3 rounded-lg text-sm border bg-blue-50 border-blue-200 text-blue-700">
+                  <SafeIcon icon={FiBookOpen} className="w-4 h-4 flex-shrink-0" />
+                  <p>
+                    {glossaryCorrectionCount === 0
+                      ? 'No glossary corrections were needed.'
+                      : `${glossaryCorrectionCount} ${glossaryCorrectionCount === 1 ? 'term was' : 'terms were'} corrected from your glossaries. Corrected terms are underlined in the transcript.`}
+                  </p>
+                </div>
+              )}
+
+              {(error || saveError) && (
                 <div className="mt-4 p-3 bg-red-50 border border-red-200 text-red-700 rounded-lg">
-                  <p className="text-sm">{error}</p>
+                  <p className="text-sm">{error || `Failed to save changes: ${saveError}`}</p>
                 </div>
               )}
 
@@ -471,6 +649,13 @@ const TranscriptionPage = () => {
                 </div>
               )}
             </div>
+
+            {/* Speakers */}
+            <SpeakerManager
+              transcriptionData={transcriptionData}
+              onChange={applyChange}
+              isSaving={saveStatus === 'saving'}
+            />
           </motion.div>
 
           {/* Transcription Panel */}
@@ -483,19 +668,60 @@ const TranscriptionPage = () => {
               transcriptionData={transcriptionData}
               currentTime={currentTime}
               onJumpToTime={jumpToTime}
+              onSpeakerChange={handleSegmentSpeakerChange}
+              onSegmentsChange={applyChange}
+              onUndo={undo}
+              onRedo={redo}
+              canUndo={canUndo}
+              canRedo={canRedo}
+              onShowHistory={transcriptionId ? () => setShowRevisionHistory(true) : undefined}
+              saveStatus={transcriptionId || saveStatus === 'dirty' ? saveStatus : null}
               isTranscribing={isTranscribing}
             />
           </motion.div>
         </div>
       )}
 
+      {/* Revision History */}
+      <RevisionHistory
+        isOpen={showRevisionHistory}
+        onClose={() => setShowRevisionHistory(false)}
+        transcriptionId={transcriptionId}
+        transcriptionData={transcriptionData}
+        onRestore={applyChange}
+      />
+
       {/* Export Modal */}
       <ExportModal
         isOpen={showExportModal}
         onClose={() => setShowExportModal(false)}
         transcriptionData={transcriptionData}
         videoFileName={videoFile?.name}
+        metadata={showExportModal ? getExportMetadata() : undefined}
       />
+
+      {/* Burned-in Caption Video Export */}
+      {videoFile && (
+        <CaptionVideoExport
+          isOpen={showCaptionVideoExport}
+          onClose={() => setShowCaptionVideoExport(false)}
+          videoFile={videoFile}
+          transcriptionData={transcriptionData}
+          captionStyle={captionStyle}
+          onCaptionStyleChange={setCaptionStyle}
+        />
+      )}
+
+      {/* Soft Subtitle Track Export */}
+      {videoFile && showSubtitleTrackExport && (
+        <SubtitleTrackExport
+          isOpen={showSubtitleTrackExport}
+          onClose={() => setShowSubtitleTrackExport(false)}
+          videoFile={videoFile}
+          transcriptionData={transcriptionData}
+          language={getExportMetadata().language}
+        />
+      )}
     </div>
   );
 };
@@ -0,0 +1,170 @@
+const TARGET_SAMPLE_RATE = 16000; // Optimal for speech recognition
+
+/**
+ * Decode an audio blob into mono 16kHz PCM samples
+ * @param {Blob} audioBlob - Encoded audio (webm, ogg, mp3, wav...)
+ * @returns {Promise<Object>} - { samples: Float32Array, sampleRate, duration }
+ */
+export const decodeAudioBlob = async (audioBlob) => {
+  const AudioContext = window.AudioContext || window.webkitAudioContext;
+  const OfflineAudioContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+
+  if (!AudioContext || !OfflineAudioContext) {
+    throw new Error('Your browser does not support audio decoding');
+  }
+
+  const arrayBuffer = await audioBlob.arrayBuffer();
+  const audioContext = new AudioContext();
+
+  let decoded;
+  try {
+    decoded = await audioContext.decodeAudioData(arrayBuffer);
+  } finally {
+    audioContext.close();
+  }
+
+  // Downmix to mono and resample so chunks stay small
+  const frameCount = Math.ceil(decoded.duration * TARGET_SAMPLE_RATE);
+  const offlineContext = new OfflineAudioContext(1, frameCount, TARGET_SAMPLE_RATE);
+  const source = offlineContext.createBufferSource();
+  source.buffer = decoded;
+  source.connect(offlineContext.destination);
+  source.start(0);
+
+  const rendered = await offlineContext.startRendering();
+
+  return {
+    samples: rendered.getChannelData(0),
+    sampleRate: TARGET_SAMPLE_RATE,
+    duration: rendered.duration
+  };
+};
+
+/**
+ * Encode mono PCM samples as a standalone 16-bit WAV file
+ * @param {Float32Array} samples - PCM samples in the range [-1, 1]
+ * @param {number} sampleRate - Sample rate of the samples
+ * @returns {Blob} - WAV file blob
+ */
+export const encodeWav = (samples, sampleRate) => {
+  const bytesPerSample = 2;
+  const dataSize = samples.length * bytesPerSample;
+  const buffer = new ArrayBuffer(44 + dataSize);
+  const view = new DataView(buffer);
+
+  const writeString = (offset, value) => {
+    for (let i = 0; i < value.length; i++) {
+      view.setUint8(offset + i, value.charCodeAt(i));
+    }
+  };
+
+  writeString(0, 'RIFF');
+  view.setUint32(4, 36 + dataSize, true);
+  writeString(8, 'WAVE');
+  writeString(12, 'fmt ');
+  view.setUint32(16, 16, true); // PCM header size
+  view.setUint16(20, 1, true); // PCM format
+  view.setUint16(22, 1, true); // Mono
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * bytesPerSample, true);
+  view.setUint16(32, bytesPerSample, true);
+  view.setUint16(34, 16, true); // Bits per sample
+  writeString(36, 'data');
+  view.setUint32(40, dataSize, true);
+
+  let offset = 44;
+  for (let i = 0; i < samples.length; i++, offset += bytesPerSample) {
+    const sample = Math.max(-1, Math.min(1, samples[i]));
+    view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7fff, true);
+  }
+
+  return new Blob([buffer], { type: 'audio/wav' });
+};
+
+/**
+ * Find the quietest point near a target time, used to avoid cutting words in half
+ * @param {Float32Array} samples - PCM samples
+ * @param {number} sampleRate - Sample rate of the samples
+ * @param {number} targetTime - Preferred split time in seconds
+ * @param {number} searchSeconds - How far either side of the target to search
+ * @returns {number} - Split time in seconds
+ */
+export const findQuietestPoint = (samples, sampleRate, targetTime, searchSeconds = 5) => {
+  const windowSize = Math.floor(sampleRate * 0.05); // 50ms energy windows
+  const from = Math.max(0, Math.floor((targetTime - searchSeconds) * sampleRate));
+  const to = Math.min(samples.length - windowSize, Math.floor((targetTime + searchSeconds) * sampleRate));
+
+  if (to <= from) return targetTime;
+
+  let quietestStart = Math.floor(targetTime * sampleRate);
+  let quietestEnergy = Infinity;
+
+  for (let start = from; start <= to; start += windowSize) {
+    let energy = 0;
+    for (let i = start; i < start + windowSize; i++) {
+      energy += samples[i] * samples[i];
+    }
+    if (energy < quietestEnergy) {
+      quietestEnergy = energy;
+      quietestStart = start;
+    }
+  }
+
+  return (quietestStart + windowSize / 2) / sampleRate;
+};
+
+/**
+ * Split audio into standalone chunks on silence (or fixed time windows) with a small overlap
+ * @param {Blob} audioBlob - Encoded audio blob
+ * @param {Object} options - { chunkSeconds, overlapSeconds, splitOnSilence, progressCallback }, plus the
+ *   audio from decodeAudioBlob when the caller has already decoded it
+ * @returns {Promise<Array>} - Array of { index, blob, startTime, endTime }
+ */
+export const createAudioChunks = async (audioBlob, options = {}) => {
+  const {
+    chunkSeconds = 600, // 10 minutes of 16kHz WAV stays below common 25MB upload limits
+    overlapSeconds = 2,
+    splitOnSilence = true
+  } = options;
+
+  const updateProgress = typeof options.progressCallback === 'function' ?
+    options.progressCallback : () => {};
+
+  updateProgress(0, 'Decoding audio for chunking...');
+  const { samples, sampleRate, duration } = options.audio || await decodeAudioBlob(audioBlob);
+
+  // Work out where each chunk ends
+  const boundaries = [0];
+  while (duration - boundaries[boundaries.length - 1] > chunkSeconds) {
+    const previous = boundaries[boundaries.length - 1];
+    const target = previous + chunkSeconds;
+    const split = splitOnSilence
+      ? findQuietestPoint(samples, sampleRate, target, Math.min(5, chunkSeconds / 4))
+      : target;
+    boundaries.push(split);
+  }
+  boundaries.push(duration);
+
+  const chunks = [];
+  const totalChunks = boundaries.length - 1;
+
+  for (let i = 0; i < totalChunks; i++) {
+    // Each chunk (except the first) starts slightly early so nothing is lost at the cut
+    const startTime = i === 0 ? 0 : Math.max(0, boundaries[i] - overlapSeconds);
+    const endTime = boundaries[i + 1];
+
+    const startSample = Math.floor(startTime * sampleRate);
+    const endSample = Math.min(samples.length, Math.ceil(endTime * sampleRate));
+
+    chunks.push({
+      index: i,
+      blob: encodeWav(samples.subarray(startSample, endSample), sampleRate),
+      startTime: startSample / sampleRate,
+      endTime: endSample / sampleRate
+    });
+
+    updateProgress(((i + 1) / totalChunks) * 100, `Prepared chunk ${i + 1} of ${totalChunks}`);
+  }
+
+  return chunks;
+};
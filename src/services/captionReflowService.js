@@ -0,0 +1,298 @@
+import { segmentToWords } from './transcriptMergeService';
+
+const SENTENCE_END = /[.!?]["')\]]*$/;
+const CLAUSE_END = /[,;:]["')\]]*$/;
+
+/**
+ * Caption rules per delivery target. Durations are in seconds.
+ */
+export const CAPTION_PRESETS = {
+  netflix: {
+    id: 'netflix',
+    name: 'Netflix-style',
+    maxLineLength: 42,
+    maxLines: 2,
+    minDuration: 5 / 6,
+    maxDuration: 7,
+    maxCharsPerSecond: 20,
+    minGap: 2 / 24
+  },
+  broadcast: {
+    id: 'broadcast',
+    name: 'Broadcast',
+    maxLineLength: 32,
+    maxLines: 2,
+    minDuration: 1,
+    maxDuration: 6,
+    maxCharsPerSecond: 15,
+    minGap: 2 / 25
+  },
+  youtube: {
+    id: 'youtube',
+    name: 'YouTube',
+    maxLineLength: 42,
+    maxLines: 2,
+    minDuration: 1,
+    maxDuration: 8,
+    maxCharsPerSecond: 25,
+    minGap: 0
+  }
+};
+
+export const DEFAULT_CAPTION_PRESET = 'netflix';
+
+/**
+ * Get the list of caption presets for pickers
+ * @returns {Array} - Array of presets
+ */
+export const getCaptionPresets = () => Object.values(CAPTION_PRESETS);
+
+/**
+ * Resolve caption rules from a preset id plus any overrides
+ * @param {Object} options - { preset, maxLineLength, maxLines, ... }
+ * @returns {Object} - Complete caption rules
+ */
+export const resolveCaptionRules = (options = {}) => {
+  const preset = CAPTION_PRESETS[options.preset] || CAPTION_PRESETS[DEFAULT_CAPTION_PRESET];
+  const rules = { ...preset };
+
+  Object.keys(preset).forEach(key => {
+    if (key !== 'id' && key !== 'name' && typeof options[key] === 'number' && options[key] > 0) {
+      rules[key] = options[key];
+    }
+  });
+
+  return rules;
+};
+
+// Timed words carrying the segment's own tokens, so punctuation is kept for line breaking
+const getTimedTokens = (segment) => {
+  const tokens = (segment.text || '').split(/\s+/).filter(Boolean);
+  let words = segmentToWords(segment);
+
+  if (words.length !== tokens.length) {
+    // The text was edited after the word timings were made; fall back to estimated timings
+    const { words: _unused, ...withoutWords } = segment;
+    words = segmentToWords(withoutWords);
+  }
+
+  return words.map((word, index) => ({ ...word, word: tokens[index] }));
+};
+
+/**
+ * Break text into at most maxLines lines of maxLineLength characters.
+ * Two-line captions are balanced so both lines have similar length, preferring breaks after punctuation.
+ * @param {string} text - Caption text
+ * @param {Object} rules - { maxLineLength, maxLines }
+ * @returns {Array} - Lines (may exceed maxLines when the text does not fit)
+ */
+export const breakCaptionLines = (text, { maxLineLength, maxLines }) => {
+  const words = text.split(/\s+/).filter(Boolean);
+  if (text.length <= maxLineLength || words.length < 2) return [words.join(' ')];
+
+  if (maxLines === 2) {
+    let best = null;
+    for (let i = 1; i < words.length; i++) {
+      const top = words.slice(0, i).join(' ');
+      const bottom = words.slice(i).join(' ');
+      if (top.length > maxLineLength || bottom.length > maxLineLength) continue;
+
+      // Balanced lines score best; a break after punctuation earns a bonus
+      let score = Math.abs(top.length - bottom.length);
+      if (SENTENCE_END.test(words[i - 1])) score -= 12;
+      else if (CLAUSE_END.test(words[i - 1])) score -= 8;
+
+      if (!best || score < best.score) {
+        best = { score, lines: [top, bottom] };
+      }
+    }
+    if (best) return best.lines;
+  }
+
+  // Greedy wrap for other line counts or when no balanced break fits
+  const lines = [];
+  let line = '';
+  words.forEach(word => {
+    if (line && line.length + 1 + word.length > maxLineLength) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = line ? `${line} ${word}` : word;
+    }
+  });
+  if (line) lines.push(line);
+  return lines;
+};
+
+const fitsInCue = (text, rules) => breakCaptionLines(text, rules).length <= rules.maxLines;
+
+/**
+ * Split and rebalance transcription segments into caption cues following caption rules:
+ * characters per line, lines per cue, minimum/maximum cue duration and reading speed.
+ * Cues never span two segments, so speaker changes always start a new cue.
+ * @param {Array} segments - Transcription segments
+ * @param {Object} options - { preset, maxLineLength, maxLines, minDuration, maxDuration, maxCharsPerSecond, minGap, speakerPrefix }
+ *   speakerPrefix writes "Speaker: " at the start of the first cue of each segment
+ * @returns {Array} - Array of { startTime, endTime, text, lines, speaker }
+ */
+export const reflowCaptions = (segments, options = {}) => {
+  const rules = resolveCaptionRules(options);
+  const capacity = rules.maxLineLength * rules.maxLines;
+  const cues = [];
+
+  (segments || [])
+    .filter(segment => segment && segment.text && typeof segment.startTime === 'number' && typeof segment.endTime === 'number')
+    .sort((a, b) => a.startTime - b.startTime)
+    .forEach(segment => {
+      const words = getTimedTokens(segment);
+      if (words.length === 0) return;
+
+      // The speaker prefix is measured like a word so it counts towards the line length
+      if (options.speakerPrefix && segment.speaker) {
+        words.unshift({ word: `${segment.speaker}:`, start: words[0].start, end: words[0].start, isPrefix: true });
+      }
+
+      let current = [];
+      const getText = (list) => list.map(item => item.word).join(' ');
+
+      const flush = () => {
+        if (current.length === 0) return;
+        cues.push({
+          startTime: current[0].start,
+          endTime: current[current.length - 1].end,
+          text: getText(current),
+          speaker: segment.speaker || null
+        });
+        current = [];
+      };
+
+      words.forEach(word => {
+        const onlyPrefix = current.length === 1 && current[0].isPrefix;
+        if (current.length > 0 && !onlyPrefix) {
+          const tooLong = !fitsInCue(getText([...current, word]), rules);
+          const tooSlow = word.end - current[0].start > rules.maxDuration;
+          if (tooLong || tooSlow) {
+            flush();
+          }
+        }
+
+        current.push(word);
+
+        // End the cue at a sentence boundary once it holds a reasonable amount of text
+        if (SENTENCE_END.test(word.word) && getText(current).length >= capacity / 3) {
+          flush();
+        }
+      });
+      flush();
+    });
+
+  // Stretch short or fast cues into the free time around them, without overlapping neighbours
+  cues.forEach((cue, index) => {
+    const next = cues[index + 1];
+    const previous = cues[index - 1];
+    const latestEnd = next ? next.startTime - rules.minGap : Infinity;
+
+    // Leave the minimum gap before the next cue when the words allow it
+    if (cue.endTime > latestEnd && latestEnd > cue.startTime) {
+      cue.endTime = latestEnd;
+    }
+
+    const readingTime = cue.text.length / rules.maxCharsPerSecond;
+    const wanted = Math.min(rules.maxDuration, Math.max(rules.minDuration, readingTime));
+
+    if (cue.endTime - cue.startTime < wanted) {
+      cue.endTime = Math.max(cue.endTime, Math.min(cue.startTime + wanted, latestEnd));
+    }
+    if (cue.endTime - cue.startTime < wanted && previous) {
+      const earliestStart = previous.endTime + rules.minGap;
+      cue.startTime = Math.min(cue.startTime, Math.max(earliestStart, cue.endTime - wanted));
+    }
+    if (cue.endTime - cue.startTime > rules.maxDuration) {
+      cue.endTime = cue.startTime + rules.maxDuration;
+    }
+  });
+
+  return cues.map(cue => ({
+    ...cue,
+    startTime: Math.round(cue.startTime * 1000) / 1000,
+    endTime: Math.round(cue.endTime * 1000) / 1000,
+    lines: breakCaptionLines(cue.text, rules)
+  }));
+};
+
+// Split a translation into parts proportional to the given lengths of the original text, at word boundaries
+const splitProportionally = (text, lengths) => {
+  const words = (text || '').split(/\s+/).filter(Boolean);
+  const total = lengths.reduce((sum, length) => sum + length, 0) || 1;
+  const textLength = words.join(' ').length || 1;
+  const parts = lengths.map(() => []);
+
+  let boundary = 0;
+  let partIndex = 0;
+  let position = 0;
+  words.forEach(word => {
+    const middle = (position + word.length / 2) / textLength;
+    while (partIndex < lengths.length - 1 && middle > (boundary + lengths[partIndex]) / total) {
+      boundary += lengths[partIndex];
+      partIndex++;
+    }
+    parts[partIndex].push(word);
+    position += word.length + 1;
+  });
+
+  return parts.map(part => part.join(' '));
+};
+
+/**
+ * Build caption cues with a line of the original text followed by its translation.
+ * The original is reflowed to one line per cue; each segment's translation is spread over that segment's cues.
+ * @param {Array} segments - Transcription segments
+ * @param {Array} translatedSegments - Translated copy of the segments, matched by id. Only translations
+ *   without any ids are matched by position; segments added since the translation get no translated line.
+ * @param {Object} options - Reflow options, see reflowCaptions; maxLines is ignored
+ * @returns {Array} - Array of { startTime, endTime, text, lines, speaker, translation, originalLines }
+ */
+export const reflowBilingualCaptions = (segments, translatedSegments, options = {}) => {
+  const rules = { ...resolveCaptionRules(options), maxLines: 1 };
+  const byId = new Map((translatedSegments || []).filter(segment => segment.id != null).map(segment => [segment.id, segment]));
+  const pairByPosition = byId.size === 0;
+  const countWords = (text) => text.split(/\s+/).filter(Boolean).length;
+
+  // Pair before filtering and sorting, since translations without ids line up with the original order
+  const paired = (segments || [])
+    .map((segment, index) => ({
+      segment,
+      translation: ((pairByPosition ? (translatedSegments || [])[index] : segment && byId.get(segment.id)) || {}).text || ''
+    }))
+    .filter(({ segment }) => segment && segment.text && typeof segment.startTime === 'number' && typeof segment.endTime === 'number')
+    .sort((a, b) => a.segment.startTime - b.segment.startTime);
+
+  const cues = reflowCaptions(paired.map(({ segment }) => segment), { ...options, maxLines: 1 });
+
+  // Cues never span segments, so each segment's cues follow each other and hold all of its words
+  const bilingual = [];
+  let cueIndex = 0;
+  paired.forEach(({ segment, translation }) => {
+    const wordCount = countWords(segment.text) + (options.speakerPrefix && segment.speaker ? countWords(`${segment.speaker}:`) : 0);
+    const segmentCues = [];
+    let counted = 0;
+    while (counted < wordCount && cueIndex < cues.length) {
+      const cue = cues[cueIndex++];
+      counted += countWords(cue.text);
+      segmentCues.push(cue);
+    }
+
+    const parts = splitProportionally(translation, segmentCues.map(cue => cue.text.length));
+    segmentCues.forEach((cue, index) => {
+      const translationLines = parts[index] ? breakCaptionLines(parts[index], rules) : [];
+      bilingual.push({
+        ...cue,
+        originalLines: cue.lines,
+        translation: parts[index],
+        lines: [...cue.lines, ...translationLines]
+      });
+    });
+  });
+
+  return bilingual;
+};
@@ -0,0 +1,204 @@
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+export const CAPTION_FONTS = {
+  sans: { name: 'Sans-serif', css: "-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif" },
+  serif: { name: 'Serif', css: "Georgia, 'Times New Roman', serif" },
+  mono: { name: 'Monospace', css: "'Courier New', Courier, monospace" }
+};
+
+// Font size as a fraction of the video height, so captions scale with the resolution
+export const CAPTION_SIZES = {
+  small: { name: 'Small', ratio: 0.04 },
+  medium: { name: 'Medium', ratio: 0.05 },
+  large: { name: 'Large', ratio: 0.065 }
+};
+
+export const CAPTION_POSITIONS = {
+  bottom: 'Bottom',
+  middle: 'Middle',
+  top: 'Top'
+};
+
+/**
+ * Caption appearance shared by the player overlay and burned-in video exports.
+ * The defaults reproduce the original player overlay: white text on a rounded, 80% black box.
+ */
+export const DEFAULT_CAPTION_STYLE = {
+  fontFamily: 'sans',
+  fontSize: 'medium',
+  position: 'bottom',
+  textAlign: 'left',
+  textColor: '#ffffff',
+  backgroundColor: '#000000',
+  backgroundOpacity: 0.8
+};
+
+/**
+ * Fill in missing or invalid caption style fields from the defaults
+ * @param {Object} style - Partial caption style
+ * @returns {Object} - Complete caption style
+ */
+export const normalizeCaptionStyle = (style = {}) => ({
+  fontFamily: CAPTION_FONTS[style.fontFamily] ? style.fontFamily : DEFAULT_CAPTION_STYLE.fontFamily,
+  fontSize: CAPTION_SIZES[style.fontSize] ? style.fontSize : DEFAULT_CAPTION_STYLE.fontSize,
+  position: CAPTION_POSITIONS[style.position] ? style.position : DEFAULT_CAPTION_STYLE.position,
+  textAlign: ['left', 'center'].includes(style.textAlign) ? style.textAlign : DEFAULT_CAPTION_STYLE.textAlign,
+  textColor: HEX_COLOR.test(style.textColor || '') ? style.textColor : DEFAULT_CAPTION_STYLE.textColor,
+  backgroundColor: HEX_COLOR.test(style.backgroundColor || '') ? style.backgroundColor : DEFAULT_CAPTION_STYLE.backgroundColor,
+  backgroundOpacity: typeof style.backgroundOpacity === 'number'
+    ? Math.min(1, Math.max(0, style.backgroundOpacity))
+    : DEFAULT_CAPTION_STYLE.backgroundOpacity
+});
+
+/**
+ * Read the caption style saved with the transcription settings
+ * @returns {Object} - Caption style
+ */
+export const getCaptionStyle = () => {
+  try {
+    const settings = JSON.parse(localStorage.getItem('transcriptionSettings')) || {};
+    return normalizeCaptionStyle(settings.captionStyle);
+  } catch (error) {
+    console.error('Failed to read caption style:', error);
+    return { ...DEFAULT_CAPTION_STYLE };
+  }
+};
+
+/**
+ * Save the caption style with the transcription settings
+ * @param {Object} style - Caption style
+ * @returns {Object} - The saved, normalized style
+ */
+export const saveCaptionStyle = (style) => {
+  const captionStyle = normalizeCaptionStyle(style);
+  let settings = {};
+  try {
+    settings = JSON.parse(localStorage.getItem('transcriptionSettings')) || {};
+  } catch (error) {
+    console.error('Failed to read settings:', error);
+  }
+  localStorage.setItem('transcriptionSettings', JSON.stringify({ ...settings, captionStyle }));
+  return captionStyle;
+};
+
+const toRgba = (hex, opacity) => {
+  const value = parseInt(hex.slice(1), 16);
+  return `rgba(${(value >> 16) & 255}, ${(value >> 8) & 255}, ${value & 255}, ${opacity})`;
+};
+
+/**
+ * CSS for a caption box drawn over a video element
+ * @param {Object} style - Caption style
+ * @param {number} videoHeight - Height of the displayed video in pixels
+ * @returns {Object} - { box, text } React style objects; position the box with top/bottom
+ */
+export const getCaptionOverlayStyle = (style, videoHeight) => {
+  const caption = normalizeCaptionStyle(style);
+  const fontSize = Math.max(12, Math.round(videoHeight * CAPTION_SIZES[caption.fontSize].ratio));
+
+  return {
+    box: {
+      backgroundColor: toRgba(caption.backgroundColor, caption.backgroundOpacity),
+      color: caption.textColor,
+      fontFamily: CAPTION_FONTS[caption.fontFamily].css,
+      textAlign: caption.textAlign,
+      padding: `${Math.round(fontSize * 0.8)}px ${Math.round(fontSize * 1.1)}px`
+    },
+    text: {
+      fontSize: `${fontSize}px`,
+      lineHeight: 1.4,
+      fontWeight: 500
+    }
+  };
+};
+
+// Wrap text into lines that fit maxWidth, keeping existing line breaks
+const wrapCaptionLines = (ctx, lines, maxWidth) => {
+  const wrapped = [];
+  lines.forEach(line => {
+    let current = '';
+    line.split(/\s+/).filter(Boolean).forEach(word => {
+      const candidate = current ? `${current} ${word}` : word;
+      if (current && ctx.measureText(candidate).width > maxWidth) {
+        wrapped.push(current);
+        current = word;
+      } else {
+        current = candidate;
+      }
+    });
+    if (current) wrapped.push(current);
+  });
+  return wrapped;
+};
+
+const fillRoundedRect = (ctx, x, y, width, height, radius) => {
+  ctx.beginPath();
+  ctx.moveTo(x + radius, y);
+  ctx.arcTo(x + width, y, x + width, y + height, radius);
+  ctx.arcTo(x + width, y + height, x, y + height, radius);
+  ctx.arcTo(x, y + height, x, y, radius);
+  ctx.arcTo(x, y, x + width, y, radius);
+  ctx.closePath();
+  ctx.fill();
+};
+
+/**
+ * Draw a caption onto a video frame, laid out like the player overlay
+ * @param {CanvasRenderingContext2D} ctx - Canvas context holding the frame
+ * @param {Array} lines - Caption lines
+ * @param {number} width - Frame width
+ * @param {number} height - Frame height
+ * @param {Object} style - Caption style
+ */
+export const drawCaption = (ctx, lines, width, height, style) => {
+  const caption = normalizeCaptionStyle(style);
+  const fontSize = Math.max(12, Math.round(height * CAPTION_SIZES[caption.fontSize].ratio));
+  const lineHeight = fontSize * 1.4;
+  const margin = Math.round(Math.min(width, height) * 0.04);
+  const paddingX = fontSize * 1.1;
+  const paddingY = fontSize * 0.8;
+
+  ctx.save();
+  ctx.font = `500 ${fontSize}px ${CAPTION_FONTS[caption.fontFamily].css}`;
+  ctx.textBaseline = 'middle';
+
+  const boxWidth = width - margin * 2;
+  const textLines = wrapCaptionLines(ctx, lines, boxWidth - paddingX * 2);
+  const boxHeight = textLines.length * lineHeight + paddingY * 2;
+  const boxTop = caption.position === 'top'
+    ? margin
+    : caption.position === 'middle'
+      ? (height - boxHeight) / 2
+      : height - margin - boxHeight;
+
+  if (caption.backgroundOpacity > 0) {
+    ctx.fillStyle = toRgba(caption.backgroundColor, caption.backgroundOpacity);
+    fillRoundedRect(ctx, margin, boxTop, boxWidth, boxHeight, fontSize * 0.5);
+  } else {
+    // Without a box, an outline keeps the text readable on bright frames
+    ctx.lineWidth = Math.max(2, fontSize / 8);
+    ctx.strokeStyle = 'rgba(0, 0, 0, 0.9)';
+    ctx.lineJoin = 'round';
+  }
+
+  ctx.fillStyle = caption.textColor;
+  ctx.textAlign = caption.textAlign;
+  const textX = caption.textAlign === 'center' ? width / 2 : margin + paddingX;
+  textLines.forEach((line, index) => {
+    const textY = boxTop + paddingY + lineHeight * (index + 0.5);
+    if (caption.backgroundOpacity === 0) ctx.strokeText(line, textX, textY);
+    ctx.fillText(line, textX, textY);
+  });
+
+  ctx.restore();
+};
+
+/**
+ * Find the caption showing at a point in time
+ * @param {Array} cues - Caption cues sorted by start time
+ * @param {number} time - Time in seconds
+ * @returns {Object|null} - Active cue or null
+ */
+export const findActiveCue = (cues, time) => {
+  return cues.find(cue => time >= cue.startTime && time <= cue.endTime) || null;
+};
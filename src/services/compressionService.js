@@ -1,4 +1,7 @@
 import {createFFmpeg, fetchFile} from '@ffmpeg/ffmpeg';
+import { reflowCaptions } from './captionReflowService';
+import { drawCaption, findActiveCue } from './captionStyleService';
+import { findLanguage } from '../common/languages';
 
 // Initialize FFmpeg with browser-compatible settings
 const ffmpeg = createFFmpeg({
@@ -303,6 +306,11 @@ export const compressVideo = async (videoFile, options = {}, progressCallback =
 
 /**
  * Browser-based video compression using HTML5 video and canvas
+ * Besides the compression options it accepts:
+ * - drawOverlay(ctx, currentTime, canvas): draws on top of every frame (e.g. captions)
+ * - includeAudio: records the soundtrack along with the frames
+ * - mimeTypes: recorder formats to try, in order of preference
+ * - progressLabel, completeLabel: messages shown while frames are drawn and once recording ends
  */
 async function browserBasedCompression(videoFile, options, progressCallback) {
   return new Promise((resolve, reject) => {
@@ -314,7 +322,8 @@ async function browserBasedCompression(videoFile, options, progressCallback) {
       // Create video element
       const video = document.createElement('video');
       video.autoplay = false;
-      video.muted = true;
+      // The element stays silent either way: recorded audio is routed to the recorder, not the speakers
+      video.muted = !options.includeAudio;
       video.playsInline = true;
 
       // Create canvas
@@ -347,7 +356,7 @@ async function browserBasedCompression(videoFile, options, progressCallback) {
         let mimeType = 'video/webm';
 
         // Try to find a supported codec
-        const supportedMimeTypes = [
+        const supportedMimeTypes = options.mimeTypes || [
           'video/webm;codecs=vp9',
           'video/webm;codecs=vp8',
           'video/webm',
@@ -371,6 +380,15 @@ async function browserBasedCompression(videoFile, options, progressCallback) {
 
         // Create MediaRecorder
         const stream = canvas.captureStream(options.frameRate);
+        let audioContext = null;
+        if (options.includeAudio) {
+          const AudioContext = window.AudioContext || window.webkitAudioContext;
+          audioContext = new AudioContext();
+          const destination = audioContext.createMediaStreamDestination();
+          audioContext.createMediaElementSource(video).connect(destination);
+          destination.stream.getAudioTracks().forEach(track => stream.addTrack(track));
+        }
+
         let recorder;
         try {
           recorder = new MediaRecorder(stream, recorderOptions);
@@ -394,17 +412,21 @@ async function browserBasedCompression(videoFile, options, progressCallback) {
 
           // Clean up
           URL.revokeObjectURL(videoURL);
+          if (audioContext) {
+            audioContext.close();
+          }
 
           // Calculate compression stats
           const compressionRatio = (videoFile.size / blob.size).toFixed(2);
           const savedSpace = ((videoFile.size - blob.size) / (1024 * 1024)).toFixed(2);
 
           if (progressCallback) {
-            progressCallback(100, `Compressed ${compressionRatio}x (saved ${savedSpace} MB)`);
+            progressCallback(100, options.completeLabel || `Compressed ${compressionRatio}x (saved ${savedSpace} MB)`);
           }
 
           resolve({
             blob: blob,
+            mimeType,
             originalSize: videoFile.size,
             compressedSize: blob.size,
             compressionRatio: parseFloat(compressionRatio),
@@ -414,8 +436,9 @@ async function browserBasedCompression(videoFile, options, progressCallback) {
 
         // Set up video playback handler
         video.onplay = () => {
+          const progressLabel = options.progressLabel || 'Compressing video...';
           if (progressCallback) {
-            progressCallback(40, 'Compressing video...');
+            progressCallback(40, progressLabel);
           }
 
           recorder.start(1000); // Collect data in 1-second chunks
@@ -428,12 +451,15 @@ async function browserBasedCompression(videoFile, options, progressCallback) {
             }
 
             ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+            if (options.drawOverlay) {
+              options.drawOverlay(ctx, video.currentTime, canvas);
+            }
             requestAnimationFrame(drawFrame);
 
             // Update progress based on video position
             if (progressCallback && video.duration) {
               const percent = (video.currentTime / video.duration) * 60; // 60% of progress is drawing frames
-              progressCallback(40 + percent, 'Compressing video...');
+              progressCallback(40 + percent, progressLabel);
             }
           };
 
@@ -461,6 +487,193 @@ async function browserBasedCompression(videoFile, options, progressCallback) {
   });
 }
 
+const CAPTION_VIDEO_FORMATS = [
+  {
+    value: 'mp4',
+    label: 'MP4 (.mp4)',
+    mimeTypes: ['video/mp4;codecs=avc1.42E01E,mp4a.40.2', 'video/mp4;codecs=avc1', 'video/mp4']
+  },
+  {
+    value: 'webm',
+    label: 'WebM (.webm)',
+    mimeTypes: ['video/webm;codecs=vp9,opus', 'video/webm;codecs=vp8,opus', 'video/webm']
+  }
+];
+
+/**
+ * List the video formats this browser can record captioned video in
+ * @returns {Array} - Array of { value, label, mimeTypes } for supported formats
+ */
+export const getCaptionVideoFormats = () => {
+  if (typeof MediaRecorder === 'undefined') return [];
+  return CAPTION_VIDEO_FORMATS
+    .map(format => ({ ...format, mimeTypes: format.mimeTypes.filter(type => MediaRecorder.isTypeSupported(type)) }))
+    .filter(format => format.mimeTypes.length > 0);
+};
+
+/**
+ * Render a copy of a video with the transcript burned in as captions.
+ * Frames are redrawn on a canvas in real time, so rendering takes as long as the video plays.
+ * @param {File} videoFile - Original video file
+ * @param {Array} segments - Transcription segments
+ * @param {Object} options - { format ('mp4' or 'webm'), style (see captionStyleService),
+ *   captionOptions (see reflowCaptions), quality, frameRate }
+ * @param {Function} progressCallback - Callback for progress updates
+ * @returns {Promise<Object>} - { blob, mimeType, extension }
+ */
+export const renderCaptionedVideo = async (videoFile, segments, options = {}, progressCallback = null) => {
+  try {
+    if (!isCompressionSupported() || typeof MediaRecorder === 'undefined') {
+      throw new Error('Your browser does not support recording video');
+    }
+
+    const format = getCaptionVideoFormats().find(item => item.value === (options.format || 'webm'));
+    if (!format) {
+      throw new Error(`Your browser cannot record ${(options.format || 'webm').toUpperCase()} video. Please choose another format.`);
+    }
+
+    const cues = reflowCaptions(segments, options.captionOptions);
+    if (cues.length === 0) {
+      throw new Error('There are no captions to burn in.');
+    }
+
+    if (progressCallback) {
+      progressCallback(10, 'Preparing captions...');
+    }
+
+    const result = await browserBasedCompression(videoFile, {
+      quality: options.quality || 'high',
+      // Keep the original resolution so the captions are the only change
+      maxWidth: Infinity,
+      maxHeight: Infinity,
+      frameRate: options.frameRate || 30,
+      includeAudio: true,
+      mimeTypes: format.mimeTypes,
+      progressLabel: 'Rendering captions...',
+      completeLabel: 'Captions rendered',
+      drawOverlay: (ctx, currentTime, canvas) => {
+        const cue = findActiveCue(cues, currentTime);
+        if (cue) {
+          drawCaption(ctx, cue.lines, canvas.width, canvas.height, options.style);
+        }
+      }
+    }, progressCallback);
+
+    return { blob: result.blob, mimeType: result.mimeType, extension: format.value };
+  } catch (error) {
+    console.error('Captioned video rendering error:', error);
+    throw new Error(`Failed to render captioned video: ${error.message}`);
+  }
+};
+
+// Subtitle codec each container stores text tracks with
+const SUBTITLE_CONTAINERS = {
+  mkv: { codec: 'srt', mimeType: 'video/x-matroska' },
+  mp4: { codec: 'mov_text', mimeType: 'video/mp4' }
+};
+
+// ffmpeg.wasm 0.11 keeps the input, its in-memory file system copy and the output in memory at once,
+// so the tab runs out of memory well before the 2 GB WebAssembly limit
+export const MAX_MUX_FILE_SIZE = 500 * 1024 * 1024;
+
+/**
+ * Add subtitle tracks to a video without re-encoding its audio or video streams.
+ * Text subtitle tracks already in the video are kept after the new ones.
+ * @param {File} videoFile - Original video file
+ * @param {Array} tracks - Array of { content, format ('srt' or 'vtt'), language (e.g. en-US), title }
+ * @param {Object} options - { container ('mkv' or 'mp4'), defaultTrack (index of the track shown by default) }
+ * @param {Function} progressCallback - Callback for progress updates
+ * @returns {Promise<Object>} - { blob, mimeType, extension }
+ */
+export const muxSubtitleTracks = async (videoFile, tracks, options = {}, progressCallback = null) => {
+  const container = options.container || 'mkv';
+  // Names without an extension would otherwise use the whole name as one
+  const extension = videoFile.name.includes('.') ? videoFile.name.split('.').pop().toLowerCase() : '';
+  const inputName = `input.${/^[a-z0-9]+$/.test(extension) ? extension : 'mp4'}`;
+  const outputName = `output.${container}`;
+  const trackNames = (tracks || []).map((track, index) => `track${index}.${track.format === 'vtt' ? 'vtt' : 'srt'}`);
+  let ffmpegInstance = null;
+
+  try {
+    if (!SUBTITLE_CONTAINERS[container]) {
+      throw new Error(`Unsupported container: ${container}`);
+    }
+    if (!tracks || tracks.length === 0) {
+      throw new Error('Add at least one subtitle track.');
+    }
+    if (videoFile.size > MAX_MUX_FILE_SIZE) {
+      throw new Error(`Videos larger than ${MAX_MUX_FILE_SIZE / (1024 * 1024)} MB cannot be processed in the browser.`);
+    }
+
+    if (progressCallback) {
+      progressCallback(5, 'Loading FFmpeg...');
+    }
+    ffmpegInstance = await ensureFFmpegLoaded();
+
+    if (progressCallback) {
+      progressCallback(15, 'Reading video...');
+    }
+    ffmpegInstance.FS('writeFile', inputName, await fetchFile(videoFile));
+    tracks.forEach((track, index) => {
+      ffmpegInstance.FS('writeFile', trackNames[index], new TextEncoder().encode(track.content));
+    });
+
+    const args = ['-i', inputName];
+    trackNames.forEach(name => args.push('-i', name));
+    // Keep the original audio and video streams and copy them untouched
+    args.push('-map', '0:v?', '-map', '0:a?');
+    trackNames.forEach((name, index) => args.push('-map', `${index + 1}:0`));
+    // Subtitle tracks already in the video come after the new ones, so the new tracks keep indexes 0..n-1
+    args.push('-map', '0:s?');
+    args.push('-c:v', 'copy', '-c:a', 'copy', '-c:s', SUBTITLE_CONTAINERS[container].codec);
+    // Only the chosen new track is shown by default, even if an existing track was
+    args.push('-disposition:s', '0');
+
+    tracks.forEach((track, index) => {
+      const language = findLanguage(track.language);
+      args.push(`-metadata:s:s:${index}`, `language=${language ? language.iso639_2 : 'und'}`);
+      if (track.title) {
+        args.push(`-metadata:s:s:${index}`, `title=${track.title}`);
+      }
+      args.push(`-disposition:s:${index}`, index === (options.defaultTrack || 0) ? 'default' : '0');
+    });
+    args.push(outputName);
+
+    if (progressCallback) {
+      progressCallback(30, 'Adding subtitle tracks...');
+      ffmpegInstance.setProgress(({ ratio }) => {
+        progressCallback(30 + Math.min(1, Math.max(0, ratio)) * 60, 'Adding subtitle tracks...');
+      });
+    }
+
+    await ffmpegInstance.run(...args);
+
+    const data = ffmpegInstance.FS('readFile', outputName);
+    const blob = new Blob([data.buffer], { type: SUBTITLE_CONTAINERS[container].mimeType });
+
+    if (progressCallback) {
+      progressCallback(100, `Added ${tracks.length} subtitle track${tracks.length !== 1 ? 's' : ''}`);
+    }
+
+    return { blob, mimeType: SUBTITLE_CONTAINERS[container].mimeType, extension: container };
+  } catch (error) {
+    console.error('Subtitle muxing error:', error);
+    throw new Error(`Failed to add subtitle tracks: ${error.message}`);
+  } finally {
+    if (ffmpegInstance) {
+      ffmpegInstance.setProgress(() => {});
+      // Free the in-memory files; some may not exist if an earlier step failed
+      [inputName, outputName, ...trackNames].forEach(name => {
+        try {
+          ffmpegInstance.FS('unlink', name);
+        } catch (e) {
+          // Already gone
+        }
+      });
+    }
+  }
+};
+
 /**
  * Get recommended compression settings based on file size
  * @param {number} fileSizeBytes - File size in bytes
@@ -0,0 +1,78 @@
+/**
+ * Cluster segments by voice in a Web Worker
+ * @returns {Promise<Array>} - Cluster index per segment, null where a segment has no usable audio
+ */
+const runDiarizationWorker = (message, transfer, updateProgress) => {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(new URL('../workers/diarizationWorker.js', import.meta.url), { type: 'module' });
+
+    worker.onmessage = ({ data }) => {
+      if (data.type === 'progress') {
+        updateProgress(data.progress * 100, 'Analyzing speakers...');
+        return;
+      }
+      worker.terminate();
+      if (data.type === 'error') {
+        reject(new Error(data.message));
+      } else {
+        resolve(data.assignments);
+      }
+    };
+    worker.onerror = (event) => {
+      worker.terminate();
+      reject(new Error(event.message || 'The diarization worker stopped unexpectedly.'));
+    };
+
+    worker.postMessage({ ...message, id: 1 }, transfer);
+  });
+};
+
+/**
+ * Label transcription segments with speakers by clustering their voice characteristics
+ * @param {Object} audio - Decoded audio { samples, sampleRate } from decodeAudioBlob; the samples buffer is
+ *   transferred to a worker, so it cannot be used again afterwards
+ * @param {Array} segments - Transcription segments (absolute times)
+ * @param {Object} options - { maxSpeakers, threshold, progressCallback }
+ * @returns {Promise<Array>} - Segments with a "Speaker N" label on each
+ */
+export const diarizeSegments = async (audio, segments, options = {}) => {
+  const {maxSpeakers = 6, threshold = 0.6} = options;
+  const updateProgress = typeof options.progressCallback === 'function' ?
+    options.progressCallback : () => {};
+
+  if (!Array.isArray(segments) || segments.length === 0) return segments;
+
+  updateProgress(0, 'Analyzing speakers...');
+  const assignments = await runDiarizationWorker(
+    {
+      samples: audio.samples,
+      sampleRate: audio.sampleRate,
+      segments: segments.map(({startTime, endTime}) => ({startTime, endTime})),
+      maxSpeakers,
+      threshold
+    },
+    [audio.samples.buffer],
+    updateProgress
+  );
+  if (assignments.every(cluster => cluster === null)) return segments;
+
+  // Number speakers in order of first appearance
+  const speakerNumbers = new Map();
+  let previousSpeaker = null;
+
+  const labelled = segments.map((segment, index) => {
+    let speaker = previousSpeaker;
+    const cluster = assignments[index];
+    if (cluster !== null) {
+      if (!speakerNumbers.has(cluster)) {
+        speakerNumbers.set(cluster, speakerNumbers.size + 1);
+      }
+      speaker = `Speaker ${speakerNumbers.get(cluster)}`;
+    }
+    previousSpeaker = speaker || previousSpeaker;
+    return {...segment, speaker: speaker || 'Speaker 1'};
+  });
+
+  updateProgress(100, `Identified ${speakerNumbers.size} speaker${speakerNumbers.size !== 1 ? 's' : ''}`);
+  return labelled;
+};
@@ -1,172 +1,433 @@
-import { Document, Packer, Paragraph, TextRun, HeadingLevel } from 'docx';
+import {
+  Document, Packer, Paragraph, TextRun, HeadingLevel, ImageRun, Header, Footer, AlignmentType, PageNumber, VerticalAlign
+} from 'docx';
 import { saveAs } from 'file-saver';
+import { jsPDF } from 'jspdf';
+import JSZip from 'jszip';
+import { formatTranscriptionForExport } from './transcriptionService';
+import { normalizeExportTemplate, fillTemplateText, getLogoSize, TEMPLATE_FONTS } from './exportTemplateService';
+import { extractiveSummarize } from './summarizationService';
 
 /**
- * Generate a summary from transcription data
+ * Generate a summary from transcription data with the local extractive summarizer
  * @param {Array} transcriptionData - Array of transcription segments
+ * @param {Object} options - Summary length and style ({ summaryLength, summaryStyle })
  * @returns {string} - Generated summary
  */
-export const generateSummary = (transcriptionData) => {
-  if (!transcriptionData || transcriptionData.length === 0) {
-    return 'No transcription data available for summary.';
-  }
+export const generateSummary = (transcriptionData, options = {}) => {
+  return extractiveSummarize(transcriptionData, options).summary;
+};
 
-  const fullText = transcriptionData.map(segment => segment.text).join(' ');
-  const sentences = fullText.split(/[.!?]+/).filter(s => s.trim().length > 10);
-  
-  // Simple extractive summarization - take key sentences
-  const keyWords = ['important', 'key', 'main', 'significant', 'conclusion', 'summary', 'result', 'findings', 'recommend', 'suggest', 'critical', 'essential', 'primary', 'focus', 'goal', 'objective', 'solution', 'problem', 'issue', 'challenge'];
-  
-  let scoredSentences = sentences.map(sentence => {
-    let score = 0;
-    const lowerSentence = sentence.toLowerCase();
-    
-    // Score based on keywords
-    keyWords.forEach(word => {
-      if (lowerSentence.includes(word)) {
-        score += 2;
-      }
-    });
-    
-    // Prefer sentences of moderate length
-    if (sentence.length > 50 && sentence.length < 200) {
-      score += 1;
-    }
-    
-    // Prefer sentences with numbers (often contain facts)
-    if (/\d/.test(sentence)) {
-      score += 1;
+/**
+ * Generate key points from transcription data with the local extractive summarizer
+ * @param {Array} transcriptionData - Array of transcription segments
+ * @param {Object} options - Summary length ({ summaryLength })
+ * @returns {Array} - Array of key points
+ */
+export const generateKeyPoints = (transcriptionData, options = {}) => {
+  return extractiveSummarize(transcriptionData, options).keyPoints;
+};
+
+/**
+ * Format seconds as hh:mm:ss
+ * @param {number} seconds - Time in seconds
+ * @returns {string} - Timestamp
+ */
+export const formatTimestamp = (seconds) => {
+  const total = Math.max(0, Math.floor(typeof seconds === 'number' ? seconds : 0));
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = total % 60;
+  return [hours, minutes, secs].map(value => String(value).padStart(2, '0')).join(':');
+};
+
+/**
+ * Group segments into paragraphs. A new paragraph starts when the speaker changes, and,
+ * when pauseThreshold is set, after a pause of at least that many seconds.
+ * Without a pause threshold, segments without a speaker each form their own paragraph.
+ * @param {Array} transcriptionData - Array of transcription segments
+ * @param {Object} options - { pauseThreshold } in seconds, 0 or missing to ignore pauses
+ * @returns {Array} - Array of { speaker, startTime, endTime, segments, texts }
+ */
+export const groupTranscriptParagraphs = (transcriptionData, { pauseThreshold = 0 } = {}) => {
+  const paragraphs = [];
+
+  transcriptionData.forEach(segment => {
+    if (!segment || !segment.text) return;
+    const last = paragraphs[paragraphs.length - 1];
+    const sameSpeaker = last && (last.speaker || null) === (segment.speaker || null);
+    const continues = pauseThreshold > 0
+      ? sameSpeaker && segment.startTime - last.endTime < pauseThreshold
+      : sameSpeaker && !!segment.speaker;
+
+    if (continues) {
+      last.segments.push(segment);
+      last.texts.push(segment.text);
+      last.endTime = segment.endTime;
+    } else {
+      paragraphs.push({
+        speaker: segment.speaker || null,
+        startTime: segment.startTime,
+        endTime: segment.endTime,
+        segments: [segment],
+        texts: [segment.text]
+      });
     }
-    
-    return { sentence: sentence.trim(), score };
   });
 
-  // Sort by score and take top sentences (max 30% of original)
-  const summaryLength = Math.min(Math.ceil(sentences.length * 0.3), 10);
-  const topSentences = scoredSentences
-    .sort((a, b) => b.score - a.score)
-    .slice(0, summaryLength)
-    .map(item => item.sentence)
-    .filter(s => s.length > 0);
+  return paragraphs;
+};
 
-  return topSentences.join('. ') + '.';
+export const DEFAULT_TRANSCRIPT_LAYOUT = {
+  timestamps: 'none',
+  speakerHeadings: false,
+  pauseThreshold: 0,
+  includeHeader: false
+};
+
+const formatMetadataDuration = (seconds) => {
+  if (typeof seconds !== 'number' || !seconds) return null;
+  return formatTimestamp(seconds);
 };
 
 /**
- * Generate key points from transcription data
+ * Lay out the full transcript independently of the file format
  * @param {Array} transcriptionData - Array of transcription segments
- * @returns {Array} - Array of key points
+ * @param {Object} layout - { timestamps: 'none'|'segment'|'paragraph', speakerHeadings, pauseThreshold, includeHeader }
+ * @param {Object} metadata - File metadata for the header block (title, fileName, duration, language, createdAt)
+ * @returns {Object} - { header: Array of { label, value } or null, paragraphs: Array of { heading, text } }
  */
-export const generateKeyPoints = (transcriptionData) => {
-  if (!transcriptionData || transcriptionData.length === 0) {
-    return ['No transcription data available for key points.'];
-  }
+export const buildTranscriptDocument = (transcriptionData, layout = {}, metadata = {}) => {
+  const { timestamps, speakerHeadings, pauseThreshold, includeHeader } = { ...DEFAULT_TRANSCRIPT_LAYOUT, ...layout };
+  const speakers = [...new Set(transcriptionData.map(segment => segment.speaker).filter(Boolean))];
 
-  const fullText = transcriptionData.map(segment => segment.text).join(' ');
-  const sentences = fullText.split(/[.!?]+/).filter(s => s.trim().length > 15);
-  
-  // Keywords that often indicate important points
-  const importantPhrases = [
-    'the main point', 'key takeaway', 'important to note', 'remember that',
-    'first', 'second', 'third', 'finally', 'in conclusion', 'to summarize',
-    'the goal is', 'we need to', 'it\'s crucial', 'essential that',
-    'the problem is', 'the solution', 'we recommend', 'next steps',
-    'action items', 'deliverables', 'timeline', 'deadline',
-    'budget', 'cost', 'revenue', 'profit', 'loss',
-    'increase', 'decrease', 'improve', 'optimize', 'enhance'
-  ];
-
-  let keyPoints = [];
-  
-  // Find sentences with important phrases
-  sentences.forEach(sentence => {
-    const lowerSentence = sentence.toLowerCase();
-    let score = 0;
-    
-    importantPhrases.forEach(phrase => {
-      if (lowerSentence.includes(phrase)) {
-        score += 3;
-      }
-    });
-    
-    // Look for numbered points - FIX: Removed the unnecessary escape characters
-    if (/^\s*\d+[.)]/.test(sentence) || /first|second|third|fourth|fifth|next|then|also|additionally|furthermore|moreover/i.test(sentence)) {
-      score += 2;
-    }
-    
-    // Look for questions (often highlight important topics)
-    if (sentence.includes('?')) {
-      score += 1;
-    }
-    
-    // Prefer sentences with specific metrics or data
-    if (/\d+%|\$\d+|\d+\s*(minutes|hours|days|weeks|months|years)/i.test(sentence)) {
-      score += 2;
-    }
-    
-    if (score > 0) {
-      keyPoints.push({ text: sentence.trim(), score });
+  const paragraphs = groupTranscriptParagraphs(transcriptionData, { pauseThreshold }).map(paragraph => {
+    const stamp = `[${formatTimestamp(paragraph.startTime)}]`;
+    let text = timestamps === 'segment'
+      ? paragraph.segments.map(segment => `[${formatTimestamp(segment.startTime)}] ${segment.text}`).join(' ')
+      : paragraph.texts.join(' ');
+
+    if (speakerHeadings) {
+      const headingParts = [paragraph.speaker, timestamps === 'paragraph' ? stamp : null].filter(Boolean);
+      return { heading: headingParts.length > 0 ? headingParts.join(' ') : null, text };
     }
+
+    if (paragraph.speaker) text = `${paragraph.speaker}: ${text}`;
+    if (timestamps === 'paragraph') text = `${stamp} ${text}`;
+    return { heading: null, text };
   });
 
-  // If we don't have enough scored points, add some general important sentences
-  if (keyPoints.length < 5) {
-    const additionalSentences = sentences
-      .filter(s => s.length > 30 && s.length < 150)
-      .slice(0, 8 - keyPoints.length)
-      .map(s => ({ text: s.trim(), score: 1 }));
-    
-    keyPoints = [...keyPoints, ...additionalSentences];
+  const header = includeHeader
+    ? [
+      { label: 'Title', value: metadata.title },
+      { label: 'File', value: metadata.fileName },
+      { label: 'Duration', value: formatMetadataDuration(metadata.duration) },
+      { label: 'Language', value: metadata.language },
+      { label: 'Recorded', value: metadata.createdAt ? new Date(metadata.createdAt).toLocaleString() : null },
+      { label: 'Speakers', value: speakers.length > 0 ? speakers.join(', ') : null },
+      { label: 'Segments', value: String(transcriptionData.length) }
+    ].filter(item => item.value)
+    : null;
+
+  return { header, paragraphs };
+};
+
+/**
+ * Build the full transcript text, grouping consecutive segments by speaker
+ * @param {Array} transcriptionData - Array of transcription segments
+ * @param {Object} layout - Layout options, see buildTranscriptDocument
+ * @param {Object} metadata - File metadata for the header block
+ * @returns {string} - Transcript with "Speaker: text" paragraphs when speakers are known
+ */
+export const formatFullTranscript = (transcriptionData, layout = {}, metadata = {}) => {
+  const { header, paragraphs } = buildTranscriptDocument(transcriptionData, layout, metadata);
+
+  const body = paragraphs
+    .map(paragraph => (paragraph.heading ? `${paragraph.heading}\n${paragraph.text}` : paragraph.text))
+    .join('\n\n');
+
+  if (!header) return body;
+  const headerText = header.map(item => `${item.label}: ${item.value}`).join('\n');
+  return `${headerText}\n${'='.repeat(40)}\n\n${body}`;
+};
+
+/**
+ * Serialize the transcript losslessly as JSON
+ * @param {Array} transcriptionData - Array of transcription segments
+ * @param {Object} metadata - File metadata (title, fileName, duration, language, ...)
+ * @returns {string} - JSON document with metadata, speakers and segments (including words)
+ */
+export const formatTranscriptAsJson = (transcriptionData, metadata = {}) => {
+  const speakers = [...new Set(transcriptionData.map(segment => segment.speaker).filter(Boolean))];
+
+  return JSON.stringify({
+    version: 1,
+    metadata: {
+      ...metadata,
+      segmentCount: transcriptionData.length,
+      exportedAt: new Date().toISOString()
+    },
+    speakers,
+    segments: transcriptionData.map(segment => ({ ...segment }))
+  }, null, 2);
+};
+
+const escapeCsv = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Format the transcript as CSV, one row per segment
+ * @param {Array} transcriptionData - Array of transcription segments
+ * @returns {string} - CSV content
+ */
+export const formatTranscriptAsCsv = (transcriptionData) => {
+  const header = ['index', 'start', 'end', 'start_seconds', 'end_seconds', 'speaker', 'text', 'confidence'];
+  const rows = transcriptionData
+    .filter(segment => segment && segment.text)
+    .map((segment, index) => [
+      index + 1,
+      formatTimestamp(segment.startTime),
+      formatTimestamp(segment.endTime),
+      segment.startTime,
+      segment.endTime,
+      segment.speaker || '',
+      segment.text,
+      typeof segment.confidence === 'number' ? segment.confidence.toFixed(3) : ''
+    ].map(escapeCsv).join(','));
+
+  return [header.join(','), ...rows].join('\r\n');
+};
+
+/**
+ * Format content as Markdown
+ * @param {string|Array} content - Content to export (key points are an array)
+ * @param {string} title - Document title
+ * @param {string} type - Type of export (full, summary, keypoints)
+ * @param {Object} transcriptDocument - Laid out full transcript from buildTranscriptDocument
+ * @returns {string} - Markdown content
+ */
+export const formatAsMarkdown = (content, title, type = 'full', transcriptDocument = null) => {
+  let body;
+
+  if (type === 'keypoints') {
+    body = (Array.isArray(content) ? content : [content]).map(point => `- ${point}`).join('\n');
+  } else if (type === 'full' && transcriptDocument) {
+    const header = transcriptDocument.header
+      ? `${transcriptDocument.header.map(item => `- **${item.label}:** ${item.value}`).join('\n')}\n\n---\n\n`
+      : '';
+    body = header + transcriptDocument.paragraphs
+      .map(paragraph => (paragraph.heading ? `### ${paragraph.heading}\n\n${paragraph.text}` : paragraph.text))
+      .join('\n\n');
+  } else {
+    body = type === 'summary' ? `> **Summary**\n\n${content}` : content;
   }
 
-  // Sort by score and clean up
-  return keyPoints
-    .sort((a, b) => b.score - a.score)
-    .slice(0, 10)
-    .map(item => item.text)
-    .filter(point => point.length > 0);
+  return `# ${title}\n\n${body}\n\n---\n\n_Generated on ${new Date().toLocaleDateString()} at ${new Date().toLocaleTimeString()}_\n`;
 };
 
 /**
- * Export content as TXT file
+ * Create a TXT export file
  * @param {string} content - Content to export
  * @param {string} filename - Filename for the export
+ * @returns {Object} - { blob, filename }
  */
-export const exportAsTxt = (content, filename) => {
+export const createTxtFile = (content, filename) => {
   const blob = new Blob([content], { type: 'text/plain;charset=utf-8' });
-  saveAs(blob, `${filename}.txt`);
+  return { blob, filename: `${filename}.txt` };
 };
 
 /**
- * Export content as HTML file
- * @param {string} content - Content to export
+ * Create a JSON export file
+ * @param {string} content - JSON content
  * @param {string} filename - Filename for the export
- * @param {string} title - Title for the HTML document
+ * @returns {Object} - { blob, filename }
+ */
+export const createJsonFile = (content, filename) => {
+  const blob = new Blob([content], { type: 'application/json;charset=utf-8' });
+  return { blob, filename: `${filename}.json` };
+};
+
+/**
+ * Create a CSV export file
+ * @param {string} content - CSV content
+ * @param {string} filename - Filename for the export
+ * @returns {Object} - { blob, filename }
+ */
+export const createCsvFile = (content, filename) => {
+  // The byte order mark makes spreadsheet apps read the file as UTF-8
+  const blob = new Blob(['\uFEFF', content], { type: 'text/csv;charset=utf-8' });
+  return { blob, filename: `${filename}.csv` };
+};
+
+/**
+ * Create a Markdown export file
+ * @param {string} content - Markdown content
+ * @param {string} filename - Filename for the export
+ * @returns {Object} - { blob, filename }
+ */
+export const createMarkdownFile = (content, filename) => {
+  const blob = new Blob([content], { type: 'text/markdown;charset=utf-8' });
+  return { blob, filename: `${filename}.md` };
+};
+
+const subtitleMimeTypes = {
+  srt: 'application/x-subrip;charset=utf-8',
+  vtt: 'text/vtt;charset=utf-8',
+  ttml: 'application/ttml+xml;charset=utf-8'
+};
+
+/**
+ * Create a subtitle export file
+ * @param {string} content - SRT, WebVTT or TTML content
+ * @param {string} filename - Filename for the export
+ * @param {string} format - Subtitle format (srt, vtt, ttml)
+ * @returns {Object} - { blob, filename }
+ */
+export const createSubtitleFile = (content, filename, format) => {
+  const blob = new Blob([content], { type: subtitleMimeTypes[format] || 'text/plain;charset=utf-8' });
+  return { blob, filename: `${filename}.${format}` };
+};
+
+// jsPDF's built-in fonts only encode Latin text (WinAnsi). Other scripts come out as garbage,
+// and right-to-left or complex scripts would also need shaping that jsPDF does not do.
+const PDF_EXTRA_CHARACTERS = new Set('€‚ƒ„…†‡ˆ‰Š‹ŒŽ‘’“”•–—˜™š›œžŸ');
+const PDF_UNSUPPORTED_SCRIPTS = [
+  { name: 'Chinese or Japanese', pattern: /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]/u },
+  { name: 'Korean', pattern: /\p{Script=Hangul}/u },
+  { name: 'Arabic', pattern: /\p{Script=Arabic}/u },
+  { name: 'Hebrew', pattern: /\p{Script=Hebrew}/u },
+  { name: 'Hindi', pattern: /\p{Script=Devanagari}/u },
+  { name: 'Cyrillic', pattern: /\p{Script=Cyrillic}/u },
+  { name: 'Greek', pattern: /\p{Script=Greek}/u },
+  { name: 'Thai', pattern: /\p{Script=Thai}/u },
+  { name: 'extended Latin', pattern: /\p{Script=Latin}/u }
+];
+
+/**
+ * Find text that PDF export cannot draw
+ * @param {string} text - Text that would go into the PDF
+ * @returns {string|null} - Name of the first unsupported script found, or null when the text can be exported
+ */
+export const findPdfUnsupportedScript = (text) => {
+  for (const character of String(text || '')) {
+    if (character.codePointAt(0) <= 0xff || PDF_EXTRA_CHARACTERS.has(character)) continue;
+    // Stray symbols and emoji do not block the export, only letters the reader would need
+    if (!/[\p{L}\p{M}]/u.test(character)) continue;
+    const script = PDF_UNSUPPORTED_SCRIPTS.find(({ pattern }) => pattern.test(character));
+    return script ? script.name : 'non-Latin';
+  }
+  return null;
+};
+
+/**
+ * Create a PDF export file
+ * @param {string|Array} content - Content to export
+ * @param {string} filename - Filename for the export
+ * @param {string} title - Title for the document
  * @param {string} type - Type of export (full, summary, keypoints)
+ * @param {Object} transcriptDocument - Laid out full transcript from buildTranscriptDocument
+ * @returns {Object} - { blob, filename }
  */
-export const exportAsHtml = (content, filename, title, type = 'full') => {
-  let htmlContent;
-  
-  if (type === 'keypoints') {
-    // Content is an array for key points
-    const keyPointsList = Array.isArray(content) ? content : [content];
-    const listItems = keyPointsList.map(point => `<li>${point}</li>`).join('\n');
-    
-    htmlContent = `
-<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>${title} - Key Points</title>
-    <style>
-        body { 
-            font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; 
-            line-height: 1.6; 
-            max-width: 800px; 
-            margin: 0 auto; 
+export const createPdfFile = (content, filename, title, type = 'full', transcriptDocument = null) => {
+  const unsupportedScript = findPdfUnsupportedScript([
+    title,
+    ...(Array.isArray(content) ? content : [content]),
+    // Speaker headings and the file details header are drawn too
+    ...(transcriptDocument ? (transcriptDocument.header || []).map(item => item.value) : []),
+    ...(transcriptDocument ? transcriptDocument.paragraphs.flatMap(paragraph => [paragraph.heading, paragraph.text]) : [])
+  ].filter(Boolean).join('\n'));
+  if (unsupportedScript) {
+    throw new Error(`PDF export does not support ${unsupportedScript} text yet. Please export this transcript as HTML or Word instead.`);
+  }
+
+  try {
+    const doc = new jsPDF({ unit: 'pt', format: 'a4' });
+    const margin = 56;
+    const pageWidth = doc.internal.pageSize.getWidth();
+    const pageHeight = doc.internal.pageSize.getHeight();
+    const textWidth = pageWidth - margin * 2;
+    let y = margin;
+
+    const writeBlock = (text, { size = 11, bold = false, color = [55, 65, 81], spacingAfter = 10 } = {}) => {
+      doc.setFont('helvetica', bold ? 'bold' : 'normal');
+      doc.setFontSize(size);
+      doc.setTextColor(...color);
+
+      doc.splitTextToSize(text, textWidth).forEach(line => {
+        if (y + size > pageHeight - margin) {
+          doc.addPage();
+          y = margin;
+        }
+        doc.text(line, margin, y + size);
+        y += size * 1.4;
+      });
+      y += spacingAfter;
+    };
+
+    writeBlock(title, { size: 20, bold: true, color: [31, 41, 55], spacingAfter: 16 });
+
+    if (type === 'summary' || type === 'keypoints') {
+      writeBlock(type === 'summary' ? 'SUMMARY' : 'KEY POINTS', { size: 10, bold: true, color: [14, 165, 233] });
+    }
+
+    if (type === 'keypoints') {
+      (Array.isArray(content) ? content : [content]).forEach(point => writeBlock(`• ${point}`, { spacingAfter: 6 }));
+    } else if (type === 'full' && transcriptDocument) {
+      if (transcriptDocument.header) {
+        transcriptDocument.header.forEach(item => writeBlock(`${item.label}: ${item.value}`, { size: 10, color: [107, 114, 128], spacingAfter: 0 }));
+        y += 16;
+      }
+      transcriptDocument.paragraphs.forEach(paragraph => {
+        if (paragraph.heading) {
+          writeBlock(paragraph.heading, { size: 10, bold: true, color: [14, 165, 233], spacingAfter: 2 });
+        }
+        writeBlock(paragraph.text);
+      });
+    } else {
+      String(content).split('\n').filter(paragraph => paragraph.trim()).forEach(paragraph => writeBlock(paragraph.trim()));
+    }
+
+    writeBlock(`Generated on ${new Date().toLocaleDateString()} at ${new Date().toLocaleTimeString()}`, {
+      size: 9,
+      color: [107, 114, 128]
+    });
+
+    // Page numbers
+    const pageCount = doc.getNumberOfPages();
+    for (let page = 1; page <= pageCount; page++) {
+      doc.setPage(page);
+      doc.setFont('helvetica', 'normal');
+      doc.setFontSize(9);
+      doc.setTextColor(107, 114, 128);
+      doc.text(`Page ${page} of ${pageCount}`, pageWidth - margin, pageHeight - margin / 2, { align: 'right' });
+    }
+
+    return { blob: doc.output('blob'), filename: `${filename}.pdf` };
+  } catch (error) {
+    console.error('Error creating PDF file:', error);
+    throw new Error('Failed to create PDF file. Please try a different format.');
+  }
+};
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Template-driven stylesheet shared by every HTML export type
+const buildHtmlStyles = (template) => `
+        body {
+            font-family: ${TEMPLATE_FONTS[template.fontFamily].css};
+            line-height: 1.8;
+            max-width: 800px;
+            margin: 0 auto;
             padding: 20px;
             background-color: #f9fafb;
+            color: ${template.textColor};
         }
         .container {
             background: white;
@@ -174,91 +435,69 @@ export const exportAsHtml = (content, filename, title, type = 'full') => {
             border-radius: 10px;
             box-shadow: 0 2px 10px rgba(0,0,0,0.1);
         }
-        h1 { 
-            color: #1f2937; 
-            border-bottom: 3px solid #0ea5e9; 
-            padding-bottom: 10px;
-            margin-bottom: 30px;
+        .doc-header {
+            display: flex;
+            align-items: center;
+            justify-content: space-between;
+            gap: 20px;
+            padding-bottom: 15px;
+            margin-bottom: 25px;
+            border-bottom: 1px solid #e5e7eb;
+            color: #6b7280;
+            font-size: 14px;
         }
-        ul { 
-            list-style-type: none; 
-            padding: 0; 
+        .cover {
+            min-height: 60vh;
+            display: flex;
+            flex-direction: column;
+            align-items: center;
+            justify-content: center;
+            text-align: center;
+            margin-bottom: 30px;
+            padding-bottom: 30px;
+            border-bottom: 3px solid ${template.primaryColor};
         }
-        li { 
-            background: #f0f9ff;
-            margin: 10px 0; 
-            padding: 15px; 
-            border-left: 4px solid #0ea5e9;
-            border-radius: 5px;
+        .cover h1 {
+            border: none;
+            font-size: 36px;
+            margin: 20px 0 10px;
         }
-        li:before {
-            content: "▸ ";
-            color: #0ea5e9;
-            font-weight: bold;
-            margin-right: 8px;
+        .cover-subtitle {
+            color: ${template.accentColor};
+            font-size: 20px;
+            margin: 0 0 20px;
         }
-        .footer {
-            margin-top: 30px;
-            padding-top: 20px;
-            border-top: 1px solid #e5e7eb;
+        .cover p {
             text-align: center;
-            color: #6b7280;
-            font-size: 14px;
-        }
-    </style>
-</head>
-<body>
-    <div class="container">
-        <h1>${title} - Key Points</h1>
-        <ul>
-            ${listItems}
-        </ul>
-        <div class="footer">
-            <p>Generated on ${new Date().toLocaleDateString()} at ${new Date().toLocaleTimeString()}</p>
-        </div>
-    </div>
-</body>
-</html>`;
-  } else {
-    // Regular content for full transcript or summary
-    const formattedContent = content.replace(/\n/g, '</p><p>');
-    
-    htmlContent = `
-<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>${title} - ${type === 'summary' ? 'Summary' : 'Full Transcript'}</title>
-    <style>
-        body { 
-            font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; 
-            line-height: 1.8; 
-            max-width: 800px; 
-            margin: 0 auto; 
-            padding: 20px;
-            background-color: #f9fafb;
-            color: #374151;
         }
-        .container {
-            background: white;
-            padding: 30px;
-            border-radius: 10px;
-            box-shadow: 0 2px 10px rgba(0,0,0,0.1);
-        }
-        h1 { 
-            color: #1f2937; 
-            border-bottom: 3px solid #0ea5e9; 
+        h1 {
+            color: ${template.headingColor};
+            border-bottom: 3px solid ${template.primaryColor};
             padding-bottom: 10px;
             margin-bottom: 30px;
         }
-        p { 
-            margin-bottom: 15px; 
+        p {
+            margin-bottom: 15px;
             text-align: justify;
         }
+        .speaker-heading {
+            color: ${template.accentColor};
+            font-size: 15px;
+            margin: 25px 0 5px;
+        }
+        .metadata {
+            border-collapse: collapse;
+            margin-bottom: 30px;
+            font-size: 14px;
+        }
+        .metadata th {
+            text-align: left;
+            color: #6b7280;
+            padding: 4px 20px 4px 0;
+        }
         .summary-tag {
-            background: #dbeafe;
-            color: #1e40af;
+            background: ${template.primaryColor}1f;
+            color: ${template.accentColor};
             padding: 5px 10px;
             border-radius: 15px;
             font-size: 12px;
@@ -266,6 +505,24 @@ export const exportAsHtml = (content, filename, title, type = 'full') => {
             display: inline-block;
             margin-bottom: 20px;
         }
+        .key-points {
+            list-style-type: none;
+            padding: 0;
+        }
+        .key-points li {
+            background: ${template.primaryColor}14;
+            margin: 10px 0;
+            padding: 15px;
+            border-left: 4px solid ${template.primaryColor};
+            border-radius: 5px;
+            line-height: 1.6;
+        }
+        .key-points li:before {
+            content: "▸ ";
+            color: ${template.primaryColor};
+            font-weight: bold;
+            margin-right: 8px;
+        }
         .footer {
             margin-top: 30px;
             padding-top: 20px;
@@ -274,36 +531,154 @@ export const exportAsHtml = (content, filename, title, type = 'full') => {
             color: #6b7280;
             font-size: 14px;
         }
+        .footer p {
+            margin: 0 0 5px;
+            text-align: center;
+        }
+        @media print {
+            body { background: white; padding: 0; }
+            .container { box-shadow: none; padding: 0; }
+            .cover { page-break-after: always; border: none; min-height: 90vh; }
+        }`;
+
+// Plain text becomes escaped paragraphs, one per line
+const toHtmlParagraphs = (text) => String(text)
+  .split('\n')
+  .filter(line => line.trim())
+  .map(line => `<p>${escapeHtml(line.trim())}</p>`)
+  .join('\n        ');
+
+/**
+ * Build the HTML document for an export, styled by an export template
+ * @param {string|Array} content - Content to export (an array of points for key points)
+ * @param {string} title - Title for the HTML document
+ * @param {string} type - Type of export (full, summary, keypoints)
+ * @param {Object} transcriptDocument - Laid out full transcript from buildTranscriptDocument
+ * @param {Object} template - Export template, see exportTemplateService
+ * @returns {string} - HTML source
+ */
+export const buildHtmlDocument = (content, title, type = 'full', transcriptDocument = null, template = null) => {
+  const style = normalizeExportTemplate(template || {});
+  const now = new Date();
+  const textValues = { title, date: now.toLocaleDateString() };
+  const logoImage = (maxHeight) => {
+    if (!style.logo) return '';
+    const { width, height } = getLogoSize(style.logo, maxHeight);
+    return `<img src="${escapeHtml(style.logo.dataUrl)}" width="${width}" height="${height}" alt="">`;
+  };
+
+  const headerText = fillTemplateText(style.headerText, textValues);
+  const header = style.logo || headerText
+    ? `<header class="doc-header">${logoImage(40)}<span>${escapeHtml(headerText)}</span></header>`
+    : '';
+
+  const cover = style.coverPage
+    ? `<section class="cover">
+            ${logoImage(120)}
+            <h1>${escapeHtml(title)}</h1>
+            ${style.coverSubtitle ? `<p class="cover-subtitle">${escapeHtml(fillTemplateText(style.coverSubtitle, textValues))}</p>` : ''}
+            ${toHtmlParagraphs(fillTemplateText(style.coverText, textValues))}
+            <p>${escapeHtml(textValues.date)}</p>
+        </section>`
+    : '';
+
+  let body;
+  if (type === 'keypoints') {
+    const keyPointsList = Array.isArray(content) ? content : [content];
+    body = `<ul class="key-points">
+            ${keyPointsList.map(point => `<li>${escapeHtml(point)}</li>`).join('\n            ')}
+        </ul>`;
+  } else if (type === 'full' && transcriptDocument) {
+    const metadataTable = transcriptDocument.header
+      ? `<table class="metadata">${transcriptDocument.header
+        .map(item => `<tr><th>${escapeHtml(item.label)}</th><td>${escapeHtml(item.value)}</td></tr>`)
+        .join('')}</table>`
+      : '';
+    body = metadataTable + transcriptDocument.paragraphs
+      .map(paragraph => `${paragraph.heading ? `<h3 class="speaker-heading">${escapeHtml(paragraph.heading)}</h3>` : ''}<p>${escapeHtml(paragraph.text)}</p>`)
+      .join('\n        ');
+  } else {
+    body = toHtmlParagraphs(Array.isArray(content) ? content.join('\n') : content);
+  }
+
+  const footerText = fillTemplateText(style.footerText, textValues);
+  const footerLines = [
+    footerText && `<p>${escapeHtml(footerText)}</p>`,
+    style.showGeneratedDate && `<p>Generated on ${now.toLocaleDateString()} at ${now.toLocaleTimeString()}</p>`
+  ].filter(Boolean);
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(title)}</title>
+    <style>${buildHtmlStyles(style)}
     </style>
 </head>
 <body>
     <div class="container">
-        <h1>${title}</h1>
+        ${header}
+        ${cover}
+        <h1>${escapeHtml(title)}</h1>
         ${type === 'summary' ? '<span class="summary-tag">SUMMARY</span>' : ''}
-        <p>${formattedContent}</p>
-        <div class="footer">
-            <p>Generated on ${new Date().toLocaleDateString()} at ${new Date().toLocaleTimeString()}</p>
-        </div>
+        ${body}
+        ${footerLines.length > 0 ? `<div class="footer">${footerLines.join('')}</div>` : ''}
     </div>
 </body>
 </html>`;
-  }
-  
+};
+
+/**
+ * Create an HTML export file
+ * @param {string} content - Content to export
+ * @param {string} filename - Filename for the export
+ * @param {string} title - Title for the HTML document
+ * @param {string} type - Type of export (full, summary, keypoints)
+ * @param {Object} transcriptDocument - Laid out full transcript from buildTranscriptDocument
+ * @param {Object} template - Export template, see exportTemplateService
+ * @returns {Object} - { blob, filename }
+ */
+export const createHtmlFile = (content, filename, title, type = 'full', transcriptDocument = null, template = null) => {
+  const htmlContent = buildHtmlDocument(content, title, type, transcriptDocument, template);
   const blob = new Blob([htmlContent], { type: 'text/html;charset=utf-8' });
-  saveAs(blob, `${filename}.html`);
+  return { blob, filename: `${filename}.html` };
+};
+
+// Decode a data URL logo into the bytes docx embeds
+const dataUrlToBytes = (dataUrl) => {
+  const binary = atob(dataUrl.split(',')[1] || '');
+  return Uint8Array.from(binary, character => character.charCodeAt(0));
 };
 
+// DOCX colors are hex without the leading #
+const docxColor = (color) => color.replace('#', '');
+
+const createLogoRun = (logo, maxHeight) => new ImageRun({
+  type: logo.type,
+  data: dataUrlToBytes(logo.dataUrl),
+  transformation: getLogoSize(logo, maxHeight)
+});
+
 /**
- * Export content as DOCX file
+ * Create a DOCX export file
  * @param {string|Array} content - Content to export
  * @param {string} filename - Filename for the export
  * @param {string} title - Title for the document
  * @param {string} type - Type of export (full, summary, keypoints)
+ * @param {Object} transcriptDocument - Laid out full transcript from buildTranscriptDocument
+ * @param {Object} template - Export template, see exportTemplateService
+ * @returns {Object} - { blob, filename }
  */
-export const exportAsDocx = async (content, filename, title, type = 'full') => {
+export const createDocxFile = async (content, filename, title, type = 'full', transcriptDocument = null, template = null) => {
   try {
+    const style = normalizeExportTemplate(template || {});
+    const now = new Date();
+    const textValues = { title, date: now.toLocaleDateString() };
+    const primaryColor = docxColor(style.primaryColor);
+    const accentColor = docxColor(style.accentColor);
     let documentChildren = [];
-    
+
     // Add title
     documentChildren.push(
       new Paragraph({
@@ -312,7 +687,7 @@ export const exportAsDocx = async (content, filename, title, type = 'full') => {
             text: title,
             bold: true,
             size: 32,
-            color: '1f2937'
+            color: docxColor(style.headingColor)
           })
         ],
         heading: HeadingLevel.TITLE,
@@ -329,7 +704,7 @@ export const exportAsDocx = async (content, filename, title, type = 'full') => {
               text: 'SUMMARY',
               bold: true,
               size: 20,
-              color: '0ea5e9'
+              color: primaryColor
             })
           ],
           spacing: { after: 200 }
@@ -343,7 +718,7 @@ export const exportAsDocx = async (content, filename, title, type = 'full') => {
               text: 'KEY POINTS',
               bold: true,
               size: 20,
-              color: '0ea5e9'
+              color: primaryColor
             })
           ],
           spacing: { after: 200 }
@@ -358,8 +733,9 @@ export const exportAsDocx = async (content, filename, title, type = 'full') => {
         documentChildren.push(
           new Paragraph({
             children: [
+              new TextRun({ text: '▸ ', bold: true, size: 22, color: primaryColor }),
               new TextRun({
-                text: `• ${point}`,
+                text: point,
                 size: 22
               })
             ],
@@ -367,11 +743,46 @@ export const exportAsDocx = async (content, filename, title, type = 'full') => {
           })
         );
       });
+    } else if (type === 'full' && transcriptDocument) {
+      // Metadata header, then paragraphs with optional speaker headings
+      (transcriptDocument.header || []).forEach(item => {
+        documentChildren.push(
+          new Paragraph({
+            children: [
+              new TextRun({ text: `${item.label}: `, bold: true, size: 20, color: '6b7280' }),
+              new TextRun({ text: item.value, size: 20, color: '6b7280' })
+            ],
+            spacing: { after: 60 }
+          })
+        );
+      });
+
+      transcriptDocument.paragraphs.forEach((paragraph, index) => {
+        if (paragraph.heading) {
+          documentChildren.push(
+            new Paragraph({
+              children: [
+                new TextRun({ text: paragraph.heading, bold: true, size: 22, color: accentColor })
+              ],
+              heading: HeadingLevel.HEADING_3,
+              spacing: { before: index === 0 && !transcriptDocument.header ? 0 : 240, after: 60 }
+            })
+          );
+        }
+        documentChildren.push(
+          new Paragraph({
+            children: [
+              new TextRun({ text: paragraph.text, size: 22 })
+            ],
+            spacing: { before: index === 0 && transcriptDocument.header ? 240 : 0, after: 120 }
+          })
+        );
+      });
     } else {
       // Handle regular text content
       const textContent = Array.isArray(content) ? content.join(' ') : content;
       const paragraphs = textContent.split('\n').filter(p => p.trim());
-      
+
       paragraphs.forEach(paragraph => {
         documentChildren.push(
           new Paragraph({
@@ -388,102 +799,283 @@ export const exportAsDocx = async (content, filename, title, type = 'full') => {
     }
 
     // Add footer with generation date
-    documentChildren.push(
-      new Paragraph({
+    if (style.showGeneratedDate) {
+      documentChildren.push(
+        new Paragraph({
+          children: [
+            new TextRun({
+              text: `Generated on ${now.toLocaleDateString()} at ${now.toLocaleTimeString()}`,
+              size: 18,
+              color: '6b7280',
+              italics: true
+            })
+          ],
+          spacing: { before: 400 }
+        })
+      );
+    }
+
+    // Page header with the logo and header text, page footer with the footer text and page number
+    const headerText = fillTemplateText(style.headerText, textValues);
+    const footerText = fillTemplateText(style.footerText, textValues);
+    const headerRuns = [
+      style.logo && createLogoRun(style.logo, 32),
+      headerText && new TextRun({ text: style.logo ? `   ${headerText}` : headerText, size: 18, color: '6b7280' })
+    ].filter(Boolean);
+
+    const contentSection = {
+      properties: {},
+      children: documentChildren
+    };
+    if (headerRuns.length > 0) {
+      contentSection.headers = {
+        default: new Header({ children: [new Paragraph({ children: headerRuns })] })
+      };
+    }
+    if (footerText) {
+      contentSection.footers = {
+        default: new Footer({
+          children: [
+            new Paragraph({
+              alignment: AlignmentType.CENTER,
+              children: [
+                new TextRun({ children: [`${footerText}  ·  Page `, PageNumber.CURRENT], size: 18, color: '6b7280' })
+              ]
+            })
+          ]
+        })
+      };
+    }
+
+    const sections = [contentSection];
+
+    if (style.coverPage) {
+      const coverSubtitle = fillTemplateText(style.coverSubtitle, textValues);
+      const coverText = fillTemplateText(style.coverText, textValues);
+      const centered = (children, spacing = { after: 200 }) => new Paragraph({ alignment: AlignmentType.CENTER, children, spacing });
+
+      sections.unshift({
+        properties: { verticalAlign: VerticalAlign.CENTER },
         children: [
-          new TextRun({
-            text: `Generated on ${new Date().toLocaleDateString()} at ${new Date().toLocaleTimeString()}`,
-            size: 18,
-            color: '6b7280',
-            italics: true
-          })
-        ],
-        spacing: { before: 400 }
-      })
-    );
+          style.logo && centered([createLogoRun(style.logo, 120)], { after: 400 }),
+          centered([new TextRun({ text: title, bold: true, size: 56, color: docxColor(style.headingColor) })], { after: 300 }),
+          coverSubtitle && centered([new TextRun({ text: coverSubtitle, size: 32, color: accentColor })], { after: 400 }),
+          ...coverText.split('\n').filter(line => line.trim()).map(line => centered([new TextRun({ text: line.trim(), size: 22 })])),
+          centered([new TextRun({ text: textValues.date, size: 22, color: '6b7280' })], { before: 400 })
+        ].filter(Boolean)
+      });
+    }
 
     const doc = new Document({
-      sections: [
-        {
-          properties: {},
-          children: documentChildren
+      styles: {
+        default: {
+          document: {
+            run: {
+              font: TEMPLATE_FONTS[style.fontFamily].docx,
+              color: docxColor(style.textColor)
+            }
+          }
         }
-      ]
+      },
+      sections
     });
 
     const blob = await Packer.toBlob(doc);
-    saveAs(blob, `${filename}.docx`);
+    return { blob, filename: `${filename}.docx` };
   } catch (error) {
     console.error('Error creating DOCX file:', error);
     throw new Error('Failed to create DOCX file. Please try a different format.');
   }
 };
 
+// Content, filename and title for an export type; transcriptDocument is only set for the full transcript
+const buildExportContent = (transcriptionData, exportType, fileFormat, baseFilename, options = {}) => {
+  const metadata = options.metadata || {};
+
+  switch (exportType) {
+    case 'full':
+      return {
+        transcriptDocument: buildTranscriptDocument(transcriptionData, options.layout, metadata),
+        content: formatFullTranscript(transcriptionData, options.layout, metadata),
+        filename: `${baseFilename}_full_transcript`,
+        title: `${baseFilename} - Full Transcript`
+      };
+
+    case 'summary':
+      return {
+        content: options.summary ? options.summary.summary : generateSummary(transcriptionData, options.summaryOptions),
+        filename: `${baseFilename}_summary`,
+        title: `${baseFilename} - Summary`
+      };
+
+    case 'keypoints':
+      return {
+        content: options.summary ? options.summary.keyPoints : generateKeyPoints(transcriptionData, options.summaryOptions),
+        filename: `${baseFilename}_key_points`,
+        title: `${baseFilename} - Key Points`
+      };
+
+    case 'captions':
+      return {
+        content: formatTranscriptionForExport(transcriptionData, fileFormat, {
+          ...options,
+          language: metadata.language
+        }),
+        filename: `${baseFilename}_captions`,
+        title: baseFilename
+      };
+
+    default:
+      throw new Error('Invalid export type specified.');
+  }
+};
+
 /**
- * Main export function that handles all export types and formats
+ * Render the HTML version of an export, used to preview export templates
  * @param {Array} transcriptionData - Array of transcription segments
  * @param {string} exportType - Type of export (full, summary, keypoints)
- * @param {string} fileFormat - File format (txt, html, docx)
  * @param {string} baseFilename - Base filename without extension
+ * @param {Object} options - Export options, see createExportFile
+ * @returns {string} - HTML source
  */
-export const exportTranscription = async (transcriptionData, exportType, fileFormat, baseFilename) => {
+export const buildExportPreview = (transcriptionData, exportType, baseFilename, options = {}) => {
+  const { content, title, transcriptDocument } = buildExportContent(transcriptionData || [], exportType, 'html', baseFilename, options);
+  return buildHtmlDocument(content, title, exportType, transcriptDocument, options.template);
+};
+
+/**
+ * Build one export file for an export type and format, without downloading it
+ * @param {Array} transcriptionData - Array of transcription segments
+ * @param {string} exportType - Type of export (full, summary, keypoints, captions)
+ * @param {string} fileFormat - File format (txt, html, docx, md, pdf; json, csv for the full transcript; srt, vtt, ttml for captions)
+ * @param {string} baseFilename - Base filename without extension
+ * @param {Object} options - Caption options ({ preset, maxLineLength, maxLines, speakerPrefix }),
+ *   full transcript layout ({ layout }, see buildTranscriptDocument), file metadata ({ metadata }),
+ *   the HTML/DOCX export template ({ template }, see exportTemplateService), and either a precomputed
+ *   summary ({ summary: { summary, keyPoints } }, see summarizeTranscript) or local summary settings ({ summaryOptions })
+ * @returns {Promise<Object>} - { blob, filename }
+ */
+export const createExportFile = async (transcriptionData, exportType, fileFormat, baseFilename, options = {}) => {
+  if (!transcriptionData || transcriptionData.length === 0) {
+    throw new Error('No transcription data available for export.');
+  }
+
+  const metadata = options.metadata || {};
+  const { content, filename, title, transcriptDocument = null } = buildExportContent(
+    transcriptionData,
+    exportType,
+    fileFormat,
+    baseFilename,
+    options
+  );
+
+  // Build the file based on format
+  switch (fileFormat.toLowerCase()) {
+    case 'txt':
+      const txtContent = exportType === 'keypoints' 
+        ? content.map((point, index) => `${index + 1}. ${point}`).join('\n\n')
+        : content;
+      return createTxtFile(txtContent, filename);
+    
+    case 'html':
+      return createHtmlFile(content, filename, title, exportType, transcriptDocument, options.template);
+    
+    case 'docx':
+      return await createDocxFile(content, filename, title, exportType, transcriptDocument, options.template);
+
+    case 'md':
+      return createMarkdownFile(formatAsMarkdown(content, title, exportType, transcriptDocument), filename);
+
+    case 'pdf':
+      return createPdfFile(content, filename, title, exportType, transcriptDocument);
+
+    case 'json':
+    case 'csv':
+      if (exportType !== 'full') {
+        throw new Error('JSON and CSV are only available for the full transcript.');
+      }
+      return fileFormat.toLowerCase() === 'json'
+        ? createJsonFile(formatTranscriptAsJson(transcriptionData, metadata), filename)
+        : createCsvFile(formatTranscriptAsCsv(transcriptionData), filename);
+
+    case 'srt':
+    case 'vtt':
+    case 'ttml':
+      if (exportType !== 'captions') {
+        throw new Error('Subtitle formats are only available for captions.');
+      }
+      return createSubtitleFile(content, filename, fileFormat.toLowerCase());
+    
+    default:
+      throw new Error('Invalid file format specified.');
+  }
+};
+
+/**
+ * Main export function that handles all export types and formats, and downloads the result
+ * @param {Array} transcriptionData - Array of transcription segments
+ * @param {string} exportType - Type of export (full, summary, keypoints, captions)
+ * @param {string} fileFormat - File format, see createExportFile
+ * @param {string} baseFilename - Base filename without extension
+ * @param {Object} options - Export options, see createExportFile
+ */
+export const exportTranscription = async (transcriptionData, exportType, fileFormat, baseFilename, options = {}) => {
+  try {
+    const file = await createExportFile(transcriptionData, exportType, fileFormat, baseFilename, options);
+    saveAs(file.blob, file.filename);
+    return { success: true, filename: file.filename };
+  } catch (error) {
+    console.error('Export error:', error);
+    throw error;
+  }
+};
+
+/**
+ * Package several exports into one ZIP download, built in the browser
+ * @param {Array} transcriptionData - Array of transcription segments
+ * @param {Array} exports - Array of { type, format } to include
+ * @param {string} baseFilename - Base filename without extension
+ * @param {Object} options - Export options (see createExportFile) plus { includeManifest }
+ * @returns {Promise<Object>} - { success, filename, results } where results has one entry per export
+ */
+export const exportBundle = async (transcriptionData, exports, baseFilename, options = {}) => {
   try {
-    if (!transcriptionData || transcriptionData.length === 0) {
-      throw new Error('No transcription data available for export.');
+    const zip = new JSZip();
+    const results = [];
+
+    for (const { type, format } of exports) {
+      try {
+        const file = await createExportFile(transcriptionData, type, format, baseFilename, options);
+        zip.file(file.filename, file.blob);
+        results.push({ type, format, filename: file.filename, size: file.blob.size, success: true });
+      } catch (error) {
+        console.error(`Bundle export failed for ${type}:`, error);
+        results.push({ type, format, success: false, error: error.message });
+      }
     }
 
-    let content;
-    let filename;
-    let title = baseFilename;
-
-    // Generate content based on export type
-    switch (exportType) {
-      case 'full':
-        content = transcriptionData.map(segment => segment.text).join('\n\n');
-        filename = `${baseFilename}_full_transcript`;
-        title = `${baseFilename} - Full Transcript`;
-        break;
-      
-      case 'summary':
-        content = generateSummary(transcriptionData);
-        filename = `${baseFilename}_summary`;
-        title = `${baseFilename} - Summary`;
-        break;
-      
-      case 'keypoints':
-        content = generateKeyPoints(transcriptionData);
-        filename = `${baseFilename}_key_points`;
-        title = `${baseFilename} - Key Points`;
-        break;
-      
-      default:
-        throw new Error('Invalid export type specified.');
+    if (!results.some(result => result.success)) {
+      throw new Error('None of the selected exports could be created.');
     }
 
-    // Export based on file format
-    switch (fileFormat.toLowerCase()) {
-      case 'txt':
-        const txtContent = exportType === 'keypoints' 
-          ? content.map((point, index) => `${index + 1}. ${point}`).join('\n\n')
-          : content;
-        exportAsTxt(txtContent, filename);
-        break;
-      
-      case 'html':
-        exportAsHtml(content, filename, title, exportType);
-        break;
-      
-      case 'docx':
-        await exportAsDocx(content, filename, title, exportType);
-        break;
-      
-      default:
-        throw new Error('Invalid file format specified.');
+    if (options.includeManifest) {
+      zip.file('manifest.json', JSON.stringify({
+        name: baseFilename,
+        createdAt: new Date().toISOString(),
+        metadata: options.metadata || {},
+        segmentCount: transcriptionData.length,
+        files: results.filter(result => result.success).map(({ type, format, filename, size }) => ({ type, format, filename, size })),
+        failed: results.filter(result => !result.success).map(({ type, format, error }) => ({ type, format, error }))
+      }, null, 2));
     }
 
-    return { success: true, filename: `${filename}.${fileFormat}` };
+    const blob = await zip.generateAsync({ type: 'blob', compression: 'DEFLATE' });
+    const filename = `${baseFilename}_exports.zip`;
+    saveAs(blob, filename);
+
+    return { success: true, filename, results };
   } catch (error) {
-    console.error('Export error:', error);
+    console.error('Bundle export error:', error);
     throw error;
   }
-};
\ No newline at end of file
+};
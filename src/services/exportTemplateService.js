@@ -0,0 +1,239 @@
+import supabase from '../lib/supabase';
+
+const TEMPLATES_TABLE = 'export_templates_73fk5a8d9s';
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+// Templates are user data, so only inline base64 images are trusted in the exported HTML
+const LOGO_DATA_URL = /^data:image\/(png|jpeg|gif);base64,[A-Za-z0-9+/=]+$/;
+
+const LOGO_TYPES = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/gif': 'gif'
+};
+
+// Logos are stored inline with the template, so keep them small
+export const MAX_LOGO_SIZE = 300 * 1024;
+
+/**
+ * Font choices shared by the HTML (CSS stack) and DOCX (single font name) exporters
+ */
+export const TEMPLATE_FONTS = {
+  sans: { name: 'Sans-serif', css: "'Segoe UI', Tahoma, Geneva, Verdana, sans-serif", docx: 'Calibri' },
+  serif: { name: 'Serif', css: "Georgia, 'Times New Roman', serif", docx: 'Georgia' },
+  mono: { name: 'Monospace', css: "'Courier New', Courier, monospace", docx: 'Courier New' }
+};
+
+/**
+ * Built-in template matching the original export styling. Colors are #rrggbb.
+ * headerText, footerText and coverText may use the {title} and {date} placeholders.
+ */
+export const DEFAULT_EXPORT_TEMPLATE = {
+  id: null,
+  name: 'Default',
+  isDefault: false,
+  logo: null,
+  primaryColor: '#0ea5e9',
+  headingColor: '#1f2937',
+  accentColor: '#0369a1',
+  textColor: '#374151',
+  fontFamily: 'sans',
+  headerText: '',
+  footerText: '',
+  showGeneratedDate: true,
+  coverPage: false,
+  coverSubtitle: '',
+  coverText: ''
+};
+
+/**
+ * Fill in missing or invalid template fields from the built-in template
+ * @param {Object} template - Partial template
+ * @returns {Object} - Complete template
+ */
+export const normalizeExportTemplate = (template = {}) => {
+  const normalized = { ...DEFAULT_EXPORT_TEMPLATE };
+
+  Object.keys(DEFAULT_EXPORT_TEMPLATE).forEach(key => {
+    const value = template[key];
+    if (value === undefined || value === null) return;
+
+    if (key.endsWith('Color')) {
+      if (HEX_COLOR.test(value)) normalized[key] = value.toLowerCase();
+    } else if (key === 'fontFamily') {
+      if (TEMPLATE_FONTS[value]) normalized[key] = value;
+    } else if (key === 'logo') {
+      if (LOGO_DATA_URL.test(value.dataUrl) && Object.values(LOGO_TYPES).includes(value.type)) {
+        normalized[key] = {
+          dataUrl: value.dataUrl,
+          type: value.type,
+          width: Number(value.width) || 0,
+          height: Number(value.height) || 0
+        };
+      }
+    } else if (typeof value === typeof DEFAULT_EXPORT_TEMPLATE[key] || DEFAULT_EXPORT_TEMPLATE[key] === null) {
+      normalized[key] = value;
+    }
+  });
+
+  return normalized;
+};
+
+/**
+ * Replace the {title} and {date} placeholders in template text
+ * @param {string} text - Template text
+ * @param {Object} values - { title, date }
+ * @returns {string} - Filled in text
+ */
+export const fillTemplateText = (text, values = {}) => {
+  return (text || '')
+    .replace(/\{title\}/g, values.title || '')
+    .replace(/\{date\}/g, values.date || new Date().toLocaleDateString());
+};
+
+/**
+ * Scale a logo to a maximum height, keeping its aspect ratio
+ * @param {Object} logo - { width, height }
+ * @param {number} maxHeight - Maximum height in pixels
+ * @returns {Object} - { width, height }
+ */
+export const getLogoSize = (logo, maxHeight) => {
+  const scale = Math.min(1, maxHeight / (logo.height || maxHeight));
+  return {
+    width: Math.round((logo.width || maxHeight) * scale),
+    height: Math.round((logo.height || maxHeight) * scale)
+  };
+};
+
+/**
+ * Read an image file into a template logo
+ * @param {File} file - PNG, JPEG or GIF image
+ * @returns {Promise<Object>} - { dataUrl, type, width, height }
+ */
+export const readLogoFile = (file) => {
+  return new Promise((resolve, reject) => {
+    const type = file && LOGO_TYPES[file.type];
+    if (!type) {
+      reject(new Error('Logos must be PNG, JPEG or GIF images.'));
+      return;
+    }
+    if (file.size > MAX_LOGO_SIZE) {
+      reject(new Error(`Logos must be smaller than ${Math.round(MAX_LOGO_SIZE / 1024)} KB.`));
+      return;
+    }
+
+    const reader = new FileReader();
+    reader.onerror = () => reject(new Error('Failed to read the logo file.'));
+    reader.onload = () => {
+      const image = new Image();
+      image.onerror = () => reject(new Error('The logo file is not a valid image.'));
+      image.onload = () => resolve({
+        dataUrl: reader.result,
+        type,
+        width: image.naturalWidth,
+        height: image.naturalHeight
+      });
+      image.src = reader.result;
+    };
+    reader.readAsDataURL(file);
+  });
+};
+
+// Convert a templates table row into a template
+const fromTemplateRow = (row) => ({
+  ...normalizeExportTemplate(row.settings || {}),
+  id: row.id,
+  name: row.name,
+  isDefault: !!row.is_default
+});
+
+// Only the styling fields go into the settings column
+const toTemplateSettings = (template) => {
+  const { id: _id, name: _name, isDefault: _isDefault, ...settings } = normalizeExportTemplate(template);
+  return settings;
+};
+
+/**
+ * Get the export templates saved by the current user
+ * @returns {Promise} - Promise with array of templates
+ */
+export const getExportTemplates = async () => {
+  try {
+    const { data, error } = await supabase
+      .from(TEMPLATES_TABLE)
+      .select('*')
+      .order('name', { ascending: true });
+
+    if (error) throw error;
+    return (data || []).map(fromTemplateRow);
+  } catch (error) {
+    console.error('Error fetching export templates:', error);
+    throw error;
+  }
+};
+
+/**
+ * Create or update an export template for the current user.
+ * Marking a template as default clears the flag on the user's other templates.
+ * @param {Object} template - Template; templates without an id are created
+ * @returns {Promise} - Promise with the saved template
+ */
+export const saveExportTemplate = async (template) => {
+  try {
+    const { data: { user } } = await supabase.auth.getUser();
+    if (!user) throw new Error('User not authenticated');
+
+    const name = (template.name || '').trim();
+    if (!name) throw new Error('Please give the template a name.');
+
+    const row = {
+      name,
+      is_default: !!template.isDefault,
+      settings: toTemplateSettings(template),
+      updated_at: new Date()
+    };
+
+    const query = template.id
+      ? supabase.from(TEMPLATES_TABLE).update(row).eq('id', template.id)
+      : supabase.from(TEMPLATES_TABLE).insert({ ...row, user_id: user.id });
+
+    const { data, error } = await query.select().single();
+    if (error) throw error;
+
+    if (row.is_default) {
+      const { error: defaultError } = await supabase
+        .from(TEMPLATES_TABLE)
+        .update({ is_default: false })
+        .eq('user_id', user.id)
+        .neq('id', data.id);
+
+      if (defaultError) throw defaultError;
+    }
+
+    return fromTemplateRow(data);
+  } catch (error) {
+    console.error('Error saving export template:', error);
+    throw error;
+  }
+};
+
+/**
+ * Delete an export template
+ * @param {string} templateId - ID of the template to delete
+ * @returns {Promise} - Promise with success or error
+ */
+export const deleteExportTemplate = async (templateId) => {
+  try {
+    const { error } = await supabase
+      .from(TEMPLATES_TABLE)
+      .delete()
+      .eq('id', templateId);
+
+    if (error) throw error;
+    return { success: true };
+  } catch (error) {
+    console.error('Error deleting export template:', error);
+    throw error;
+  }
+};
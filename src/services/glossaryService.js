@@ -0,0 +1,311 @@
+import supabase from '../lib/supabase';
+
+const GLOSSARIES_TABLE = 'glossaries_73fk5a8d9s';
+
+// Whisper only reads the last 224 tokens of a prompt, so longer hint lists are cut
+const MAX_PROMPT_LENGTH = 600;
+
+// Near-misses of shorter terms are too likely to be ordinary words
+const MIN_FUZZY_LENGTH = 6;
+
+/**
+ * Turn glossary text (one term per line) into a list of unique terms
+ * @param {string} text - Terms separated by new lines
+ * @returns {Array} - Trimmed terms, duplicates removed ignoring case
+ */
+export const parseGlossaryTerms = (text) => {
+  const seen = new Set();
+  return (text || '')
+    .split(/\r?\n/)
+    .map(term => term.trim().replace(/\s+/g, ' '))
+    .filter(term => {
+      const key = term.toLowerCase();
+      if (!term || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+};
+
+/**
+ * Collect the terms that apply to a transcription: every glossary marked for all
+ * transcriptions plus the selected project glossary
+ * @param {Array} glossaries - Glossaries from getGlossaries
+ * @param {string} projectGlossaryId - ID of the project glossary, if any
+ * @returns {Array} - Unique terms, project terms first
+ */
+export const getGlossaryTerms = (glossaries = [], projectGlossaryId = null) => {
+  const active = [
+    ...glossaries.filter(glossary => glossary.id === projectGlossaryId),
+    ...glossaries.filter(glossary => glossary.appliesToAll && glossary.id !== projectGlossaryId)
+  ];
+  return parseGlossaryTerms(active.flatMap(glossary => glossary.terms).join('\n'));
+};
+
+/**
+ * Build the hint text sent to providers that accept a prompt. Whisper treats the prompt as
+ * preceding speech, which makes it more likely to spell these terms the same way.
+ * @param {Array} terms - Glossary terms
+ * @returns {string} - Comma separated terms, empty when there are none
+ */
+export const buildGlossaryPrompt = (terms = []) => {
+  let prompt = '';
+  for (const term of terms) {
+    const next = prompt ? `${prompt}, ${term}` : term;
+    if (next.length > MAX_PROMPT_LENGTH) break;
+    prompt = next;
+  }
+  return prompt;
+};
+
+// Compare letters and digits only, so "Git Hub" and "github" are the same key
+const toMatchKey = (text) => text
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^\p{L}\p{N}]/gu, '');
+
+const getMaxDistance = (length) => (length < MIN_FUZZY_LENGTH ? 0 : Math.floor(length / 5));
+
+// Levenshtein distance, giving up as soon as it must exceed maxDistance
+const getEditDistance = (a, b, maxDistance) => {
+  if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+  if (maxDistance === 0) return a === b ? 0 : 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > maxDistance) return maxDistance + 1;
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// Split text like text.split(/\s+/) does, keeping where each word's letters start and end.
+// Surrounding punctuation and a possessive 's stay outside the word.
+const tokenize = (text) => [...text.matchAll(/\S+/g)].map(match => {
+  const raw = match[0];
+  const leading = raw.match(/^[^\p{L}\p{N}]*/u)[0].length;
+  let trailing = raw.match(/[^\p{L}\p{N}]*$/u)[0].length;
+  if (/['’]s$/i.test(raw.slice(0, raw.length - trailing))) trailing += 2;
+  return {
+    start: match.index + leading,
+    end: Math.max(match.index + leading, match.index + raw.length - trailing),
+    leading: leading > 0,
+    trailing: trailing > 0
+  };
+});
+
+/**
+ * Find the glossary term that best matches the words starting at a token
+ * @returns {Object|null} - { term, size } with the number of tokens matched
+ */
+const matchTermAt = (text, tokens, index, entries) => {
+  let best = null;
+
+  entries.forEach(entry => {
+    // A term may be heard as one word more or less, e.g. "Git Hub" for "GitHub". Only exact
+    // letter matches count then, so a neighbouring word is never swallowed ("on kubernetes").
+    for (let size = Math.max(1, entry.wordCount - 1); size <= entry.wordCount + 1; size++) {
+      const window = tokens.slice(index, index + size);
+      if (window.length < size || window.some(token => token.end === token.start)) break;
+      // Never join words across punctuation such as the end of a sentence
+      if (window.slice(1).some(token => token.leading) || window.slice(0, -1).some(token => token.trailing)) break;
+
+      const key = toMatchKey(text.slice(window[0].start, window[size - 1].end));
+      const maxDistance = size === entry.wordCount ? entry.maxDistance : 0;
+      const distance = getEditDistance(key, entry.key, maxDistance);
+      if (distance > maxDistance) continue;
+      if (!best || distance < best.distance || (distance === best.distance && size === entry.wordCount)) {
+        best = { term: entry.term, size, distance };
+      }
+    }
+  });
+
+  return best;
+};
+
+/**
+ * Replace near-miss spellings of glossary terms in one piece of text
+ * @param {string} text - Segment text
+ * @param {Array} entries - Prepared glossary entries
+ * @returns {Object} - { text, corrections, replacedTokens } where each correction is { offset, term, original }
+ *   with the offset into the corrected text, and replacedTokens lists { index, size } per correction
+ */
+const correctText = (text, entries) => {
+  const tokens = tokenize(text);
+  const corrections = [];
+  const replacedTokens = [];
+  let corrected = '';
+  let copiedUpTo = 0;
+
+  for (let index = 0; index < tokens.length;) {
+    const match = matchTermAt(text, tokens, index, entries);
+    if (!match) {
+      index++;
+      continue;
+    }
+
+    const start = tokens[index].start;
+    const end = tokens[index + match.size - 1].end;
+    const original = text.slice(start, end);
+    // A lone short word differing only in case is usually the ordinary word ("react" vs "React")
+    const isAmbiguous = match.size === 1 && toMatchKey(match.term).length < MIN_FUZZY_LENGTH &&
+      original.toLowerCase() === match.term.toLowerCase();
+
+    if (original !== match.term && !isAmbiguous) {
+      corrected += text.slice(copiedUpTo, start);
+      corrections.push({ offset: corrected.length, term: match.term, original });
+      replacedTokens.push({ index, size: match.size });
+      corrected += match.term;
+      copiedUpTo = end;
+    }
+    index += match.size;
+  }
+
+  return { text: corrected + text.slice(copiedUpTo), corrections, replacedTokens };
+};
+
+// Keep word timings in step with the text by merging the words a term replaced
+const correctWords = (words, replacedTokens, corrections) => {
+  const corrected = [];
+  let next = 0;
+  replacedTokens.forEach(({ index, size }, i) => {
+    corrected.push(...words.slice(next, index));
+    const replaced = words.slice(index, index + size);
+    const confidences = replaced.map(word => word.confidence).filter(value => typeof value === 'number');
+    corrected.push({
+      word: corrections[i].term,
+      start: replaced[0].start,
+      end: replaced[replaced.length - 1].end,
+      confidence: confidences.length > 0 ? Math.min(...confidences) : null
+    });
+    next = index + size;
+  });
+  return [...corrected, ...words.slice(next)];
+};
+
+/**
+ * Replace near-miss spellings of glossary terms with the canonical term. Each changed
+ * segment lists its replacements in corrections: [{ offset, term, original }].
+ * @param {Array} segments - Transcription segments
+ * @param {Array} terms - Glossary terms
+ * @returns {Array} - Segments with the corrections applied
+ */
+export const applyGlossaryCorrections = (segments, terms = []) => {
+  const entries = terms
+    .map(term => {
+      const key = toMatchKey(term);
+      return { term, key, wordCount: term.split(/\s+/).length, maxDistance: getMaxDistance(key.length) };
+    })
+    .filter(entry => entry.key);
+  if (entries.length === 0) return segments;
+
+  return segments.map(segment => {
+    if (!segment || !segment.text) return segment;
+
+    const { text, corrections, replacedTokens } = correctText(segment.text, entries);
+    if (corrections.length === 0) return segment;
+
+    const { words, ...rest } = segment;
+    // Word timings only line up with the text when there is one word per token
+    const wordsAlign = Array.isArray(words) && words.length === segment.text.split(/\s+/).filter(Boolean).length;
+    return {
+      ...rest,
+      text,
+      corrections: [...(segment.corrections || []), ...corrections],
+      ...(wordsAlign && { words: correctWords(words, replacedTokens, corrections) })
+    };
+  });
+};
+
+// Convert a glossaries table row into a glossary
+const fromGlossaryRow = (row) => ({
+  id: row.id,
+  name: row.name,
+  terms: Array.isArray(row.terms) ? row.terms : [],
+  appliesToAll: !!row.applies_to_all
+});
+
+/**
+ * Get the glossaries saved by the current user
+ * @returns {Promise} - Promise with array of glossaries
+ */
+export const getGlossaries = async () => {
+  try {
+    const { data, error } = await supabase
+      .from(GLOSSARIES_TABLE)
+      .select('*')
+      .order('name', { ascending: true });
+
+    if (error) throw error;
+    return (data || []).map(fromGlossaryRow);
+  } catch (error) {
+    console.error('Error fetching glossaries:', error);
+    throw error;
+  }
+};
+
+/**
+ * Create or update a glossary for the current user
+ * @param {Object} glossary - { id, name, terms, appliesToAll }; glossaries without an id are created
+ * @returns {Promise} - Promise with the saved glossary
+ */
+export const saveGlossary = async (glossary) => {
+  try {
+    const { data: { user } } = await supabase.auth.getUser();
+    if (!user) throw new Error('User not authenticated');
+
+    const name = (glossary.name || '').trim();
+    if (!name) throw new Error('Please give the glossary a name.');
+
+    const terms = parseGlossaryTerms((glossary.terms || []).join('\n'));
+    if (terms.length === 0) throw new Error('Add at least one term to the glossary.');
+
+    const row = {
+      name,
+      terms,
+      applies_to_all: !!glossary.appliesToAll,
+      updated_at: new Date()
+    };
+
+    const query = glossary.id
+      ? supabase.from(GLOSSARIES_TABLE).update(row).eq('id', glossary.id)
+      : supabase.from(GLOSSARIES_TABLE).insert({ ...row, user_id: user.id });
+
+    const { data, error } = await query.select().single();
+    if (error) throw error;
+    return fromGlossaryRow(data);
+  } catch (error) {
+    console.error('Error saving glossary:', error);
+    throw error;
+  }
+};
+
+/**
+ * Delete a glossary
+ * @param {string} glossaryId - ID of the glossary to delete
+ * @returns {Promise} - Promise with success or error
+ */
+export const deleteGlossary = async (glossaryId) => {
+  try {
+    const { error } = await supabase
+      .from(GLOSSARIES_TABLE)
+      .delete()
+      .eq('id', glossaryId);
+
+    if (error) throw error;
+    return { success: true };
+  } catch (error) {
+    console.error('Error deleting glossary:', error);
+    throw error;
+  }
+};
@@ -0,0 +1,221 @@
+import { AUTO_DETECT_LANGUAGE, getLanguageName } from '../common/languages';
+
+// Browser cache that transformers.js stores downloaded model files in
+const MODEL_CACHE_NAME = 'transformers-cache';
+const SAMPLE_RATE = 16000;
+
+export const WHISPER_MODELS = [
+  { id: 'onnx-community/whisper-tiny', name: 'Tiny (multilingual)', size: 41, description: 'Fastest, all languages' },
+  { id: 'onnx-community/whisper-tiny.en', name: 'Tiny (English)', size: 41, description: 'Fastest, English only' },
+  { id: 'onnx-community/whisper-base.en', name: 'Base (English)', size: 77, description: 'More accurate, English only' },
+  { id: 'onnx-community/whisper-base', name: 'Base (multilingual)', size: 77, description: 'More accurate, all languages' },
+  { id: 'onnx-community/whisper-small', name: 'Small (multilingual)', size: 250, description: 'Most accurate, slow on older computers' }
+];
+
+// Multilingual, so the default works for every language and for Auto-detect
+export const DEFAULT_WHISPER_MODEL = WHISPER_MODELS[0].id;
+
+/**
+ * Explain why a Whisper model does not suit a transcription language
+ * @param {string} modelId - Selected Whisper model, the default when empty
+ * @param {string} language - Transcription language code or AUTO_DETECT_LANGUAGE
+ * @returns {string|null} - Warning for English-only models used with another language or Auto-detect, otherwise null
+ */
+export const getWhisperLanguageWarning = (modelId, language) => {
+  const model = WHISPER_MODELS.find(item => item.id === (modelId || DEFAULT_WHISPER_MODEL));
+  if (!model || !model.id.endsWith('.en')) return null;
+
+  if (language === AUTO_DETECT_LANGUAGE) {
+    return `The ${model.name} offline model only understands English, so it cannot detect the spoken language. Choose a multilingual model in Settings.`;
+  }
+  if (language && !language.toLowerCase().startsWith('en')) {
+    return `The ${model.name} offline model only understands English and cannot transcribe ${getLanguageName(language)}. Choose a multilingual model in Settings.`;
+  }
+  return null;
+};
+
+let worker = null;
+let nextRequestId = 1;
+const pendingRequests = new Map();
+
+// One worker is shared by all requests so a loaded model stays in memory between transcriptions
+const getWorker = () => {
+  if (!worker) {
+    worker = new Worker(new URL('../workers/whisperWorker.js', import.meta.url), { type: 'module' });
+
+    worker.onmessage = ({ data }) => {
+      const request = pendingRequests.get(data.id);
+      if (!request) return;
+
+      if (data.type === 'download') {
+        request.onDownload(data);
+      } else if (data.type === 'progress') {
+        request.onProgress(data.progress);
+      } else {
+        pendingRequests.delete(data.id);
+        if (data.type === 'error') {
+          request.reject(new Error(`Local transcription failed: ${data.message}`));
+        } else {
+          request.resolve(data);
+        }
+      }
+    };
+
+    worker.onerror = (event) => {
+      console.error('Whisper worker crashed:', event);
+      pendingRequests.forEach(request => request.reject(new Error('Local transcription failed: the Whisper worker stopped unexpectedly.')));
+      pendingRequests.clear();
+      worker.terminate();
+      worker = null;
+    };
+  }
+  return worker;
+};
+
+const sendRequest = (message, { onDownload = () => {}, onProgress = () => {}, transfer = [] } = {}) => {
+  return new Promise((resolve, reject) => {
+    const id = nextRequestId++;
+    pendingRequests.set(id, { resolve, reject, onDownload, onProgress });
+    getWorker().postMessage({ ...message, id }, transfer);
+  });
+};
+
+// Model files download in parallel, so progress is the sum over all files seen so far
+const createDownloadTracker = (callback) => {
+  const files = new Map();
+  return ({ file, loaded, total }) => {
+    files.set(file, { loaded, total });
+    let loadedBytes = 0;
+    let totalBytes = 0;
+    files.forEach(entry => {
+      loadedBytes += entry.loaded || 0;
+      totalBytes += entry.total || 0;
+    });
+    if (totalBytes > 0) {
+      callback(Math.min((loadedBytes / totalBytes) * 100, 100), loadedBytes);
+    }
+  };
+};
+
+/**
+ * Check whether local transcription can run in this browser
+ * @returns {boolean} - True when Web Workers, WebAssembly and the Cache API are available
+ */
+export const isLocalWhisperSupported = () => {
+  return typeof Worker !== 'undefined' && typeof WebAssembly !== 'undefined' && typeof caches !== 'undefined';
+};
+
+/**
+ * Download a Whisper model into the browser cache and load it in the worker
+ * @param {string} modelId - Model id from WHISPER_MODELS
+ * @param {Function} progressCallback - Called with (percent, loadedBytes) while downloading
+ */
+export const downloadWhisperModel = async (modelId, progressCallback = () => {}) => {
+  await sendRequest({ type: 'load', model: modelId }, { onDownload: createDownloadTracker(progressCallback) });
+};
+
+/**
+ * List the models whose files are in the browser cache
+ * @returns {Promise<Object>} - Map of model id to cached size in bytes
+ */
+export const getCachedWhisperModels = async () => {
+  const cached = {};
+  if (typeof caches === 'undefined') return cached;
+
+  try {
+    const cache = await caches.open(MODEL_CACHE_NAME);
+    const requests = await cache.keys();
+
+    for (const model of WHISPER_MODELS) {
+      const modelRequests = requests.filter(request => request.url.includes(`/${model.id}/`));
+      if (!modelRequests.some(request => request.url.endsWith('.onnx'))) continue;
+
+      let size = 0;
+      for (const request of modelRequests) {
+        const response = await cache.match(request);
+        size += Number(response?.headers.get('content-length')) || 0;
+      }
+      cached[model.id] = size;
+    }
+  } catch (error) {
+    console.error('Failed to read the model cache:', error);
+  }
+  return cached;
+};
+
+/**
+ * Remove a model's files from the browser cache
+ * @param {string} modelId - Model id from WHISPER_MODELS
+ */
+export const deleteWhisperModel = async (modelId) => {
+  try {
+    const cache = await caches.open(MODEL_CACHE_NAME);
+    const requests = await cache.keys();
+    await Promise.all(requests
+      .filter(request => request.url.includes(`/${modelId}/`))
+      .map(request => cache.delete(request)));
+  } catch (error) {
+    console.error('Failed to delete model:', error);
+    throw error;
+  }
+};
+
+/**
+ * Transcribe 16kHz mono PCM samples with Whisper in a Web Worker
+ * @param {Float32Array} samples - Audio samples at 16kHz; the buffer is transferred to the worker
+ * @param {Object} options - { model, language, progressCallback(percent, stage) }
+ * @returns {Promise<Array>} - Array of transcription segments
+ */
+export const transcribeLocally = async (samples, options = {}) => {
+  const updateProgress = typeof options.progressCallback === 'function' ?
+    options.progressCallback : () => {};
+  const model = options.model || DEFAULT_WHISPER_MODEL;
+  // Read before the buffer is transferred away
+  const duration = samples.length / SAMPLE_RATE;
+
+  updateProgress(35, 'Loading the offline model...');
+
+  const { chunks } = await sendRequest(
+    { type: 'transcribe', model, audio: samples, language: options.language },
+    {
+      onDownload: createDownloadTracker((percent) => updateProgress(35, `Downloading the offline model (${Math.round(percent)}%)...`)),
+      onProgress: (progress) => updateProgress(40 + progress * 50, 'Transcribing on this device...'),
+      transfer: [samples.buffer]
+    }
+  );
+
+  return chunks
+    .filter(chunk => chunk.text && chunk.text.trim())
+    .map((chunk, index) => {
+      const [start, end] = chunk.timestamp;
+      return {
+        id: index + 1,
+        startTime: start || 0,
+        // The last chunk is left open when the audio ends mid-sentence
+        endTime: end ?? duration,
+        text: chunk.text.trim(),
+        confidence: null
+      };
+    });
+};
+
+/**
+ * Identify the spoken language of 16kHz mono PCM samples with a multilingual Whisper model
+ * @param {Float32Array} samples - Audio samples at 16kHz; the buffer is transferred to the worker
+ * @param {Object} options - { model, progressCallback(percent, stage) }
+ * @returns {Promise<Object>} - { language, confidence } with an ISO-639-1 language code
+ */
+export const detectLanguageLocally = async (samples, options = {}) => {
+  const updateProgress = typeof options.progressCallback === 'function' ?
+    options.progressCallback : () => {};
+
+  const { detection } = await sendRequest(
+    { type: 'detect', model: options.model || DEFAULT_WHISPER_MODEL, audio: samples },
+    {
+      onDownload: createDownloadTracker((percent) => updateProgress(15, `Downloading the offline model (${Math.round(percent)}%)...`)),
+      onProgress: (progress) => updateProgress(15 + progress * 5, 'Detecting spoken language...'),
+      transfer: [samples.buffer]
+    }
+  );
+  return detection;
+};
@@ -0,0 +1,383 @@
+/**
+ * Mask styles for the profanity filter
+ */
+export const PROFANITY_MASK_STYLES = {
+  partial: { name: 'First letter (f***)' },
+  full: { name: 'Whole word (****)' },
+  bleep: { name: 'Bleep ([bleep])' }
+};
+
+// Entries match whole words with common endings (shits, fucking); a trailing * matches any word starting with the entry
+const DEFAULT_PROFANITY_WORDS = [
+  'arsehole', 'asshole', 'bastard', 'bitch', 'bollocks', 'bullshit', 'cunt', 'fuck',
+  'motherfucker', 'piss', 'shit', 'slut', 'twat', 'wanker', 'whore'
+];
+
+const PROFANITY_ENDINGS = ['', 's', 'es', 'ed', 'er', 'ers', 'ing', 'in', 'y'];
+
+export const DEFAULT_POST_PROCESSING_SETTINGS = {
+  punctuation: false,
+  profanityFilter: false,
+  profanityMaskStyle: 'partial',
+  profanityWords: DEFAULT_PROFANITY_WORDS.join('\n'),
+  numberNormalization: false
+};
+
+// A pause this long between words or segments ends a sentence
+const SENTENCE_PAUSE_SECONDS = 0.8;
+
+const QUESTION_WORDS = new Set((
+  'who what when where why how which whose whom is are am was were do does did can could ' +
+  'will would shall should may might have has had'
+).split(' '));
+
+const ONES = [
+  'zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten',
+  'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen', 'seventeen', 'eighteen', 'nineteen'
+];
+const TENS = ['twenty', 'thirty', 'forty', 'fifty', 'sixty', 'seventy', 'eighty', 'ninety'];
+const SCALES = { thousand: 1e3, million: 1e6, billion: 1e9 };
+
+// Number words that may follow each kind of number word, e.g. "twenty" may be followed by "three" but not "ten"
+const NUMBER_TRANSITIONS = {
+  start: ['unit', 'teen', 'tens', 'zero'],
+  zero: [],
+  unit: ['hundred', 'scale'],
+  teen: ['hundred', 'scale'],
+  tens: ['unit', 'scale'],
+  hundred: ['unit', 'teen', 'tens', 'scale', 'and'],
+  scale: ['unit', 'teen', 'tens', 'and'],
+  and: ['unit', 'teen', 'tens']
+};
+
+/**
+ * Read the post-processing settings saved with the transcription settings
+ * @returns {Object} - Post-processing settings, see DEFAULT_POST_PROCESSING_SETTINGS
+ */
+export const getPostProcessingSettings = () => {
+  try {
+    const settings = JSON.parse(localStorage.getItem('transcriptionSettings')) || {};
+    const postProcessing = { ...DEFAULT_POST_PROCESSING_SETTINGS };
+    Object.keys(DEFAULT_POST_PROCESSING_SETTINGS).forEach(key => {
+      if (typeof settings[key] === typeof DEFAULT_POST_PROCESSING_SETTINGS[key]) postProcessing[key] = settings[key];
+    });
+    return postProcessing;
+  } catch (error) {
+    console.error('Failed to read post-processing settings:', error);
+    return { ...DEFAULT_POST_PROCESSING_SETTINGS };
+  }
+};
+
+const isEnglish = (language) => !language || language === 'auto' || language.toLowerCase().startsWith('en');
+
+// Split a whitespace separated token into surrounding punctuation and the word itself
+const splitToken = (token) => {
+  const [, leading, core, trailing] = token.match(/^([^\p{L}\p{N}]*)(.*?)([^\p{L}\p{N}]*)$/su);
+  return { leading, core, trailing };
+};
+
+const getTokens = (text) => (text || '').split(/\s+/).filter(Boolean);
+
+// Word timings only line up with the text when there is one word per token
+const wordsAlign = (segment) => Array.isArray(segment.words) && segment.words.length === getTokens(segment.text).length;
+
+/**
+ * Replace runs of tokens in a segment, merging the timings of the words each run covered
+ * @param {Object} segment - Transcription segment
+ * @param {Array} replacements - Array of { index, size, text } in token order
+ * @returns {Object} - Updated segment
+ */
+const replaceTokenRuns = (segment, replacements) => {
+  if (replacements.length === 0) return segment;
+
+  const tokens = getTokens(segment.text);
+  const nextTokens = [];
+  const { words, ...rest } = segment;
+  const nextWords = [];
+  const keepWords = wordsAlign(segment);
+  let position = 0;
+
+  replacements.forEach(({ index, size, text }) => {
+    nextTokens.push(...tokens.slice(position, index), text);
+    if (keepWords) {
+      const replaced = words.slice(index, index + size);
+      const confidences = replaced.map(word => word.confidence).filter(value => typeof value === 'number');
+      nextWords.push(...words.slice(position, index), {
+        word: text,
+        start: replaced[0].start,
+        end: replaced[replaced.length - 1].end,
+        confidence: confidences.length > 0 ? Math.min(...confidences) : null
+      });
+    }
+    position = index + size;
+  });
+  nextTokens.push(...tokens.slice(position));
+
+  return {
+    ...rest,
+    text: nextTokens.join(' '),
+    ...(keepWords && { words: [...nextWords, ...words.slice(position)] })
+  };
+};
+
+// --- Profanity masking ---
+
+const buildProfanityMatcher = (wordList) => {
+  const entries = (wordList || '')
+    .split(/[\n,]/)
+    .map(entry => entry.trim().toLowerCase())
+    .filter(Boolean);
+  const prefixes = entries.filter(entry => entry.endsWith('*')).map(entry => entry.slice(0, -1)).filter(Boolean);
+  const words = new Set(entries.filter(entry => !entry.endsWith('*')));
+
+  return (core) => {
+    const word = core.toLowerCase();
+    if (prefixes.some(prefix => word.startsWith(prefix))) return true;
+    return PROFANITY_ENDINGS.some(ending => {
+      if (!word.endsWith(ending)) return false;
+      const stem = word.slice(0, word.length - ending.length);
+      // Endings may double the last letter, as in "shitty"
+      return words.has(stem) || (ending && stem.length > 1 && stem.at(-1) === stem.at(-2) && words.has(stem.slice(0, -1)));
+    });
+  };
+};
+
+const maskWord = (core, style) => {
+  if (style === 'bleep') return '[bleep]';
+  if (style === 'full') return '*'.repeat(core.length);
+  return core[0] + '*'.repeat(core.length - 1);
+};
+
+const profanityStage = {
+  id: 'profanity',
+  name: 'Profanity filter',
+  isEnabled: (options) => !!options.profanityFilter,
+  apply: (segments, options) => {
+    const isProfane = buildProfanityMatcher(options.profanityWords);
+    const maskToken = (token) => {
+      const { leading, core, trailing } = splitToken(token);
+      return core && isProfane(core) ? `${leading}${maskWord(core, options.profanityMaskStyle)}${trailing}` : token;
+    };
+
+    return segments.map(segment => {
+      const text = (segment.text || '').replace(/\S+/g, maskToken);
+      // Timed words are shown on their own in captions and the player, so they are masked too
+      const words = Array.isArray(segment.words)
+        ? segment.words.map(word => ({ ...word, word: maskToken(word.word) }))
+        : segment.words;
+      return { ...segment, text, ...(words && { words }) };
+    });
+  }
+};
+
+// --- Punctuation and casing ---
+
+const SENTENCE_END = /[.!?…]["'”’)\]]*$/;
+const ANY_END = /[.!?…,;:\-–—]["'”’)\]]*$/;
+
+const capitalizeFirst = (text) => text.replace(/\p{Ll}/u, letter => letter.toUpperCase());
+
+// Questions are only recognised in English, everything else ends with a full stop
+const getSentenceEnd = (sentenceStart, english) => {
+  const firstWord = splitToken(sentenceStart || '').core.toLowerCase();
+  return english && QUESTION_WORDS.has(firstWord) ? '?' : '.';
+};
+
+const punctuateSegment = (segment, { endsSentence, startsSentence, english }) => {
+  const tokens = getTokens(segment.text);
+  if (tokens.length === 0) return segment;
+  const words = wordsAlign(segment) ? segment.words : null;
+  let sentenceStart = 0;
+
+  const punctuated = tokens.map((token, index) => {
+    let next = token;
+    // Mixed-case words such as "iPhone" keep their casing
+    const isSentenceStart = index === sentenceStart && !/\p{Lu}/u.test(next);
+    if (isSentenceStart && (index > 0 || startsSentence)) next = capitalizeFirst(next);
+    if (english && /^i(['’](m|ve|ll|d))?$/i.test(splitToken(next).core)) next = next.replace('i', 'I');
+
+    const isLast = index === tokens.length - 1;
+    const pauseFollows = !isLast && words && words[index + 1].start - words[index].end >= SENTENCE_PAUSE_SECONDS;
+    if (!ANY_END.test(next) && /[\p{L}\p{N}]/u.test(next) && ((isLast && endsSentence) || pauseFollows)) {
+      next += getSentenceEnd(tokens[sentenceStart], english);
+    }
+    if (SENTENCE_END.test(next)) sentenceStart = index + 1;
+    return next;
+  });
+
+  const text = punctuated.join(' ');
+  return text === segment.text ? segment : { ...segment, text };
+};
+
+const punctuationStage = {
+  id: 'punctuation',
+  name: 'Punctuation and casing',
+  isEnabled: (options) => !!options.punctuation,
+  apply: (segments, options) => {
+    const english = isEnglish(options.language);
+    const result = [];
+
+    segments.forEach((segment, index) => {
+      const previous = result[result.length - 1];
+      const next = segments[index + 1];
+      result.push(punctuateSegment(segment, {
+        english,
+        startsSentence: !previous || SENTENCE_END.test(previous.text || ''),
+        endsSentence: !next || next.startTime - segment.endTime >= SENTENCE_PAUSE_SECONDS
+      }));
+    });
+
+    return result;
+  }
+};
+
+// --- Number normalization ---
+
+const classifyNumberWord = (core) => {
+  const word = core.toLowerCase();
+  const one = ONES.indexOf(word);
+  if (one === 0) return { kind: 'zero', value: 0 };
+  if (one > 0) return { kind: one < 10 ? 'unit' : 'teen', value: one };
+  if (TENS.includes(word)) return { kind: 'tens', value: (TENS.indexOf(word) + 2) * 10 };
+  if (word === 'hundred') return { kind: 'hundred' };
+  if (SCALES[word]) return { kind: 'scale', value: SCALES[word] };
+  if (word === 'and') return { kind: 'and' };
+
+  // "twenty-three" behaves like a single number below one hundred
+  const [tens, unit] = word.split('-');
+  const unitValue = ONES.indexOf(unit);
+  if (TENS.includes(tens) && unitValue > 0 && unitValue < 10) {
+    return { kind: 'teen', value: (TENS.indexOf(tens) + 2) * 10 + unitValue };
+  }
+  return null;
+};
+
+/**
+ * Read the longest number spelled out in words starting at a token
+ * @returns {Object|null} - { value, size } with the number of tokens read
+ */
+const readNumber = (parts, start) => {
+  let state = 'start';
+  let total = 0;
+  let current = 0;
+  let lastScale = Infinity;
+  let size = 0;
+  let value = null;
+
+  for (let index = start; index < parts.length; index++) {
+    const { leading, trailing, number } = parts[index];
+    if (!number || !NUMBER_TRANSITIONS[state].includes(number.kind)) break;
+    if (index > start && leading) break;
+    if (number.kind === 'scale' && number.value >= lastScale) break;
+
+    if (number.kind === 'hundred') {
+      current = (current || 1) * 100;
+    } else if (number.kind === 'scale') {
+      total += (current || 1) * number.value;
+      current = 0;
+      lastScale = number.value;
+    } else if (number.kind !== 'and') {
+      current += number.value;
+    }
+    state = number.kind;
+
+    // "and" never ends a number
+    if (number.kind !== 'and') {
+      size = index - start + 1;
+      value = total + current;
+    }
+    if (trailing) break;
+  }
+
+  return size > 0 ? { value, size } : null;
+};
+
+const formatNumber = (value) => (value >= 10000 ? value.toLocaleString('en-US') : String(value));
+
+const normalizeSegmentNumbers = (segment) => {
+  const parts = getTokens(segment.text).map(token => {
+    const { leading, core, trailing } = splitToken(token);
+    return { leading, core, trailing, number: classifyNumberWord(core) };
+  });
+  const replacements = [];
+
+  for (let index = 0; index < parts.length;) {
+    const number = readNumber(parts, index);
+    if (!number) {
+      index++;
+      continue;
+    }
+
+    let end = index + number.size;
+    // Numbers read digit by digit or as years ("nineteen ninety") are left alone
+    if (!parts[end - 1].trailing && parts[end]?.number && NUMBER_TRANSITIONS.start.includes(parts[end].number.kind)) {
+      while (parts[end]?.number) end++;
+      index = end;
+      continue;
+    }
+
+    let text = String(number.value);
+    let isDecimal = false;
+    if (!parts[end - 1].trailing && parts[end]?.core.toLowerCase() === 'point') {
+      let digits = '';
+      let digitEnd = end + 1;
+      while (digitEnd < parts.length && ['zero', 'unit'].includes(parts[digitEnd].number?.kind) && !parts[digitEnd].leading) {
+        digits += parts[digitEnd].number.value;
+        digitEnd++;
+        if (parts[digitEnd - 1].trailing) break;
+      }
+      if (digits) {
+        text = `${number.value}.${digits}`;
+        isDecimal = true;
+        end = digitEnd;
+      }
+    }
+    if (!isDecimal) text = formatNumber(number.value);
+
+    const isPercent = !parts[end - 1].trailing && parts[end]?.core.toLowerCase() === 'percent';
+    if (isPercent) {
+      text += '%';
+      end++;
+    }
+
+    // Single numbers below ten read better as words ("one of the", "two options")
+    if (end - index > 1 || number.value >= 10) {
+      replacements.push({ index, size: end - index, text: `${parts[index].leading}${text}${parts[end - 1].trailing}` });
+    }
+    index = end;
+  }
+
+  return replaceTokenRuns(segment, replacements);
+};
+
+const numberStage = {
+  id: 'numbers',
+  name: 'Number normalization',
+  // Number words are only recognised in English
+  isEnabled: (options) => !!options.numberNormalization && isEnglish(options.language),
+  apply: (segments) => segments.map(segment => (segment.text ? normalizeSegmentNumbers(segment) : segment))
+};
+
+// Numbers first so the punctuation stage sees the final words, masking last so nothing reintroduces a word
+const stages = [numberStage, punctuationStage, profanityStage];
+
+/**
+ * List the post-processing stages in the order they run
+ * @returns {Array} - Array of {id, name} descriptors
+ */
+export const getPostProcessingStages = () => {
+  return stages.map(({id, name}) => ({id, name}));
+};
+
+/**
+ * Run the enabled post-processing stages over transcription segments
+ * @param {Array} segments - Transcription segments in playback order
+ * @param {Object} options - Post-processing settings (see DEFAULT_POST_PROCESSING_SETTINGS) plus the transcript language
+ * @param {Array} pipeline - Stages with { id, name, isEnabled(options), apply(segments, options) }, defaults to the built-in stages
+ * @returns {Array} - Processed segments
+ */
+export const postProcessSegments = (segments, options = {}, pipeline = stages) => {
+  return pipeline
+    .filter(stage => stage.isEnabled(options))
+    .reduce((result, stage) => stage.apply(result, options), segments);
+};
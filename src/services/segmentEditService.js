@@ -0,0 +1,263 @@
+const sameJson = (a, b) => JSON.stringify(a || null) === JSON.stringify(b || null);
+
+/**
+ * List the database updates needed to turn one version of the segments into another
+ * @param {Array} before - Segments before the change
+ * @param {Array} after - Segments after the change
+ * @returns {Array} - Array of { id, data } with database column names, for changed segments only
+ */
+export const getSegmentUpdates = (before, after) => {
+  const previous = new Map(before.map(segment => [segment.id, segment]));
+
+  return after
+    .filter(segment => previous.has(segment.id))
+    .map(segment => {
+      const old = previous.get(segment.id);
+      const data = {};
+
+      if (old.text !== segment.text) data.text = segment.text;
+      if ((old.speaker || null) !== (segment.speaker || null)) data.speaker = segment.speaker || null;
+      if (old.startTime !== segment.startTime) data.start_time = segment.startTime;
+      if (old.endTime !== segment.endTime) data.end_time = segment.endTime;
+      if (!sameJson(old.words, segment.words)) data.words = segment.words || null;
+      if (!sameJson(old.corrections, segment.corrections)) data.corrections = segment.corrections || null;
+
+      return { id: segment.id, data };
+    })
+    .filter(update => Object.keys(update.data).length > 0);
+};
+
+/**
+ * Snapshot the database columns of a segment, used as the "previous" value of a revision
+ * @param {Object} segment - Transcription segment
+ * @returns {Object} - Column values
+ */
+export const toRevisionSnapshot = (segment) => ({
+  text: segment.text,
+  speaker: segment.speaker || null,
+  start_time: segment.startTime,
+  end_time: segment.endTime,
+  words: segment.words || null
+});
+
+/**
+ * Restore one segment from a stored revision. An 'insert' revision removes the segment it
+ * created; any other revision brings the segment back to its previous state, re-adding it
+ * if it has since been deleted (e.g. by a merge).
+ * @param {Array} segments - Current segments
+ * @param {Object} revision - Revision row with segment_id, action and previous
+ * @returns {Array} - Segments with the revision applied
+ */
+export const applySegmentRevision = (segments, revision) => {
+  if (revision.action === 'insert') {
+    return segments.filter(segment => segment.id !== revision.segment_id);
+  }
+
+  const previous = revision.previous || {};
+  const restore = (segment) => {
+    const { words, ...rest } = segment;
+    return {
+      ...rest,
+      text: previous.text ?? segment.text,
+      speaker: previous.speaker ?? null,
+      startTime: previous.start_time ?? segment.startTime,
+      endTime: previous.end_time ?? segment.endTime,
+      ...(Array.isArray(previous.words) && previous.words.length > 0 && { words: previous.words })
+    };
+  };
+
+  if (!segments.some(segment => segment.id === revision.segment_id)) {
+    // The stored row is gone, so the segment comes back as a new one
+    return [...segments, restore({ id: createSegmentId(), text: '' })]
+      .sort((a, b) => a.startTime - b.startTime);
+  }
+
+  return segments.map(segment => (segment.id === revision.segment_id ? restore(segment) : segment));
+};
+
+/**
+ * Rebuild the whole transcript as it was just before a revision was made.
+ * For every segment the oldest revision at or after that moment holds its state at that time,
+ * so segments inserted since are removed and deleted ones are added back.
+ * @param {Array} segments - Current segments
+ * @param {Array} revisions - All revisions of the transcription (any order)
+ * @param {Object} revision - The revision to roll back to (inclusive)
+ * @returns {Array} - Segments as they were before the revision
+ */
+export const getTranscriptBeforeRevision = (segments, revisions, revision) => {
+  const cutoff = new Date(revision.created_at).getTime();
+  const oldestAfterCutoff = new Map();
+
+  revisions
+    .filter(item => new Date(item.created_at).getTime() >= cutoff)
+    .sort((a, b) => new Date(a.created_at) - new Date(b.created_at))
+    .forEach(item => {
+      if (!oldestAfterCutoff.has(item.segment_id)) {
+        oldestAfterCutoff.set(item.segment_id, item);
+      }
+    });
+
+  return Array.from(oldestAfterCutoff.values())
+    .reduce((restored, item) => applySegmentRevision(restored, item), segments);
+};
+
+let newSegmentCount = 0;
+
+/**
+ * Create a temporary id for a segment that has not been stored yet
+ * @returns {string} - Id that never collides with a database id
+ */
+export const createSegmentId = () => `new-${Date.now()}-${++newSegmentCount}`;
+
+const MIN_SEGMENT_DURATION = 0.1;
+
+const roundTime = (time) => Math.round(time * 1000) / 1000;
+
+/**
+ * List segments that exist only in the newer version (e.g. created by a split)
+ * @param {Array} before - Segments before the change
+ * @param {Array} after - Segments after the change
+ * @returns {Array} - Added segments
+ */
+export const getAddedSegments = (before, after) => {
+  const ids = new Set(before.map(segment => segment.id));
+  return after.filter(segment => !ids.has(segment.id));
+};
+
+/**
+ * List ids of segments that no longer exist in the newer version (e.g. removed by a merge)
+ * @param {Array} before - Segments before the change
+ * @param {Array} after - Segments after the change
+ * @returns {Array} - Removed segment ids
+ */
+export const getRemovedSegmentIds = (before, after) => {
+  const ids = new Set(after.map(segment => segment.id));
+  return before.filter(segment => !ids.has(segment.id)).map(segment => segment.id);
+};
+
+/**
+ * Split a segment in two at a character offset in its text.
+ * The split time comes from the word timestamps when they line up with the text,
+ * otherwise it is interpolated from the position of the cursor in the text.
+ * @param {Array} segments - Current segments
+ * @param {string|number} segmentId - ID of the segment to split
+ * @param {number} offset - Character offset of the cursor in the segment text
+ * @returns {Array} - Segments with the split applied, unchanged if the cursor is at either end
+ */
+export const splitSegment = (segments, segmentId, offset) => {
+  const index = segments.findIndex(segment => segment.id === segmentId);
+  if (index === -1) return segments;
+
+  const segment = segments[index];
+  const text = segment.text || '';
+  const firstText = text.slice(0, offset).trim();
+  const secondText = text.slice(offset).trim();
+  if (!firstText || !secondText) return segments;
+
+  const { words, ...rest } = segment;
+  const duration = segment.endTime - segment.startTime;
+  let splitTime = segment.startTime + duration * (offset / text.length);
+  let firstWords = null;
+  let secondWords = null;
+
+  const tokens = text.split(/\s+/).filter(Boolean);
+  if (Array.isArray(words) && words.length === tokens.length) {
+    const firstCount = firstText.split(/\s+/).filter(Boolean).length;
+    // Only use word timings when the cursor sits between two words
+    if (firstCount + secondText.split(/\s+/).filter(Boolean).length === words.length) {
+      firstWords = words.slice(0, firstCount);
+      secondWords = words.slice(firstCount);
+      splitTime = (firstWords[firstWords.length - 1].end + secondWords[0].start) / 2;
+    }
+  }
+
+  splitTime = roundTime(Math.min(
+    Math.max(splitTime, segment.startTime + MIN_SEGMENT_DURATION),
+    segment.endTime - MIN_SEGMENT_DURATION
+  ));
+
+  const first = {
+    ...rest,
+    text: firstText,
+    endTime: splitTime,
+    ...(firstWords && { words: firstWords })
+  };
+  const second = {
+    ...rest,
+    id: createSegmentId(),
+    text: secondText,
+    startTime: splitTime,
+    ...(secondWords && { words: secondWords })
+  };
+
+  return [...segments.slice(0, index), first, second, ...segments.slice(index + 1)];
+};
+
+/**
+ * Merge a segment with the one that follows it
+ * @param {Array} segments - Current segments
+ * @param {string|number} segmentId - ID of the first of the two segments
+ * @returns {Array} - Segments with the merge applied, unchanged for the last segment
+ */
+export const mergeWithNextSegment = (segments, segmentId) => {
+  const index = segments.findIndex(segment => segment.id === segmentId);
+  if (index === -1 || index === segments.length - 1) return segments;
+
+  const { words: firstWords, ...first } = segments[index];
+  const { words: secondWords, ...second } = segments[index + 1];
+  const confidences = [first.confidence, second.confidence].filter(value => typeof value === 'number');
+  const hasWords = Array.isArray(firstWords) && firstWords.length > 0 && Array.isArray(secondWords) && secondWords.length > 0;
+
+  const merged = {
+    ...first,
+    text: [first.text, second.text].filter(Boolean).join(' '),
+    startTime: Math.min(first.startTime, second.startTime),
+    endTime: Math.max(first.endTime, second.endTime),
+    confidence: confidences.length > 0 ? Math.min(...confidences) : first.confidence,
+    ...(hasWords && { words: [...firstWords, ...secondWords] })
+  };
+
+  return [...segments.slice(0, index), merged, ...segments.slice(index + 2)];
+};
+
+/**
+ * Change the start and/or end time of a segment
+ * @param {Array} segments - Current segments
+ * @param {string|number} segmentId - ID of the segment to retime
+ * @param {Object} times - { startTime, endTime }, either may be omitted
+ * @returns {Array} - Segments with the new times applied
+ */
+export const retimeSegment = (segments, segmentId, { startTime, endTime } = {}) => {
+  return segments.map(segment => {
+    if (segment.id !== segmentId) return segment;
+
+    const start = roundTime(Math.max(0, typeof startTime === 'number' ? startTime : segment.startTime));
+    const end = roundTime(Math.max(start + MIN_SEGMENT_DURATION, typeof endTime === 'number' ? endTime : segment.endTime));
+    if (start === segment.startTime && end === segment.endTime) return segment;
+
+    // Word timings that fall outside the new range no longer describe the segment
+    const { words, ...rest } = segment;
+    const wordsFit = Array.isArray(words) && words.every(word => word.start >= start && word.end <= end);
+    return { ...rest, startTime: start, endTime: end, ...(wordsFit && { words }) };
+  });
+};
+
+/**
+ * Find segments that start before the previous segment ends
+ * @param {Array} segments - Segments in playback order
+ * @returns {Set} - IDs of segments overlapping the segment before them
+ */
+export const findOverlappingSegments = (segments) => {
+  const overlapping = new Set();
+  const sorted = [...segments].sort((a, b) => a.startTime - b.startTime);
+
+  let latestEnd = -Infinity;
+  sorted.forEach(segment => {
+    if (segment.startTime < latestEnd - 0.001) {
+      overlapping.add(segment.id);
+    }
+    latestEnd = Math.max(latestEnd, segment.endTime);
+  });
+
+  return overlapping;
+};
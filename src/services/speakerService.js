@@ -0,0 +1,40 @@
+/**
+ * Rename a speaker on every segment. Renaming to an existing speaker merges the two.
+ * @param {Array} segments - Transcription segments
+ * @param {string} fromSpeaker - Current speaker label
+ * @param {string} toSpeaker - New speaker label
+ * @returns {Array} - Updated segments
+ */
+export const renameSpeaker = (segments, fromSpeaker, toSpeaker) => {
+  const newName = (toSpeaker || '').trim();
+  if (!fromSpeaker || !newName || fromSpeaker === newName) return segments;
+
+  return segments.map(segment =>
+    segment.speaker === fromSpeaker ? { ...segment, speaker: newName } : segment
+  );
+};
+
+/**
+ * Merge one speaker into another (e.g. when diarization split one person in two)
+ * @param {Array} segments - Transcription segments
+ * @param {string} sourceSpeaker - Speaker to remove
+ * @param {string} targetSpeaker - Speaker that keeps the segments
+ * @returns {Array} - Updated segments
+ */
+export const mergeSpeakers = (segments, sourceSpeaker, targetSpeaker) => {
+  return renameSpeaker(segments, sourceSpeaker, targetSpeaker);
+};
+
+/**
+ * Assign a single segment to a speaker
+ * @param {Array} segments - Transcription segments
+ * @param {string|number} segmentId - ID of the segment to change
+ * @param {string} speaker - Speaker label (empty to clear)
+ * @returns {Array} - Updated segments
+ */
+export const reassignSegmentSpeaker = (segments, segmentId, speaker) => {
+  const newSpeaker = (speaker || '').trim() || null;
+  return segments.map(segment =>
+    segment.id === segmentId ? { ...segment, speaker: newSpeaker } : segment
+  );
+};
@@ -0,0 +1,236 @@
+const SUBTITLE_FORMATS = ['srt', 'vtt', 'sbv'];
+
+// 00:01:02,500 (SRT), 00:01:02.500 or 01:02.500 (VTT), 0:01:02.500 (SBV)
+const TIMESTAMP_PATTERN = /^(?:(\d+):)?(\d{1,2}):(\d{1,2})[.,](\d{1,3})$/;
+
+/**
+ * Parse a subtitle timestamp into seconds
+ * @param {string} value - Timestamp text
+ * @returns {number|null} - Seconds, or null if the timestamp is malformed
+ */
+const parseTimestamp = (value) => {
+  const match = TIMESTAMP_PATTERN.exec((value || '').trim());
+  if (!match) return null;
+
+  const [, hours = '0', minutes, seconds, fraction] = match;
+  if (Number(minutes) > 59 || Number(seconds) > 59) return null;
+
+  return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds) + Number(fraction.padEnd(3, '0')) / 1000;
+};
+
+/**
+ * Work out the subtitle format from the file name, falling back to the content
+ * @param {string} content - File content
+ * @param {string} fileName - Original file name
+ * @returns {string|null} - srt, vtt, sbv or null when unknown
+ */
+export const detectSubtitleFormat = (content, fileName = '') => {
+  const extension = fileName.split('.').pop().toLowerCase();
+  if (SUBTITLE_FORMATS.includes(extension)) return extension;
+
+  const text = (content || '').replace(/^\uFEFF/, '').trimStart();
+  if (text.startsWith('WEBVTT')) return 'vtt';
+  if (/^\d+\s*\r?\n\s*[\d:,.]+\s*-->/.test(text)) return 'srt';
+  if (/^\d+:\d{2}:\d{2}\.\d{3},\d+:\d{2}:\d{2}\.\d{3}/.test(text)) return 'sbv';
+  return null;
+};
+
+// Split content into blocks separated by blank lines, remembering where each block starts
+const splitBlocks = (content) => {
+  const blocks = [];
+  let current = null;
+
+  content.replace(/^\uFEFF/, '').split(/\r?\n/).forEach((line, index) => {
+    if (line.trim() === '') {
+      current = null;
+      return;
+    }
+    if (!current) {
+      current = { line: index + 1, lines: [] };
+      blocks.push(current);
+    }
+    current.lines.push(line);
+  });
+
+  return blocks;
+};
+
+// Pull the speaker out of WebVTT voice tags and drop any other markup
+const cleanCueText = (lines) => {
+  let speaker = null;
+  const text = lines
+    .map(line => line.replace(/<v(?:\.[^\s>]*)?\s+([^>]+)>/g, (_, name) => {
+      speaker = speaker || name.trim();
+      return '';
+    }))
+    .map(line => line.replace(/<[^>]+>/g, '').replace(/\{\\[^}]*\}/g, '').trim())
+    .filter(Boolean)
+    .join(' ');
+
+  return {
+    text: text.replace(/&amp;/g, '&').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&nbsp;/g, ' '),
+    speaker
+  };
+};
+
+// Parse the timing line of an SRT or VTT cue
+const parseArrowTiming = (line) => {
+  const [start, rest] = line.split('-->');
+  if (rest === undefined) return null;
+  // VTT cue settings (position, align, ...) follow the end time
+  const end = rest.trim().split(/\s+/)[0];
+  return { startTime: parseTimestamp(start), endTime: parseTimestamp(end) };
+};
+
+const parseSrtOrVttBlocks = (blocks, format) => {
+  const cues = [];
+  const errors = [];
+
+  blocks.forEach((block, blockIndex) => {
+    const cueNumber = blockIndex + 1;
+
+    if (format === 'vtt') {
+      if (blockIndex === 0 && block.lines[0].startsWith('WEBVTT')) return;
+      if (/^(NOTE|STYLE|REGION)\b/.test(block.lines[0])) return;
+    }
+
+    const timingIndex = block.lines.findIndex(line => line.includes('-->'));
+    if (timingIndex === -1) {
+      errors.push({ cue: cueNumber, line: block.line, message: 'Missing "-->" timing line' });
+      return;
+    }
+    if (timingIndex > 1) {
+      errors.push({ cue: cueNumber, line: block.line, message: 'Unexpected text before the timing line' });
+      return;
+    }
+
+    const timingLine = block.line + timingIndex;
+    const timing = parseArrowTiming(block.lines[timingIndex]);
+    if (!timing || timing.startTime === null || timing.endTime === null) {
+      errors.push({ cue: cueNumber, line: timingLine, message: `Malformed timestamp "${block.lines[timingIndex].trim()}"` });
+      return;
+    }
+
+    cues.push({ ...timing, line: timingLine, cue: cueNumber, textLines: block.lines.slice(timingIndex + 1) });
+  });
+
+  return { cues, errors };
+};
+
+const parseSbvBlocks = (blocks) => {
+  const cues = [];
+  const errors = [];
+
+  blocks.forEach((block, blockIndex) => {
+    const cueNumber = blockIndex + 1;
+    const [start, end, extra] = block.lines[0].split(',');
+
+    if (end === undefined || extra !== undefined) {
+      errors.push({ cue: cueNumber, line: block.line, message: `Expected "start,end" timing but found "${block.lines[0].trim()}"` });
+      return;
+    }
+
+    const startTime = parseTimestamp(start);
+    const endTime = parseTimestamp(end);
+    if (startTime === null || endTime === null) {
+      errors.push({ cue: cueNumber, line: block.line, message: `Malformed timestamp "${block.lines[0].trim()}"` });
+      return;
+    }
+
+    cues.push({ startTime, endTime, line: block.line, cue: cueNumber, textLines: block.lines.slice(1) });
+  });
+
+  return { cues, errors };
+};
+
+// Speakers written as "Name: text" are only trusted when the same name opens several cues
+const extractSpeakerPrefixes = (segments) => {
+  const prefixPattern = /^([A-Z][\w'.-]*(?: [A-Z0-9][\w'.-]*){0,2}):\s+(.+)$/;
+  const counts = new Map();
+
+  segments.forEach(segment => {
+    const match = prefixPattern.exec(segment.text);
+    if (match) counts.set(match[1], (counts.get(match[1]) || 0) + 1);
+  });
+
+  return segments.map(segment => {
+    if (segment.speaker) return segment;
+    const match = prefixPattern.exec(segment.text);
+    if (!match || counts.get(match[1]) < 2) return segment;
+    return { ...segment, speaker: match[1], text: match[2] };
+  });
+};
+
+/**
+ * Parse an SRT, WebVTT or YouTube SBV subtitle file into transcription segments
+ * @param {string} content - File content
+ * @param {Object} options - { fileName, format } where format overrides detection
+ * @returns {Object} - { format, segments, errors } where errors lists skipped cues as { cue, line, message }
+ */
+export const parseSubtitles = (content, options = {}) => {
+  const format = options.format || detectSubtitleFormat(content, options.fileName);
+  if (!format) {
+    throw new Error('Unrecognized subtitle format. Please use an .srt, .vtt or .sbv file.');
+  }
+  if (!SUBTITLE_FORMATS.includes(format)) {
+    throw new Error(`Unsupported subtitle format: ${format}`);
+  }
+
+  const blocks = splitBlocks(content || '');
+  if (format === 'vtt' && (blocks.length === 0 || !blocks[0].lines[0].startsWith('WEBVTT'))) {
+    throw new Error('Invalid WebVTT file: the first line must be "WEBVTT".');
+  }
+
+  const { cues, errors } = format === 'sbv'
+    ? parseSbvBlocks(blocks)
+    : parseSrtOrVttBlocks(blocks, format);
+
+  const segments = [];
+  cues.forEach(cue => {
+    if (cue.endTime <= cue.startTime) {
+      errors.push({ cue: cue.cue, line: cue.line, message: 'End time is not after the start time' });
+      return;
+    }
+
+    const { text, speaker } = cleanCueText(cue.textLines);
+    if (!text) {
+      errors.push({ cue: cue.cue, line: cue.line, message: 'Cue has no text' });
+      return;
+    }
+
+    segments.push({ startTime: cue.startTime, endTime: cue.endTime, text, speaker });
+  });
+
+  if (segments.length === 0) {
+    throw new Error(errors.length > 0
+      ? `No valid cues found. First problem (line ${errors[0].line}): ${errors[0].message}`
+      : 'The subtitle file does not contain any cues.');
+  }
+
+  const ordered = extractSpeakerPrefixes(segments)
+    .sort((a, b) => a.startTime - b.startTime)
+    .map((segment, index) => ({
+      id: index + 1,
+      startTime: segment.startTime,
+      endTime: segment.endTime,
+      text: segment.text,
+      speaker: segment.speaker || null
+    }));
+
+  return {
+    format,
+    segments: ordered,
+    errors: errors.sort((a, b) => a.line - b.line)
+  };
+};
+
+/**
+ * Read and parse a subtitle file selected by the user
+ * @param {File} file - Subtitle file
+ * @returns {Promise<Object>} - { format, segments, errors }
+ */
+export const importSubtitleFile = async (file) => {
+  if (!file) throw new Error('No subtitle file selected');
+  const content = await file.text();
+  return parseSubtitles(content, { fileName: file.name });
+};
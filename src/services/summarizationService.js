@@ -0,0 +1,377 @@
+import axios from 'axios';
+
+const DEFAULT_LLM_BASE_URL = 'https://api.openai.com/v1';
+const DEFAULT_LLM_MODEL = 'gpt-4o-mini';
+
+// Longer transcripts are summarized in parts first, then the partial summaries are combined
+const MAX_LLM_CHUNK_CHARS = 24000;
+
+/**
+ * How much of the transcript each length keeps. ratio/min/max bound the number of extracted
+ * sentences, words is the target length for LLM summaries.
+ */
+export const SUMMARY_LENGTHS = {
+  short: { name: 'Short', ratio: 0.1, min: 2, max: 4, keyPoints: 5, words: 80 },
+  medium: { name: 'Medium', ratio: 0.2, min: 3, max: 8, keyPoints: 8, words: 180 },
+  long: { name: 'Long', ratio: 0.3, min: 5, max: 15, keyPoints: 12, words: 350 }
+};
+
+export const SUMMARY_STYLES = {
+  narrative: { name: 'Narrative paragraph', instruction: 'Write the summary as flowing prose in one or two paragraphs.' },
+  bullets: { name: 'Bullet list', instruction: 'Write the summary as a list of short bullet points, one per line, each starting with "• ".' },
+  executive: { name: 'Executive brief', instruction: 'Start the summary with a one-sentence "In short:" line, then cover decisions, outcomes and next steps.' }
+};
+
+export const DEFAULT_SUMMARY_SETTINGS = {
+  summaryProvider: 'textrank',
+  summaryLength: 'medium',
+  summaryStyle: 'narrative',
+  summaryApiBaseUrl: '',
+  summaryApiKey: '',
+  summaryModel: ''
+};
+
+const STOP_WORDS = new Set((
+  'a about above after again against all am an and any are as at be because been before being below between both but by ' +
+  'can could did do does doing down during each few for from further had has have having he her here hers herself him ' +
+  'himself his how i if in into is it its itself just let me more most my myself no nor not now of off on once only or ' +
+  'other our ours ourselves out over own same she should so some such than that the their theirs them themselves then ' +
+  'there these they this those through to too under until up very was we were what when where which while who whom why ' +
+  'will with would you your yours yourself yourselves also really like yeah okay ok um uh gonna going get got know think ' +
+  'well right thing things lot one actually just kind sort mean say said see'
+).split(' '));
+
+/**
+ * Read the summary settings saved with the transcription settings
+ * @returns {Object} - Summary settings, see DEFAULT_SUMMARY_SETTINGS
+ */
+export const getSummarySettings = () => {
+  try {
+    const settings = JSON.parse(localStorage.getItem('transcriptionSettings')) || {};
+    const summarySettings = { ...DEFAULT_SUMMARY_SETTINGS };
+    Object.keys(DEFAULT_SUMMARY_SETTINGS).forEach(key => {
+      if (typeof settings[key] === 'string') summarySettings[key] = settings[key];
+    });
+    // The LLM falls back to the transcription API key when it has none of its own
+    if (!summarySettings.summaryApiKey && settings.apiProvider === 'openai') {
+      summarySettings.summaryApiKey = settings.apiKey || '';
+    }
+    return summarySettings;
+  } catch (error) {
+    console.error('Failed to read summary settings:', error);
+    return { ...DEFAULT_SUMMARY_SETTINGS };
+  }
+};
+
+// Split the transcript into sentences, keeping the speaker of the segment each came from
+const splitSentences = (segments) => {
+  const sentences = [];
+  segments
+    .filter(segment => segment && segment.text)
+    .forEach(segment => {
+      segment.text
+        .split(/(?<=[.!?])\s+/)
+        .map(text => text.trim())
+        .filter(text => text.split(/\s+/).length >= 4)
+        .forEach(text => sentences.push({ text, speaker: segment.speaker || null, index: sentences.length }));
+    });
+  return sentences;
+};
+
+const tokenize = (text) => (text.toLowerCase().match(/[\p{L}\p{N}']+/gu) || [])
+  .map(word => word.replace(/'s$/, ''))
+  .filter(word => word.length > 2 && !STOP_WORDS.has(word))
+  // Light stemming so "meeting" and "meetings" count as the same term
+  .map(word => (word.length > 4 ? word.replace(/(ies|es|s)$/, '') : word));
+
+// TF-IDF vector per sentence, normalized to unit length
+const buildVectors = (sentences) => {
+  const tokenLists = sentences.map(sentence => tokenize(sentence.text));
+  const documentFrequency = new Map();
+  tokenLists.forEach(tokens => {
+    new Set(tokens).forEach(token => documentFrequency.set(token, (documentFrequency.get(token) || 0) + 1));
+  });
+
+  return tokenLists.map(tokens => {
+    const vector = new Map();
+    tokens.forEach(token => vector.set(token, (vector.get(token) || 0) + 1));
+    let norm = 0;
+    vector.forEach((count, token) => {
+      const weight = count * (Math.log((sentences.length + 1) / (documentFrequency.get(token) + 1)) + 1);
+      vector.set(token, weight);
+      norm += weight * weight;
+    });
+    norm = Math.sqrt(norm) || 1;
+    vector.forEach((weight, token) => vector.set(token, weight / norm));
+    return vector;
+  });
+};
+
+const cosineSimilarity = (a, b) => {
+  const [small, large] = a.size < b.size ? [a, b] : [b, a];
+  let sum = 0;
+  small.forEach((weight, token) => {
+    if (large.has(token)) sum += weight * large.get(token);
+  });
+  return sum;
+};
+
+// TextRank: PageRank over the sentence similarity graph
+const rankSentences = (vectors) => {
+  const count = vectors.length;
+  const similarity = vectors.map((vector, i) => vectors.map((other, j) => (i === j ? 0 : cosineSimilarity(vector, other))));
+  const outgoing = similarity.map(row => row.reduce((sum, value) => sum + value, 0));
+  const damping = 0.85;
+  let scores = new Array(count).fill(1 / count);
+
+  for (let iteration = 0; iteration < 50; iteration++) {
+    const next = scores.map((_, i) => {
+      let rank = 0;
+      for (let j = 0; j < count; j++) {
+        if (similarity[j][i] > 0 && outgoing[j] > 0) {
+          rank += (similarity[j][i] / outgoing[j]) * scores[j];
+        }
+      }
+      return (1 - damping) / count + damping * rank;
+    });
+    const change = next.reduce((sum, value, i) => sum + Math.abs(value - scores[i]), 0);
+    scores = next;
+    if (change < 1e-6) break;
+  }
+
+  return { scores, similarity };
+};
+
+// Pick high-ranking sentences while skipping ones that repeat what is already selected
+const selectDiverse = (sentences, scores, similarity, limit) => {
+  const maxScore = Math.max(...scores) || 1;
+  const selected = [];
+  const candidates = sentences.map((_, index) => index);
+
+  while (selected.length < limit && candidates.length > 0) {
+    let best = null;
+    candidates.forEach(index => {
+      const redundancy = selected.length > 0 ? Math.max(...selected.map(chosen => similarity[index][chosen])) : 0;
+      // Very short sentences rarely stand on their own
+      const lengthFactor = sentences[index].text.split(/\s+/).length < 7 ? 0.7 : 1;
+      const value = 0.7 * (scores[index] / maxScore) * lengthFactor - 0.3 * redundancy;
+      if (!best || value > best.value) best = { index, value };
+    });
+    selected.push(best.index);
+    candidates.splice(candidates.indexOf(best.index), 1);
+  }
+
+  return selected;
+};
+
+/**
+ * Format summary sentences in the requested style
+ * @param {Array} sentences - Sentences in transcript order
+ * @param {string} style - narrative, bullets or executive
+ * @param {string} topSentence - Highest-ranked sentence, used as the executive headline
+ * @returns {string} - Summary text
+ */
+const formatSummary = (sentences, style, topSentence) => {
+  if (style === 'bullets') {
+    return sentences.map(sentence => `• ${sentence}`).join('\n');
+  }
+  if (style === 'executive') {
+    const rest = sentences.filter(sentence => sentence !== topSentence);
+    return [`In short: ${topSentence}`, ...(rest.length > 0 ? [rest.join(' ')] : [])].join('\n\n');
+  }
+  return sentences.join(' ');
+};
+
+/**
+ * Local extractive summarization: TextRank over TF-IDF sentence vectors
+ * @param {Array} segments - Transcription segments
+ * @param {Object} options - { summaryLength, summaryStyle }
+ * @returns {Object} - { summary, keyPoints }
+ */
+export const extractiveSummarize = (segments, options = {}) => {
+  const length = SUMMARY_LENGTHS[options.summaryLength] || SUMMARY_LENGTHS.medium;
+  const sentences = splitSentences(segments || []);
+
+  if (sentences.length === 0) {
+    return {
+      summary: 'No transcription data available for summary.',
+      keyPoints: ['No transcription data available for key points.']
+    };
+  }
+
+  const { scores, similarity } = rankSentences(buildVectors(sentences));
+  const byTranscriptOrder = (a, b) => a - b;
+
+  const summaryCount = Math.min(sentences.length, Math.max(length.min, Math.min(length.max, Math.ceil(sentences.length * length.ratio))));
+  const summaryIndexes = selectDiverse(sentences, scores, similarity, summaryCount);
+  const summarySentences = [...summaryIndexes].sort(byTranscriptOrder).map(index => sentences[index].text);
+
+  const keyPointIndexes = selectDiverse(sentences, scores, similarity, Math.min(sentences.length, length.keyPoints));
+  const keyPoints = [...keyPointIndexes].sort(byTranscriptOrder).map(index => sentences[index].text);
+
+  return {
+    summary: formatSummary(summarySentences, options.summaryStyle, sentences[summaryIndexes[0]].text),
+    keyPoints
+  };
+};
+
+/**
+ * Read the { summary, keyPoints } JSON an LLM returned, tolerating code fences and plain text replies
+ * @param {string} content - Message content
+ * @returns {Object} - { summary, keyPoints }
+ */
+export const parseLlmSummary = (content) => {
+  const text = (content || '').replace(/^```(?:json)?\s*|\s*```$/g, '').trim();
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+
+  if (start !== -1 && end > start) {
+    try {
+      const parsed = JSON.parse(text.slice(start, end + 1));
+      if (typeof parsed.summary === 'string') {
+        return {
+          summary: parsed.summary.trim(),
+          keyPoints: Array.isArray(parsed.keyPoints)
+            ? parsed.keyPoints.filter(point => typeof point === 'string' && point.trim()).map(point => point.trim())
+            : []
+        };
+      }
+    } catch (error) {
+      console.warn('LLM summary was not valid JSON, using it as plain text:', error);
+    }
+  }
+
+  const bulletPattern = /^\s*(?:[-*•]|\d+[.)])\s+/;
+  return {
+    summary: text,
+    keyPoints: text.split('\n').filter(line => bulletPattern.test(line)).map(line => line.replace(bulletPattern, '').trim())
+  };
+};
+
+// Transcript text with speaker labels, split into parts that fit one request
+const buildTranscriptChunks = (segments) => {
+  const chunks = [];
+  let current = '';
+  segments
+    .filter(segment => segment && segment.text)
+    .forEach(segment => {
+      const line = segment.speaker ? `${segment.speaker}: ${segment.text}` : segment.text;
+      if (current && current.length + line.length > MAX_LLM_CHUNK_CHARS) {
+        chunks.push(current);
+        current = '';
+      }
+      current = current ? `${current}\n${line}` : line;
+    });
+  if (current) chunks.push(current);
+  return chunks;
+};
+
+/**
+ * LLM summaries through any OpenAI-compatible /chat/completions endpoint
+ */
+const llmProvider = {
+  id: 'llm',
+  name: 'LLM (OpenAI-compatible)',
+  summarize: async (segments, options = {}) => {
+    if (!options.summaryApiKey && !options.summaryApiBaseUrl) {
+      throw new Error('An API key or API URL is required for LLM summaries. Add one in Settings.');
+    }
+
+    const length = SUMMARY_LENGTHS[options.summaryLength] || SUMMARY_LENGTHS.medium;
+    const style = SUMMARY_STYLES[options.summaryStyle] || SUMMARY_STYLES.narrative;
+    const baseUrl = (options.summaryApiBaseUrl || DEFAULT_LLM_BASE_URL).replace(/\/+$/, '');
+    const headers = {};
+    if (options.summaryApiKey) {
+      headers.Authorization = `Bearer ${options.summaryApiKey}`;
+    }
+
+    const complete = async (instructions, text) => {
+      const response = await axios.post(`${baseUrl}/chat/completions`, {
+        model: options.summaryModel || DEFAULT_LLM_MODEL,
+        temperature: 0.2,
+        messages: [
+          {
+            role: 'system',
+            content: 'You summarize transcripts of recorded speech. Reply with JSON only, shaped as {"summary": string, "keyPoints": string[]}. ' +
+              'Write in the same language as the transcript and only use facts stated in it.'
+          },
+          { role: 'user', content: `${instructions}\n\n${text}` }
+        ]
+      }, {
+        headers,
+        timeout: options.timeout || 120000
+      });
+
+      const content = response.data?.choices?.[0]?.message?.content;
+      if (!content) {
+        throw new Error('The LLM returned an empty response.');
+      }
+      return parseLlmSummary(content);
+    };
+
+    const finalInstructions = `Summarize in about ${length.words} words. ${style.instruction} ` +
+      `List the ${length.keyPoints} most important points as keyPoints, each one short sentence.`;
+
+    const chunks = buildTranscriptChunks(segments || []);
+    if (chunks.length === 0) {
+      return extractiveSummarize([], options);
+    }
+    if (chunks.length === 1) {
+      return complete(finalInstructions, `Transcript:\n${chunks[0]}`);
+    }
+
+    // Summarize each part, then summarize the partial summaries
+    const partials = [];
+    for (let index = 0; index < chunks.length; index++) {
+      partials.push(await complete(
+        `This is part ${index + 1} of ${chunks.length} of a transcript. Summarize this part in about ${length.words} words and list its key points.`,
+        `Transcript part:\n${chunks[index]}`
+      ));
+    }
+
+    const notes = partials
+      .map((partial, index) => `Part ${index + 1}:\n${partial.summary}\n${partial.keyPoints.map(point => `- ${point}`).join('\n')}`)
+      .join('\n\n');
+    return complete(`${finalInstructions} The input is a set of summaries of consecutive parts of one transcript.`, notes);
+  }
+};
+
+/**
+ * Local TextRank summaries, computed in the browser
+ */
+const textRankProvider = {
+  id: 'textrank',
+  name: 'Local (TextRank)',
+  summarize: async (segments, options = {}) => extractiveSummarize(segments, options)
+};
+
+const providers = {
+  [textRankProvider.id]: textRankProvider,
+  [llmProvider.id]: llmProvider
+};
+
+/**
+ * List the available summarization providers
+ * @returns {Array} - Array of {id, name} descriptors
+ */
+export const getAvailableSummarizationProviders = () => {
+  return Object.values(providers).map(({ id, name }) => ({ id, name }));
+};
+
+/**
+ * Summarize a transcript with the configured provider
+ * @param {Array} segments - Transcription segments
+ * @param {Object} options - Summary settings, see DEFAULT_SUMMARY_SETTINGS
+ * @returns {Promise<Object>} - { summary, keyPoints, provider }
+ */
+export const summarizeTranscript = async (segments, options = {}) => {
+  const provider = providers[options.summaryProvider] || textRankProvider;
+  const result = await provider.summarize(segments, options);
+
+  // LLMs occasionally skip the key points; fill them in locally
+  const keyPoints = result.keyPoints && result.keyPoints.length > 0
+    ? result.keyPoints
+    : extractiveSummarize(segments, options).keyPoints;
+
+  return { summary: result.summary, keyPoints, provider: provider.id };
+};
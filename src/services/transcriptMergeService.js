@@ -0,0 +1,212 @@
+const SENTENCE_END = /[.!?]["')\]]*$/;
+const MAX_WORDS_PER_SEGMENT = 40;
+
+// How far apart (seconds) two chunks may time the same word. Interpolated timings drift the most.
+const MAX_WORD_TIME_DRIFT = 1.5;
+
+/**
+ * Normalize a word for comparison (case and punctuation insensitive)
+ */
+const normalizeWord = (word) => word.toLowerCase().replace(/[^\p{L}\p{N}']/gu, '');
+
+/**
+ * Break a segment into timed words. Uses word timestamps when the provider returned them,
+ * otherwise spreads the segment duration across words by character length.
+ * @param {Object} segment - Transcription segment
+ * @returns {Array} - Array of { word, start, end, confidence, speaker, estimated }
+ */
+export const segmentToWords = (segment) => {
+  if (Array.isArray(segment.words) && segment.words.length > 0) {
+    return segment.words.map(word => ({
+      ...word,
+      speaker: segment.speaker || null,
+      estimated: false
+    }));
+  }
+
+  const tokens = (segment.text || '').split(/\s+/).filter(Boolean);
+  const totalChars = tokens.reduce((sum, token) => sum + token.length, 0) || 1;
+  const duration = Math.max(0, segment.endTime - segment.startTime);
+
+  let cursor = segment.startTime;
+  return tokens.map(token => {
+    const start = cursor;
+    cursor += duration * (token.length / totalChars);
+    return {
+      word: token,
+      start,
+      end: cursor,
+      confidence: segment.confidence ?? null,
+      speaker: segment.speaker || null,
+      estimated: true
+    };
+  });
+};
+
+/**
+ * Group timed words back into sentence-sized segments
+ * @param {Array} words - Array of timed words
+ * @returns {Array} - Array of segments (without ids)
+ */
+export const wordsToSentences = (words) => {
+  const segments = [];
+  let current = [];
+
+  const flush = () => {
+    if (current.length === 0) return;
+    const confidences = current.map(word => word.confidence).filter(value => typeof value === 'number');
+    segments.push({
+      startTime: current[0].start,
+      endTime: current[current.length - 1].end,
+      text: current.map(word => word.word).join(' '),
+      confidence: confidences.length > 0
+        ? confidences.reduce((sum, value) => sum + value, 0) / confidences.length
+        : null,
+      speaker: current[0].speaker || null,
+      // Only keep word timings that came from the provider, not interpolated ones
+      ...(current.every(word => !word.estimated) && {
+        words: current.map(({word, start, end, confidence}) => ({word, start, end, confidence}))
+      })
+    });
+    current = [];
+  };
+
+  words.forEach(word => {
+    // Never let a sentence span two speakers
+    if (current.length > 0 && (word.speaker || null) !== (current[0].speaker || null)) {
+      flush();
+    }
+    current.push(word);
+    if (SENTENCE_END.test(word.word) || current.length >= MAX_WORDS_PER_SEGMENT) {
+      flush();
+    }
+  });
+  flush();
+
+  return segments;
+};
+
+/**
+ * Find the indexes of the words heard inside the overlapping audio. Allows for a little
+ * drift at the edges since the two chunks time the same word slightly differently.
+ */
+const getOverlapIndexes = (words, overlapStart, overlapEnd) => words.reduce((indexes, word, index) => {
+  const middle = (word.start + word.end) / 2;
+  if (middle >= overlapStart - MAX_WORD_TIME_DRIFT && middle <= overlapEnd + MAX_WORD_TIME_DRIFT) {
+    indexes.push(index);
+  }
+  return indexes;
+}, []);
+
+// Two chunks hearing the same word must also place it at about the same time
+const isSameWord = (tailWord, leadWord) => {
+  const text = normalizeWord(tailWord.word);
+  return !!text && text === normalizeWord(leadWord.word) &&
+    Math.abs(tailWord.start - leadWord.start) <= MAX_WORD_TIME_DRIFT;
+};
+
+/**
+ * Find the longest run of identical (normalized) words shared by two word lists, looking only
+ * at words inside the overlapping audio and ignoring words matched at different times
+ * @returns {Object} - { tailIndexes, leadIndexes } with the indexes of the matched words
+ */
+const findLongestCommonRun = (tailWords, leadWords, overlapStart, overlapEnd) => {
+  const tail = getOverlapIndexes(tailWords, overlapStart, overlapEnd);
+  const lead = getOverlapIndexes(leadWords, overlapStart, overlapEnd);
+
+  let best = { end: 0, leadEnd: 0, length: 0 };
+  let previousRow = new Array(lead.length + 1).fill(0);
+
+  for (let i = 1; i <= tail.length; i++) {
+    const row = new Array(lead.length + 1).fill(0);
+    for (let j = 1; j <= lead.length; j++) {
+      if (isSameWord(tailWords[tail[i - 1]], leadWords[lead[j - 1]])) {
+        row[j] = previousRow[j - 1] + 1;
+        if (row[j] > best.length) {
+          best = { end: i, leadEnd: j, length: row[j] };
+        }
+      }
+    }
+    previousRow = row;
+  }
+
+  return {
+    tailIndexes: tail.slice(best.end - best.length, best.end),
+    leadIndexes: lead.slice(best.leadEnd - best.length, best.leadEnd)
+  };
+};
+
+/**
+ * Join the words at the end of one chunk with the words at the start of the next,
+ * keeping the text spoken in the overlapping audio exactly once
+ * @param {Array} tailWords - Words from the end of the earlier chunk
+ * @param {Array} leadWords - Words from the start of the later chunk
+ * @param {number} overlapStart - Start of the overlapping audio (seconds)
+ * @param {number} overlapEnd - End of the overlapping audio (seconds)
+ * @returns {Array} - Combined words
+ */
+export const alignOverlappingWords = (tailWords, leadWords, overlapStart, overlapEnd) => {
+  const { tailIndexes, leadIndexes } = findLongestCommonRun(tailWords, leadWords, overlapStart, overlapEnd);
+  const length = tailIndexes.length;
+
+  if (length >= 2 || (length === 1 && Math.min(tailWords.length, leadWords.length) === 1)) {
+    // Switch from the earlier chunk to the later chunk in the middle of the shared run
+    const pivot = Math.ceil(length / 2) - 1;
+    return [
+      ...tailWords.slice(0, tailIndexes[pivot] + 1),
+      ...leadWords.slice(leadIndexes[pivot] + 1)
+    ];
+  }
+
+  // No reliable text match - cut both sides at the middle of the overlap
+  const midpoint = (overlapStart + overlapEnd) / 2;
+  return [
+    ...tailWords.filter(word => word.start < midpoint),
+    ...leadWords.filter(word => word.start >= midpoint)
+  ];
+};
+
+/**
+ * Merge per-chunk transcription results into one continuous transcript.
+ * Segments must already be shifted to absolute time.
+ * @param {Array} chunkResults - Array of { startTime, endTime, segments } in chunk order
+ * @returns {Array} - Merged segments with continuous ids
+ */
+export const mergeChunkResults = (chunkResults) => {
+  let merged = [];
+  let previousEnd = null;
+
+  chunkResults.forEach(chunk => {
+    const segments = (chunk.segments || []).filter(segment => segment && segment.text);
+
+    if (previousEnd === null || chunk.startTime >= previousEnd) {
+      merged = [...merged, ...segments];
+      previousEnd = chunk.endTime;
+      return;
+    }
+
+    const overlapStart = chunk.startTime;
+    const overlapEnd = previousEnd;
+
+    // Segments on either side that touch the overlapping audio get re-split as words
+    const splitIndex = merged.findIndex(segment => segment.endTime > overlapStart);
+    const head = splitIndex === -1 ? merged : merged.slice(0, splitIndex);
+    const tail = splitIndex === -1 ? [] : merged.slice(splitIndex);
+
+    const leadCount = segments.findIndex(segment => segment.startTime >= overlapEnd);
+    const lead = leadCount === -1 ? segments : segments.slice(0, leadCount);
+    const rest = leadCount === -1 ? [] : segments.slice(leadCount);
+
+    const joinedWords = alignOverlappingWords(
+      tail.flatMap(segmentToWords),
+      lead.flatMap(segmentToWords),
+      overlapStart,
+      overlapEnd
+    );
+
+    merged = [...head, ...wordsToSentences(joinedWords), ...rest];
+    previousEnd = chunk.endTime;
+  });
+
+  return merged.map((segment, index) => ({ ...segment, id: index + 1 }));
+};
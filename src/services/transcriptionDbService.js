@@ -1,5 +1,31 @@
 import supabase from '../lib/supabase';
 
+// Convert an application segment into a segments table row
+const toSegmentRow = (transcriptionId, segment) => ({
+  transcription_id: transcriptionId,
+  start_time: segment.startTime,
+  end_time: segment.endTime,
+  text: segment.text,
+  speaker: segment.speaker || null,
+  confidence: segment.confidence || null,
+  // Word-level timestamps are stored as a JSON array when the provider returns them
+  words: Array.isArray(segment.words) && segment.words.length > 0 ? segment.words : null,
+  // Glossary replacements as [{ offset, term, original }]
+  corrections: Array.isArray(segment.corrections) && segment.corrections.length > 0 ? segment.corrections : null
+});
+
+// Convert a segments table row into the application's segment structure
+const fromSegmentRow = (row) => ({
+  id: row.id,
+  startTime: row.start_time,
+  endTime: row.end_time,
+  text: row.text,
+  speaker: row.speaker || null,
+  confidence: row.confidence ?? null,
+  ...(Array.isArray(row.words) && row.words.length > 0 && { words: row.words }),
+  ...(Array.isArray(row.corrections) && row.corrections.length > 0 && { corrections: row.corrections })
+});
+
 /**
  * Save a new transcription to the database
  * @param {Object} transcriptionData - Transcription metadata
@@ -31,14 +57,7 @@ export const saveTranscription = async (transcriptionData, segments) => {
     if (transcriptionError) throw transcriptionError;
 
     // Prepare segments with transcription ID
-    const segmentsToInsert = segments.map(segment => ({
-      transcription_id: transcription.id,
-      start_time: segment.startTime,
-      end_time: segment.endTime,
-      text: segment.text,
-      speaker: segment.speaker || null,
-      confidence: segment.confidence || null
-    }));
+    const segmentsToInsert = segments.map(segment => toSegmentRow(transcription.id, segment));
 
     // Insert segments
     const { error: segmentsError } = await supabase
@@ -89,30 +108,35 @@ export const getTranscriptionWithSegments = async (transcriptionId) => {
 
     if (transcriptionError) throw transcriptionError;
 
-    // Get transcription segments
-    const { data: segments, error: segmentsError } = await supabase
+    return {
+      ...transcription,
+      segments: await getTranscriptionSegments(transcriptionId)
+    };
+  } catch (error) {
+    console.error('Error fetching transcription with segments:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get the stored segments of a transcription
+ * @param {string} transcriptionId - ID of the transcription
+ * @returns {Promise} - Promise with the segments in time order
+ */
+export const getTranscriptionSegments = async (transcriptionId) => {
+  try {
+    const { data, error } = await supabase
       .from('transcription_segments_73fk5a8d9s')
       .select('*')
       .eq('transcription_id', transcriptionId)
       .order('start_time', { ascending: true });
 
-    if (segmentsError) throw segmentsError;
+    if (error) throw error;
 
     // Format segments to match the application's expected structure
-    const formattedSegments = segments.map(segment => ({
-      id: segment.id,
-      startTime: segment.start_time,
-      endTime: segment.end_time,
-      text: segment.text,
-      speaker: segment.speaker || null
-    }));
-
-    return {
-      ...transcription,
-      segments: formattedSegments
-    };
+    return (data || []).map(fromSegmentRow);
   } catch (error) {
-    console.error('Error fetching transcription with segments:', error);
+    console.error('Error fetching transcription segments:', error);
     throw error;
   }
 };
@@ -140,6 +164,201 @@ export const updateTranscriptionSegment = async (segmentId, updateData) => {
   }
 };
 
+/**
+ * Save the current state of several edited segments in one request
+ * @param {string} transcriptionId - ID of the transcription the segments belong to
+ * @param {Array} segments - Edited segments with their database IDs
+ * @returns {Promise} - Promise with the updated segments
+ */
+export const updateTranscriptionSegments = async (transcriptionId, segments) => {
+  try {
+    if (!Array.isArray(segments) || segments.length === 0) return [];
+
+    // Upserted rows are written whole, so every row carries all of its columns, not just the edited ones
+    const { data, error } = await supabase
+      .from('transcription_segments_73fk5a8d9s')
+      .upsert(segments.map(segment => ({ id: segment.id, ...toSegmentRow(transcriptionId, segment) })), { onConflict: 'id' })
+      .select();
+
+    if (error) throw error;
+    return (data || []).map(fromSegmentRow);
+  } catch (error) {
+    console.error('Error updating transcription segments:', error);
+    throw error;
+  }
+};
+
+/**
+ * Add segments to an existing transcription, e.g. the second half of a split segment
+ * @param {string} transcriptionId - ID of the transcription
+ * @param {Array} segments - Segments to insert
+ * @returns {Promise} - Promise with the inserted segments, in the same order, carrying their new IDs
+ */
+export const insertTranscriptionSegments = async (transcriptionId, segments) => {
+  try {
+    if (!Array.isArray(segments) || segments.length === 0) return [];
+
+    const { data, error } = await supabase
+      .from('transcription_segments_73fk5a8d9s')
+      .insert(segments.map(segment => toSegmentRow(transcriptionId, segment)))
+      .select();
+
+    if (error) throw error;
+    return (data || []).map(fromSegmentRow);
+  } catch (error) {
+    console.error('Error inserting transcription segments:', error);
+    throw error;
+  }
+};
+
+/**
+ * Delete segments from a transcription, e.g. the second of two merged segments
+ * @param {Array} segmentIds - IDs of the segments to delete
+ * @returns {Promise} - Promise that resolves when the segments are deleted
+ */
+export const deleteTranscriptionSegments = async (segmentIds) => {
+  try {
+    if (!Array.isArray(segmentIds) || segmentIds.length === 0) return;
+
+    const { error } = await supabase
+      .from('transcription_segments_73fk5a8d9s')
+      .delete()
+      .in('id', segmentIds);
+
+    if (error) throw error;
+  } catch (error) {
+    console.error('Error deleting transcription segments:', error);
+    throw error;
+  }
+};
+
+/**
+ * Store the previous state of edited, inserted or deleted segments so they can be restored later
+ * @param {string} transcriptionId - ID of the transcription the segments belong to
+ * @param {Array} revisions - Array of { segmentId, action, previous } where action is 'update' (default),
+ *   'insert' or 'delete' and previous holds the old column values (null for inserts)
+ * @returns {Promise} - Promise with the stored revisions
+ */
+export const saveSegmentRevisions = async (transcriptionId, revisions) => {
+  try {
+    if (!Array.isArray(revisions) || revisions.length === 0) return [];
+
+    const { data: { user } } = await supabase.auth.getUser();
+    if (!user) throw new Error('User not authenticated');
+
+    const { data, error } = await supabase
+      .from('transcription_revisions_73fk5a8d9s')
+      .insert(revisions.map(revision => ({
+        transcription_id: transcriptionId,
+        segment_id: revision.segmentId,
+        user_id: user.id,
+        action: revision.action || 'update',
+        previous: revision.previous
+      })))
+      .select();
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    console.error('Error saving segment revisions:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get the revision history of a transcription, newest first
+ * @param {string} transcriptionId - ID of the transcription
+ * @returns {Promise} - Promise with array of revisions
+ */
+export const getTranscriptionRevisions = async (transcriptionId) => {
+  try {
+    const { data, error } = await supabase
+      .from('transcription_revisions_73fk5a8d9s')
+      .select('*')
+      .eq('transcription_id', transcriptionId)
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    console.error('Error fetching transcription revisions:', error);
+    throw error;
+  }
+};
+
+/**
+ * Store a translated copy of a transcription, replacing an earlier translation into the same language
+ * @param {string} transcriptionId - ID of the original transcription
+ * @param {Object} translation - { language, provider, segments } with segments from translateSegments
+ * @returns {Promise} - Promise with the stored translation
+ */
+export const saveTranscriptionTranslation = async (transcriptionId, translation) => {
+  try {
+    const { data: { user } } = await supabase.auth.getUser();
+    if (!user) throw new Error('User not authenticated');
+
+    const { data, error } = await supabase
+      .from('transcription_translations_73fk5a8d9s')
+      .upsert({
+        transcription_id: transcriptionId,
+        user_id: user.id,
+        language: translation.language,
+        provider: translation.provider,
+        segments: translation.segments,
+        updated_at: new Date()
+      }, { onConflict: 'transcription_id,language' })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error('Error saving transcription translation:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get the translated versions of a transcription
+ * @param {string} transcriptionId - ID of the original transcription
+ * @returns {Promise} - Promise with array of translations ({ id, language, provider, segments, updated_at, ... })
+ */
+export const getTranscriptionTranslations = async (transcriptionId) => {
+  try {
+    const { data, error } = await supabase
+      .from('transcription_translations_73fk5a8d9s')
+      .select('*')
+      .eq('transcription_id', transcriptionId)
+      .order('language', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    console.error('Error fetching transcription translations:', error);
+    throw error;
+  }
+};
+
+/**
+ * Delete a translated version of a transcription
+ * @param {string} translationId - ID of the translation
+ * @returns {Promise} - Promise with success or error
+ */
+export const deleteTranscriptionTranslation = async (translationId) => {
+  try {
+    const { error } = await supabase
+      .from('transcription_translations_73fk5a8d9s')
+      .delete()
+      .eq('id', translationId);
+
+    if (error) throw error;
+    return { success: true };
+  } catch (error) {
+    console.error('Error deleting transcription translation:', error);
+    throw error;
+  }
+};
+
 /**
  * Delete a transcription and its segments
  * @param {string} transcriptionId - ID of the transcription to delete
@@ -147,7 +366,7 @@ export const updateTranscriptionSegment = async (segmentId, updateData) => {
  */
 export const deleteTranscription = async (transcriptionId) => {
   try {
-    // Segments will be deleted automatically via ON DELETE CASCADE
+    // Segments, revisions and translations will be deleted automatically via ON DELETE CASCADE
     const { error } = await supabase
       .from('transcriptions_73fk5a8d9s')
       .delete()
@@ -0,0 +1,359 @@
+import axios from 'axios';
+import { decodeAudioBlob, encodeWav } from './audioChunkService';
+import { transcribeLocally, detectLanguageLocally, isLocalWhisperSupported } from './localWhisperService';
+import { AUTO_DETECT_LANGUAGE } from '../common/languages';
+
+const DEFAULT_OPENAI_BASE_URL = 'https://api.openai.com/v1';
+const DEFAULT_WHISPER_CPP_BASE_URL = 'http://127.0.0.1:8080';
+const SAMPLE_RATE = 16000;
+
+/**
+ * Convert a settings language code (e.g. "en-US") to the ISO-639-1 code Whisper expects
+ * @param {string} language - Language code from settings
+ * @returns {string|undefined} - Two letter language code, undefined to let the model decide
+ */
+export const toWhisperLanguage = (language) => {
+  if (!language || typeof language !== 'string' || language === AUTO_DETECT_LANGUAGE) return undefined;
+  return language.split('-')[0].toLowerCase();
+};
+
+/**
+ * Convert provider word timestamps into the application's word structure
+ * @param {Array} words - Words from a verbose_json response
+ * @returns {Array} - Array of { word, start, end, confidence }
+ */
+const normalizeWords = (words) => {
+  return words
+    .filter(word => word && typeof word.word === 'string' && word.word.trim())
+    .map(word => ({
+      word: word.word.trim(),
+      start: Number(word.start) || 0,
+      end: Number(word.end) || 0,
+      confidence: typeof word.probability === 'number' ? word.probability : null
+    }));
+};
+
+/**
+ * Convert a Whisper verbose_json response into the application's segment structure
+ * @param {Object} response - Response body from a Whisper compatible server
+ * @returns {Array} - Array of transcription segments
+ */
+export const normalizeWhisperResponse = (response) => {
+  const segments = Array.isArray(response?.segments) ? response.segments : [];
+  // OpenAI returns word timestamps at the top level rather than per segment
+  const responseWords = Array.isArray(response?.words) ? normalizeWords(response.words) : [];
+
+  // Some servers only return plain text when verbose output is unavailable
+  if (segments.length === 0 && response?.text) {
+    return [{
+      id: 1,
+      startTime: 0,
+      endTime: typeof response.duration === 'number' ? response.duration : 0,
+      text: response.text.trim(),
+      confidence: null,
+      ...(responseWords.length > 0 && {words: responseWords})
+    }];
+  }
+
+  return segments
+    .filter(segment => segment && typeof segment.text === 'string' && segment.text.trim())
+    .map((segment, index) => {
+      const startTime = Number(segment.start) || 0;
+      const endTime = Number(segment.end) || 0;
+      const words = Array.isArray(segment.words)
+        ? normalizeWords(segment.words)
+        : responseWords.filter(word => word.start >= startTime && word.start < endTime);
+
+      return {
+        id: index + 1,
+        startTime,
+        endTime,
+        text: segment.text.trim(),
+        confidence: typeof segment.avg_logprob === 'number'
+          ? Math.min(Math.exp(segment.avg_logprob), 1)
+          : null,
+        ...(words.length > 0 && {words})
+      };
+    });
+};
+
+/**
+ * Build a progress handler for axios uploads
+ */
+const createUploadProgressHandler = (updateProgress) => (event) => {
+  if (!event.total) return;
+  const percent = (event.loaded / event.total) * 30;
+  updateProgress(30 + percent, 'Uploading audio...');
+};
+
+/**
+ * OpenAI compatible Whisper HTTP API (api.openai.com or any server exposing /audio/transcriptions)
+ */
+const openAiProvider = {
+  id: 'openai',
+  name: 'OpenAI Whisper',
+  transcribe: async (audioBlob, options = {}) => {
+    const updateProgress = typeof options.progressCallback === 'function' ?
+      options.progressCallback : () => {};
+
+    if (!options.apiKey && !options.apiBaseUrl) {
+      throw new Error('An API key is required for the OpenAI Whisper provider. Add one in Settings.');
+    }
+
+    const formData = new FormData();
+    formData.append('file', audioBlob, options.fileName || 'audio.webm');
+    formData.append('model', options.model || 'whisper-1');
+    formData.append('response_format', 'verbose_json');
+    formData.append('timestamp_granularities[]', 'segment');
+    formData.append('timestamp_granularities[]', 'word');
+
+    const language = toWhisperLanguage(options.language);
+    if (language) {
+      formData.append('language', language);
+    }
+    // Glossary terms steer the spelling of names and jargon
+    if (options.prompt) {
+      formData.append('prompt', options.prompt);
+    }
+
+    const baseUrl = (options.apiBaseUrl || DEFAULT_OPENAI_BASE_URL).replace(/\/+$/, '');
+    const headers = {};
+    if (options.apiKey) {
+      headers.Authorization = `Bearer ${options.apiKey}`;
+    }
+
+    const response = await axios.post(`${baseUrl}/audio/transcriptions`, formData, {
+      headers,
+      timeout: options.timeout || 600000,
+      onUploadProgress: createUploadProgressHandler(updateProgress)
+    });
+
+    updateProgress(90, 'Finalizing transcription...');
+    return normalizeWhisperResponse(response.data);
+  },
+  // The API reports the language it transcribed in, without a probability
+  detectLanguage: async (samples, options = {}) => {
+    if (!options.apiKey && !options.apiBaseUrl) {
+      throw new Error('An API key is required for the OpenAI Whisper provider. Add one in Settings.');
+    }
+
+    const formData = new FormData();
+    formData.append('file', encodeWav(samples, SAMPLE_RATE), 'sample.wav');
+    formData.append('model', options.model || 'whisper-1');
+    formData.append('response_format', 'verbose_json');
+
+    const baseUrl = (options.apiBaseUrl || DEFAULT_OPENAI_BASE_URL).replace(/\/+$/, '');
+    const headers = {};
+    if (options.apiKey) {
+      headers.Authorization = `Bearer ${options.apiKey}`;
+    }
+
+    const response = await axios.post(`${baseUrl}/audio/transcriptions`, formData, {
+      headers,
+      timeout: options.timeout || 120000
+    });
+
+    return { language: response.data?.language, confidence: null };
+  }
+};
+
+/**
+ * Self-hosted whisper.cpp server (examples/server) exposing the /inference endpoint
+ */
+const whisperCppProvider = {
+  id: 'whispercpp',
+  name: 'whisper.cpp Server',
+  transcribe: async (audioBlob, options = {}) => {
+    const updateProgress = typeof options.progressCallback === 'function' ?
+      options.progressCallback : () => {};
+
+    const formData = new FormData();
+    formData.append('file', audioBlob, options.fileName || 'audio.webm');
+    formData.append('response_format', 'verbose_json');
+    formData.append('temperature', '0.0');
+
+    // whisper.cpp falls back to English unless asked to detect the language
+    const language = toWhisperLanguage(options.language) || (options.language === AUTO_DETECT_LANGUAGE ? 'auto' : undefined);
+    if (language) {
+      formData.append('language', language);
+    }
+    if (options.prompt) {
+      formData.append('prompt', options.prompt);
+    }
+
+    const baseUrl = (options.apiBaseUrl || DEFAULT_WHISPER_CPP_BASE_URL).replace(/\/+$/, '');
+
+    const response = await axios.post(`${baseUrl}/inference`, formData, {
+      timeout: options.timeout || 1800000,
+      onUploadProgress: createUploadProgressHandler(updateProgress)
+    });
+
+    updateProgress(90, 'Finalizing transcription...');
+    return normalizeWhisperResponse(response.data);
+  },
+  detectLanguage: async (samples, options = {}) => {
+    const formData = new FormData();
+    formData.append('file', encodeWav(samples, SAMPLE_RATE), 'sample.wav');
+    formData.append('response_format', 'verbose_json');
+    formData.append('language', 'auto');
+    formData.append('temperature', '0.0');
+
+    const baseUrl = (options.apiBaseUrl || DEFAULT_WHISPER_CPP_BASE_URL).replace(/\/+$/, '');
+    const response = await axios.post(`${baseUrl}/inference`, formData, {
+      timeout: options.timeout || 300000
+    });
+
+    // Newer servers report the detected code and its probability, older ones only the language name
+    return {
+      language: response.data?.detected_language || response.data?.language,
+      confidence: typeof response.data?.detected_language_probability === 'number'
+        ? response.data.detected_language_probability
+        : null
+    };
+  }
+};
+
+/**
+ * Whisper running on this device in a Web Worker via WebAssembly - audio never leaves the browser.
+ * transformers.js does not support prompts, so glossary terms are only applied by the correction pass.
+ */
+const localWhisperProvider = {
+  id: 'local',
+  name: 'Offline Whisper (this device)',
+  transcribe: async (audioBlob, options = {}) => {
+    const updateProgress = typeof options.progressCallback === 'function' ?
+      options.progressCallback : () => {};
+
+    if (!isLocalWhisperSupported()) {
+      throw new Error('Local transcription failed: this browser does not support Web Workers and WebAssembly.');
+    }
+
+    updateProgress(32, 'Decoding audio...');
+    const { samples } = await decodeAudioBlob(audioBlob);
+
+    return transcribeLocally(samples, {
+      model: options.localModel,
+      language: toWhisperLanguage(options.language),
+      progressCallback: updateProgress
+    });
+  },
+  detectLanguage: async (samples, options = {}) => {
+    if (!isLocalWhisperSupported()) {
+      throw new Error('Local transcription failed: this browser does not support Web Workers and WebAssembly.');
+    }
+    return detectLanguageLocally(samples, { model: options.localModel, progressCallback: options.progressCallback });
+  }
+};
+
+const MOCK_PHRASES = [
+  "Welcome to our comprehensive video presentation.",
+  "Today we'll be discussing the key features and capabilities of our new platform.",
+  "Our application is designed to be user-friendly, intuitive, and scalable for enterprise use.",
+  "Let's start by examining the dashboard interface and its various components.",
+  "As you can see, the analytics section provides comprehensive insights into user behavior.",
+  "Users can easily navigate between different sections using the responsive sidebar menu.",
+  "One of the most powerful features is the ability to generate custom reports and visualizations.",
+  "Data visualization tools help make sense of complex information and trends over time.",
+  "Security is a top priority in our application design and architecture.",
+  "All user data is encrypted both in transit and at rest using industry-standard protocols.",
+  "The collaboration tools enable teams to work together effectively across different time zones.",
+  "Real-time updates ensure everyone has access to the latest information and changes.",
+  "Let's move on to the mobile experience and responsive design capabilities.",
+  "Our responsive design works seamlessly across all devices and screen sizes.",
+  "Push notifications keep users informed about important updates and deadlines.",
+  "The offline mode allows for productivity even without a stable internet connection.",
+  "Integration with third-party services extends the platform's capabilities significantly.",
+  "API documentation is comprehensive, well-maintained, and includes practical examples.",
+  "Performance optimization ensures fast loading times even with large datasets.",
+  "Automated backup systems protect against data loss and ensure business continuity.",
+  "User access controls and permissions provide granular security management.",
+  "The reporting system generates detailed analytics and insights for decision making.",
+  "Customizable workflows adapt to different business processes and requirements.",
+  "Let's summarize what we've covered in today's comprehensive demonstration.",
+  "Thank you for watching this detailed presentation of our platform capabilities."
+];
+
+/**
+ * Deterministic mock provider - the same duration always produces the same segments
+ */
+const mockProvider = {
+  id: 'mock',
+  name: 'Mock (testing)',
+  transcribe: async (audioBlob, options = {}) => {
+    const updateProgress = typeof options.progressCallback === 'function' ?
+      options.progressCallback : () => {};
+
+    updateProgress(60, 'Generating mock transcription...');
+
+    const duration = options.duration || 60;
+    const segmentDuration = 8;
+    const segments = [];
+
+    for (let startTime = 0, index = 0; startTime < duration; startTime += segmentDuration, index++) {
+      const endTime = Math.min(startTime + segmentDuration, duration);
+      const text = MOCK_PHRASES[index % MOCK_PHRASES.length];
+      const tokens = text.split(' ');
+      const wordDuration = (endTime - startTime) / tokens.length;
+
+      segments.push({
+        id: index + 1,
+        startTime,
+        endTime,
+        text,
+        confidence: 0.95,
+        // Alternate between two speakers every two segments when diarization is requested
+        ...(options.diarization && {speaker: `Speaker ${(Math.floor(index / 2) % 2) + 1}`}),
+        words: tokens.map((word, wordIndex) => ({
+          word,
+          start: startTime + wordIndex * wordDuration,
+          end: startTime + (wordIndex + 1) * wordDuration,
+          confidence: 0.95
+        }))
+      });
+    }
+
+    updateProgress(90, 'Finalizing transcription...');
+    return segments;
+  },
+  detectLanguage: async () => ({ language: 'en', confidence: 0.99 })
+};
+
+const providers = {
+  [openAiProvider.id]: openAiProvider,
+  [whisperCppProvider.id]: whisperCppProvider,
+  [localWhisperProvider.id]: localWhisperProvider,
+  [mockProvider.id]: mockProvider
+};
+
+/**
+ * List the available transcription providers
+ * @returns {Array} - Array of {id, name} descriptors
+ */
+export const getAvailableProviders = () => {
+  return Object.values(providers).map(({id, name}) => ({id, name}));
+};
+
+export const DEFAULT_TRANSCRIPTION_PROVIDER = openAiProvider.id;
+
+/**
+ * Map a saved provider id to a known provider, e.g. for settings saved before a provider was removed
+ * @param {string} providerId - Provider id from settings
+ * @returns {string} - The provider id, or DEFAULT_TRANSCRIPTION_PROVIDER when it is unknown
+ */
+export const resolveTranscriptionProviderId = (providerId) => {
+  return providers[providerId] ? providerId : DEFAULT_TRANSCRIPTION_PROVIDER;
+};
+
+/**
+ * Look up a transcription provider by id
+ * @param {string} providerId - Provider id from settings (openai, whispercpp, local, mock), unknown ids use the default
+ * @returns {Object} - Provider with a transcribe(audioBlob, options) method, and
+ *   a detectLanguage(samples, options) method resolving to { language, confidence } for 16kHz mono samples
+ */
+export const getTranscriptionProvider = (providerId = DEFAULT_TRANSCRIPTION_PROVIDER) => {
+  const resolvedId = resolveTranscriptionProviderId(providerId);
+  if (resolvedId !== providerId) {
+    console.warn(`Unknown transcription provider "${providerId}", using ${resolvedId} instead`);
+  }
+  return providers[resolvedId];
+};
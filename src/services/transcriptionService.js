@@ -1,7 +1,17 @@
 import {createFFmpeg,fetchFile} from '@ffmpeg/ffmpeg';
-import axios from 'axios';
 import {saveTranscription} from './transcriptionDbService';
 import {extractAudioOnly} from './compressionService';
+import {getTranscriptionProvider} from './transcriptionProviders';
+import {createAudioChunks, decodeAudioBlob} from './audioChunkService';
+import {mergeChunkResults} from './transcriptMergeService';
+import {diarizeSegments} from './diarizationService';
+import {reflowCaptions, reflowBilingualCaptions} from './captionReflowService';
+import {applyGlossaryCorrections, buildGlossaryPrompt} from './glossaryService';
+import {postProcessSegments} from './postProcessingService';
+import {AUTO_DETECT_LANGUAGE, resolveDetectedLanguage} from '../common/languages';
+
+// Language detection listens to the start of the recording only
+const LANGUAGE_SAMPLE_SECONDS = 120;
 
 // Initialize FFmpeg for audio extraction with optimized settings for large files
 const ffmpeg=createFFmpeg({
@@ -55,7 +65,11 @@ export const extractAudioFromVideo=async (videoFile, progressCallback)=> {
 /** 
  * OPTIMIZED: Transcribe audio using chunked processing for large files
  * @param {Blob} audioBlob - Audio file blob
- * @param {Object} options - Transcription options
+ * @param {Object} options - Transcription options (provider, apiKey, apiBaseUrl, language, model, localModel, diarization, glossaryTerms,
+ *   postProcessing). postProcessing holds the settings of the post-processing stages run on the finished segments.
+ *   With language "auto" the spoken language is detected first and passed to onLanguageDetected({ language, confidence }),
+ *   or null if it could not be detected. Glossary terms are sent to the provider as a prompt and near-misses are
+ *   corrected afterwards, listed per segment in corrections.
  * @returns {Array} - Array of transcription segments
  */
 export const transcribeAudio=async (audioBlob, options={})=> {
@@ -68,21 +82,80 @@ export const transcribeAudio=async (audioBlob, options={})=> {
       options.progressCallback : () => {};
     
     updateProgress(10, 'Preparing transcription...');
+
+    const provider = getTranscriptionProvider(options.provider);
+
+    // Chunking, language detection and diarization share one decode of the audio
+    let decodedAudio = null;
+    const decodeAudio = () => {
+      decodedAudio = decodedAudio || decodeAudioBlob(audioBlob);
+      return decodedAudio;
+    };
+
+    const glossaryTerms = Array.isArray(options.glossaryTerms) ? options.glossaryTerms : [];
+
+    // Every chunk is transcribed in the detected language so long recordings stay consistent
+    let transcriptionOptions = {...options, prompt: buildGlossaryPrompt(glossaryTerms)};
+    if (options.language === AUTO_DETECT_LANGUAGE) {
+      updateProgress(12, 'Detecting spoken language...');
+      const detection = await detectSpokenLanguage(provider, decodeAudio, options);
+      if (detection) {
+        transcriptionOptions = {...transcriptionOptions, language: detection.language};
+      }
+      if (typeof options.onLanguageDetected === 'function') {
+        options.onLanguageDetected(detection);
+      }
+    }
     
+    let segments;
+
     // For large audio files, implement chunking
     if (isLargeAudio) {
       updateProgress(20, 'Processing large audio file with chunking...');
-      return await transcribeAudioInChunks(audioBlob, options);
+      segments = await transcribeAudioInChunks(provider, audioBlob, {...transcriptionOptions, audio: await decodeAudio()});
+    } else {
+      // For smaller files, use direct processing
+      segments = await transcribeAudioDirect(provider, audioBlob, transcriptionOptions);
     }
-    
-    // For smaller files, use direct processing
-    return await transcribeAudioDirect(audioBlob, options);
+
+    // Label speakers locally unless the provider already did
+    if (options.diarization && !segments.some(segment => segment.speaker)) {
+      updateProgress(92, 'Identifying speakers...');
+      // Last use of the decoded audio: diarization transfers the samples to its worker
+      segments = await labelSpeakers(decodeAudio, segments);
+    }
+
+    // Before the glossary pass, so its correction marks point at the final text
+    if (options.postProcessing) {
+      updateProgress(94, 'Cleaning up the transcript...');
+      segments = postProcessSegments(segments, {...options.postProcessing, language: transcriptionOptions.language});
+    }
+
+    if (glossaryTerms.length > 0) {
+      updateProgress(95, 'Applying glossary...');
+      segments = applyGlossaryCorrections(segments, glossaryTerms);
+    }
+
+    return segments;
   } catch (error) {
     console.error('Transcription error:', error);
     
     if (error.code === 'ECONNABORTED' || error.message.includes('timeout')) {
       throw new Error('Transcription timed out. Large files may require longer processing time.');
     }
+
+    if (error.response?.status === 401 || error.response?.status === 403) {
+      throw new Error('The transcription provider rejected the API key. Check your API settings.');
+    }
+
+    if (error.code === 'ERR_NETWORK') {
+      throw new Error('Could not reach the transcription provider. Check the API URL in Settings.');
+    }
+
+    if (error.message.startsWith('Unknown transcription provider') || error.message.includes('API key is required') ||
+      error.message.startsWith('Local transcription failed')) {
+      throw error;
+    }
     
     throw new Error('Failed to transcribe audio. Please try again or use a smaller file.');
   }
@@ -91,176 +164,138 @@ export const transcribeAudio=async (audioBlob, options={})=> {
 /** 
  * OPTIMIZED: Direct transcription for smaller audio files 
  */
-async function transcribeAudioDirect(audioBlob, options) {
-  const startTime = Date.now();
-  
+async function transcribeAudioDirect(provider, audioBlob, options) {
   // Ensure progressCallback is a function
   const updateProgress = typeof options.progressCallback === 'function' ? 
     options.progressCallback : () => {};
   
-  updateProgress(30, 'Sending audio for transcription...');
-  
-  // Create a form data object to send the audio file
-  const formData = new FormData();
-  formData.append('file', audioBlob, 'audio.webm');
-  formData.append('language', options.language || 'en-US');
-  formData.append('model', options.model || 'whisper-1');
-  
-  // For demo purposes, we'll use a simulated response
-  // In production, you would use a real API call like:
-  /*
-  const response = await axios.post(
-    'https://api.openai.com/v1/audio/transcriptions',
-    formData,
-    {
-      headers: {
-        'Authorization': `Bearer ${options.apiKey}`,
-        'Content-Type': 'multipart/form-data',
-      },
-      timeout: 120000, // 2 minutes timeout
-    }
-  );
-  */
-  
-  // Simulate realistic processing time based on audio size
-  const audioSizeMB = audioBlob.size / (1024 * 1024);
-  const baseProcessingTime = Math.min(audioSizeMB * 50, 3000); // Max 3 seconds for demo
-  
-  // Progress simulation
-  const progressInterval = setInterval(() => {
-    const elapsed = Date.now() - startTime;
-    const progress = Math.min((elapsed / baseProcessingTime) * 60, 60); // Up to 60%
-    updateProgress(30 + progress, 'Processing speech recognition...');
-  }, 200);
-  
-  await new Promise(resolve => setTimeout(resolve, baseProcessingTime));
-  clearInterval(progressInterval);
-  
-  updateProgress(90, 'Finalizing transcription...');
+  updateProgress(30, `Sending audio to ${provider.name}...`);
   
-  // Generate optimized simulated transcription
-  const simulatedResponse = generateOptimizedTranscription(options.duration || 60);
-  return simulatedResponse;
+  const segments = await provider.transcribe(audioBlob, {
+    ...options,
+    fileName: getAudioFileName(audioBlob),
+    progressCallback: updateProgress
+  });
+
+  return segments;
 }
 
 /** 
  * OPTIMIZED: Chunked transcription for large audio files 
  */
-async function transcribeAudioInChunks(audioBlob, options) {
+async function transcribeAudioInChunks(provider, audioBlob, options) {
   // Ensure progressCallback is a function
   const updateProgress = typeof options.progressCallback === 'function' ? 
     options.progressCallback : () => {};
     
-  const chunkSize = 20 * 1024 * 1024; // 20MB chunks
-  const chunks = [];
-  
-  // Split audio into chunks (simplified for demo)
-  const totalChunks = Math.ceil(audioBlob.size / chunkSize);
-  updateProgress(25, `Processing ${totalChunks} audio chunks...`);
+  updateProgress(25, 'Splitting audio into chunks...');
+
+  // Decode and split on silence so every chunk is a playable file with a known offset
+  const audioChunks = await createAudioChunks(audioBlob, {
+    audio: options.audio,
+    chunkSeconds: options.chunkSeconds,
+    overlapSeconds: options.overlapSeconds,
+    progressCallback: (progress) => updateProgress(25 + progress * 0.1, 'Splitting audio into chunks...')
+  });
+
+  const totalChunks = audioChunks.length;
+  const chunkResults = [];
+  const {audio: _audio, ...chunkOptions} = options;
+  updateProgress(35, `Processing ${totalChunks} audio chunks...`);
   
-  for (let i = 0; i < totalChunks; i++) {
-    const start = i * chunkSize;
-    const end = Math.min(start + chunkSize, audioBlob.size);
-    const chunk = audioBlob.slice(start, end);
+  for (const chunk of audioChunks) {
+    const progress = (chunk.index / totalChunks) * 50; // Up to 50% for chunk transcription
+    updateProgress(35 + progress, `Processing chunk ${chunk.index + 1} of ${totalChunks}...`);
     
-    const progress = (i / totalChunks) * 60; // Up to 60% for chunking
-    updateProgress(25 + progress, `Processing chunk ${i + 1} of ${totalChunks}...`);
-    
-    // Process each chunk (simulated)
-    const chunkDuration = (options.duration || 60) / totalChunks;
-    const chunkResult = generateOptimizedTranscription(chunkDuration, i * chunkDuration);
-    chunks.push(...chunkResult);
-    
-    // Small delay to prevent browser blocking
-    await new Promise(resolve => setTimeout(resolve, 100));
+    const chunkResult = await provider.transcribe(chunk.blob, {
+      ...chunkOptions,
+      fileName: `chunk-${chunk.index + 1}.wav`,
+      duration: chunk.endTime - chunk.startTime,
+      progressCallback: null
+    });
+
+    chunkResults.push({
+      startTime: chunk.startTime,
+      endTime: chunk.endTime,
+      segments: chunkResult.map(segment => ({
+        ...segment,
+        startTime: segment.startTime + chunk.startTime,
+        endTime: segment.endTime + chunk.startTime
+      }))
+    });
   }
   
   updateProgress(90, 'Combining chunk results...');
   
-  return chunks;
+  // Remove text repeated in the overlapping audio and rejoin sentences cut at chunk edges
+  return mergeChunkResults(chunkResults);
 }
 
-/** 
- * OPTIMIZED: Generate a more realistic simulated transcription
- * @param {number} duration - Duration of the audio in seconds
- * @param {number} startOffset - Start time offset for chunks
- * @returns {Array} - Array of transcription segments
+/**
+ * Identify the spoken language from the start of the audio, or null so the provider picks it per request
  */
-function generateOptimizedTranscription(duration, startOffset=0) {
-  const segments = [];
-  const phrases = [
-    "Welcome to our comprehensive video presentation.",
-    "Today we'll be discussing the key features and capabilities of our new platform.",
-    "Our application is designed to be user-friendly, intuitive, and scalable for enterprise use.",
-    "Let's start by examining the dashboard interface and its various components.",
-    "As you can see, the analytics section provides comprehensive insights into user behavior.",
-    "Users can easily navigate between different sections using the responsive sidebar menu.",
-    "One of the most powerful features is the ability to generate custom reports and visualizations.",
-    "Data visualization tools help make sense of complex information and trends over time.",
-    "Security is a top priority in our application design and architecture.",
-    "All user data is encrypted both in transit and at rest using industry-standard protocols.",
-    "The collaboration tools enable teams to work together effectively across different time zones.",
-    "Real-time updates ensure everyone has access to the latest information and changes.",
-    "Let's move on to the mobile experience and responsive design capabilities.",
-    "Our responsive design works seamlessly across all devices and screen sizes.",
-    "Push notifications keep users informed about important updates and deadlines.",
-    "The offline mode allows for productivity even without a stable internet connection.",
-    "Integration with third-party services extends the platform's capabilities significantly.",
-    "API documentation is comprehensive, well-maintained, and includes practical examples.",
-    "Performance optimization ensures fast loading times even with large datasets.",
-    "Automated backup systems protect against data loss and ensure business continuity.",
-    "User access controls and permissions provide granular security management.",
-    "The reporting system generates detailed analytics and insights for decision making.",
-    "Customizable workflows adapt to different business processes and requirements.",
-    "Let's summarize what we've covered in today's comprehensive demonstration.",
-    "Thank you for watching this detailed presentation of our platform capabilities."
-  ];
-  
-  let currentTime = startOffset;
-  let segmentId = Math.floor(startOffset / 8) + 1;
-  
-  // Create more realistic segment timing
-  const avgSegmentDuration = 8; // 8 seconds average
-  const segmentCount = Math.ceil(duration / avgSegmentDuration);
-  
-  for (let i = 0; i < segmentCount && currentTime < startOffset + duration; i++) {
-    // Vary segment duration realistically (6-12 seconds)
-    const segmentDuration = Math.min(
-      avgSegmentDuration + (Math.random() * 4 - 2), // ±2 seconds variation
-      (startOffset + duration) - currentTime
-    );
-    const endTime = currentTime + segmentDuration;
-    
-    // Select phrase with some variation
-    const phraseIndex = (segmentId - 1) % phrases.length;
-    let text = phrases[phraseIndex];
-    
-    // Occasionally combine phrases for more natural variation
-    if (Math.random() > 0.8 && i < segmentCount - 1) {
-      text += " " + phrases[(phraseIndex + 1) % phrases.length];
-    }
-    
-    segments.push({
-      id: segmentId++,
-      startTime: currentTime,
-      endTime: endTime,
-      text: text,
-      confidence: Math.random() * 0.15 + 0.85 // Confidence between 0.85 and 1.0
-    });
-    
-    currentTime = endTime;
+async function detectSpokenLanguage(provider, decodeAudio, options) {
+  if (typeof provider.detectLanguage !== 'function') return null;
+
+  try {
+    const {samples, sampleRate} = await decodeAudio();
+    // A copy, since local detection transfers the buffer to its worker
+    const sample = samples.slice(0, LANGUAGE_SAMPLE_SECONDS * sampleRate);
+    const result = await provider.detectLanguage(sample, options);
+
+    const language = resolveDetectedLanguage(result?.language);
+    if (!language) return null;
+    return {language, confidence: typeof result.confidence === 'number' ? result.confidence : null};
+  } catch (error) {
+    console.warn('Language detection failed, letting the provider pick the language:', error);
+    return null;
   }
-  
-  return segments;
 }
 
-/** 
+/**
+ * Run speaker diarization, keeping the unlabelled transcript if it fails
+ */
+async function labelSpeakers(decodeAudio, segments) {
+  try {
+    return await diarizeSegments(await decodeAudio(), segments);
+  } catch (error) {
+    console.warn('Speaker diarization failed, continuing without speaker labels:', error);
+    return segments;
+  }
+}
+
+/**
+ * Pick an upload file name whose extension matches the audio container
+ * @param {Blob} audioBlob - Audio file blob
+ * @returns {string} - File name for the upload
+ */
+function getAudioFileName(audioBlob) {
+  if (audioBlob.name) return audioBlob.name;
+
+  const type = audioBlob.type || '';
+  if (type.includes('wav')) return 'audio.wav';
+  if (type.includes('mp3') || type.includes('mpeg')) return 'audio.mp3';
+  if (type.includes('ogg')) return 'audio.ogg';
+  if (type.includes('mp4') || type.includes('m4a')) return 'audio.m4a';
+  return 'audio.webm';
+}
+
+// SRT and VTT cues carry a second line in another language when a translation is passed
+function buildSubtitleCues(transcriptionData, options) {
+  return Array.isArray(options.translation) && options.translation.length > 0
+    ? reflowBilingualCaptions(transcriptionData, options.translation, options)
+    : reflowCaptions(transcriptionData, options);
+}
+
+/**
  * Format transcription data for export with large file optimizations
  * @param {Array} transcriptionData - Array of transcription segments
- * @param {string} format - Export format (txt, srt, vtt)
+ * @param {string} format - Export format (txt, srt, vtt, ttml)
+ * @param {Object} options - Subtitle options passed to reflowCaptions: { preset, maxLineLength, maxLines, speakerPrefix, language },
+ *   plus { translation } with translated segments for bilingual SRT and VTT
  * @returns {string} - Formatted transcription text
  */
-export const formatTranscriptionForExport = (transcriptionData, format = 'txt') => {
+export const formatTranscriptionForExport = (transcriptionData, format = 'txt', options = {}) => {
   if (!transcriptionData || !Array.isArray(transcriptionData) || transcriptionData.length === 0) {
     return '';
   }
@@ -273,27 +308,33 @@ export const formatTranscriptionForExport = (transcriptionData, format = 'txt')
         .join('\n\n');
       
     case 'srt':
-      return transcriptionData
-        .filter(segment => segment && segment.startTime !== undefined && segment.endTime !== undefined)
-        .map((segment, index) => {
-          const startTime = formatSrtTime(segment.startTime);
-          const endTime = formatSrtTime(segment.endTime);
-          return `${index + 1}\n${startTime} --> ${endTime}\n${segment.text}\n`;
+      return buildSubtitleCues(transcriptionData, options)
+        .map((cue, index) => {
+          const startTime = formatSrtTime(cue.startTime);
+          const endTime = formatSrtTime(cue.endTime);
+          return `${index + 1}\n${startTime} --> ${endTime}\n${cue.lines.join('\n')}\n`;
         })
         .join('\n');
       
     case 'vtt':
       let vtt = 'WEBVTT\n\n';
-      vtt += transcriptionData
-        .filter(segment => segment && segment.startTime !== undefined && segment.endTime !== undefined)
-        .map((segment, index) => {
-          const startTime = formatVttTime(segment.startTime);
-          const endTime = formatVttTime(segment.endTime);
-          return `${index + 1}\n${startTime} --> ${endTime}\n${segment.text}`;
+      // WebVTT names speakers with voice tags, which do not take up line space
+      vtt += buildSubtitleCues(transcriptionData, { ...options, speakerPrefix: false })
+        .map((cue, index) => {
+          const startTime = formatVttTime(cue.startTime);
+          const endTime = formatVttTime(cue.endTime);
+          const text = options.speakerPrefix && cue.speaker
+            ? `<v ${cue.speaker}>${cue.lines.join('\n')}`
+            : cue.lines.join('\n');
+          return `${index + 1}\n${startTime} --> ${endTime}\n${text}`;
         })
         .join('\n\n');
       return vtt;
       
+    case 'ttml':
+    case 'dfxp':
+      return formatTtml(reflowCaptions(transcriptionData, { ...options, speakerPrefix: false }), options);
+      
     default:
       return transcriptionData
         .filter(segment => segment && segment.text)
@@ -302,6 +343,53 @@ export const formatTranscriptionForExport = (transcriptionData, format = 'txt')
   }
 };
 
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Build a TTML (DFXP) document from caption cues. Speakers become ttm:agent entries
+ * referenced from each paragraph.
+ * @param {Array} cues - Cues from reflowCaptions
+ * @param {Object} options - { language, speakerPrefix }
+ * @returns {string} - TTML document
+ */
+function formatTtml(cues, options = {}) {
+  const speakers = [...new Set(cues.map(cue => cue.speaker).filter(Boolean))];
+  const agentIds = new Map(speakers.map((speaker, index) => [speaker, `speaker${index + 1}`]));
+
+  const agents = speakers.map(speaker => (
+    `      <ttm:agent xml:id="${agentIds.get(speaker)}" type="person">\n` +
+    `        <ttm:name type="full">${escapeXml(speaker)}</ttm:name>\n` +
+    '      </ttm:agent>'
+  )).join('\n');
+
+  const paragraphs = cues.map((cue, index) => {
+    const agent = cue.speaker ? ` ttm:agent="${agentIds.get(cue.speaker)}"` : '';
+    const lines = cue.lines.map(escapeXml).join('<br/>');
+    const text = options.speakerPrefix && cue.speaker
+      ? `<span tts:fontWeight="bold">${escapeXml(cue.speaker)}:</span> ${lines}`
+      : lines;
+    return `      <p xml:id="c${index + 1}" begin="${formatVttTime(cue.startTime)}" end="${formatVttTime(cue.endTime)}"${agent}>${text}</p>`;
+  }).join('\n');
+
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    `<tt xmlns="http://www.w3.org/ns/ttml" xmlns:tts="http://www.w3.org/ns/ttml#styling" xmlns:ttm="http://www.w3.org/ns/ttml#metadata" xml:lang="${escapeXml(options.language || 'en')}">\n` +
+    '  <head>\n' +
+    '    <metadata>\n' +
+    (agents ? `${agents}\n` : '') +
+    '    </metadata>\n' +
+    '  </head>\n' +
+    '  <body>\n' +
+    '    <div>\n' +
+    `${paragraphs}\n` +
+    '    </div>\n' +
+    '  </body>\n' +
+    '</tt>\n';
+}
+
 /** 
  * Save transcription to Supabase database with large file metadata
  * @param {Object} videoFile - The original video file
@@ -0,0 +1,119 @@
+import axios from 'axios';
+import { getLanguageName } from '../common/languages';
+
+const DEFAULT_LLM_BASE_URL = 'https://api.openai.com/v1';
+const DEFAULT_LLM_MODEL = 'gpt-4o-mini';
+
+/**
+ * Read the translated texts from an LLM reply
+ * @param {string} content - Message content, a JSON array of strings, possibly wrapped in prose or a code fence
+ * @returns {Array|null} - Translated texts, or null when the reply holds no array of strings
+ */
+export const parseLlmTranslation = (content) => {
+  const text = (content || '').trim();
+  const start = text.indexOf('[');
+  const end = text.lastIndexOf(']');
+  if (start === -1 || end <= start) return null;
+
+  try {
+    const parsed = JSON.parse(text.slice(start, end + 1));
+    return Array.isArray(parsed) && parsed.every(item => typeof item === 'string') ? parsed : null;
+  } catch (error) {
+    console.warn('LLM translation was not valid JSON:', error);
+    return null;
+  }
+};
+
+/**
+ * LLM translations through any OpenAI-compatible /chat/completions endpoint
+ */
+const llmProvider = {
+  id: 'llm',
+  name: 'LLM (OpenAI-compatible)',
+  translate: async (texts, options = {}) => {
+    if (!options.apiKey && !options.apiBaseUrl) {
+      throw new Error('An API key or API URL is required for LLM translations. Add one in Settings.');
+    }
+
+    // Empty segments stay empty rather than asking the model to translate nothing
+    const indexes = texts.map((text, index) => (text && text.trim() ? index : null)).filter(index => index !== null);
+    if (indexes.length === 0) return texts.map(() => '');
+
+    const baseUrl = (options.apiBaseUrl || DEFAULT_LLM_BASE_URL).replace(/\/+$/, '');
+    const headers = {};
+    if (options.apiKey) {
+      headers.Authorization = `Bearer ${options.apiKey}`;
+    }
+
+    const source = options.sourceLanguage ? getLanguageName(options.sourceLanguage) : 'the original language';
+    const response = await axios.post(`${baseUrl}/chat/completions`, {
+      model: options.model || DEFAULT_LLM_MODEL,
+      temperature: 0,
+      messages: [
+        {
+          role: 'system',
+          content: `You translate subtitle lines of recorded speech from ${source} into ${getLanguageName(options.targetLanguage)}. ` +
+            'The input is a JSON array of strings. Reply with JSON only: an array with exactly one translated string per input string, in the same order. ' +
+            'Keep each line on its own, even when a sentence continues in the next one.'
+        },
+        { role: 'user', content: JSON.stringify(indexes.map(index => texts[index])) }
+      ]
+    }, {
+      headers,
+      timeout: options.timeout || 120000
+    });
+
+    const translated = parseLlmTranslation(response.data?.choices?.[0]?.message?.content);
+    if (!translated || translated.length !== indexes.length) {
+      throw new Error(`The LLM returned ${translated ? translated.length : 'no'} translations for ${indexes.length} lines. Try again or choose another model.`);
+    }
+
+    const result = texts.map(() => '');
+    indexes.forEach((textIndex, index) => {
+      result[textIndex] = translated[index];
+    });
+    return result;
+  }
+};
+
+/**
+ * Deterministic mock provider for development and tests - tags each text with the target
+ * language instead of translating it, so translated exports can be checked offline
+ */
+const mockProvider = {
+  id: 'mock',
+  name: 'Mock (testing only, does not translate)',
+  translate: async (texts, options = {}) => {
+    const tag = (options.targetLanguage || '').split('-')[0].toUpperCase();
+    return texts.map(text => (text ? `[${tag}] ${text}` : text));
+  }
+};
+
+const providers = {
+  [llmProvider.id]: llmProvider,
+  [mockProvider.id]: mockProvider
+};
+
+export const DEFAULT_TRANSLATION_PROVIDER = llmProvider.id;
+
+/**
+ * List the available translation providers
+ * @returns {Array} - Array of {id, name} descriptors
+ */
+export const getAvailableTranslationProviders = () => {
+  return Object.values(providers).map(({id, name}) => ({id, name}));
+};
+
+/**
+ * Look up a translation provider by id
+ * @param {string} providerId - Provider id from settings (llm, mock)
+ * @returns {Object} - Provider with a translate(texts, { sourceLanguage, targetLanguage, apiBaseUrl, apiKey, model })
+ *   method resolving to one translated text per input text, in the same order
+ */
+export const getTranslationProvider = (providerId = DEFAULT_TRANSLATION_PROVIDER) => {
+  const provider = providers[providerId];
+  if (!provider) {
+    throw new Error(`Unknown translation provider: ${providerId}`);
+  }
+  return provider;
+};
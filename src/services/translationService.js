@@ -0,0 +1,92 @@
+import {getTranslationProvider, DEFAULT_TRANSLATION_PROVIDER} from './translationProviders';
+
+// Segments are sent in batches so long transcripts report progress and stay within request limits
+const BATCH_SIZE = 40;
+
+export const DEFAULT_TRANSLATION_SETTINGS = {
+  translationProvider: DEFAULT_TRANSLATION_PROVIDER,
+  translationApiBaseUrl: '',
+  translationApiKey: '',
+  translationModel: ''
+};
+
+/**
+ * Read the translation settings saved with the transcription settings
+ * @returns {Object} - Translation settings, see DEFAULT_TRANSLATION_SETTINGS
+ */
+export const getTranslationSettings = () => {
+  try {
+    const settings = JSON.parse(localStorage.getItem('transcriptionSettings')) || {};
+    const translationSettings = {...DEFAULT_TRANSLATION_SETTINGS};
+    Object.keys(DEFAULT_TRANSLATION_SETTINGS).forEach(key => {
+      if (typeof settings[key] === 'string') translationSettings[key] = settings[key];
+    });
+    // The LLM falls back to the transcription API key when it has none of its own
+    if (!translationSettings.translationApiKey && settings.apiProvider === 'openai') {
+      translationSettings.translationApiKey = settings.apiKey || '';
+    }
+    return translationSettings;
+  } catch (error) {
+    console.error('Failed to read translation settings:', error);
+    return {...DEFAULT_TRANSLATION_SETTINGS};
+  }
+};
+
+/**
+ * Translate transcription segments, keeping their timings and speakers
+ * @param {Array} segments - Transcription segments
+ * @param {Object} options - { provider, sourceLanguage, targetLanguage, apiBaseUrl, apiKey, model, progressCallback(percent) }
+ * @returns {Promise<Array>} - Translated copy of the segments; word timings are dropped since they
+ *   belong to the original words
+ */
+export const translateSegments = async (segments, options = {}) => {
+  const updateProgress = typeof options.progressCallback === 'function' ?
+    options.progressCallback : () => {};
+
+  if (!options.targetLanguage) {
+    throw new Error('Choose a language to translate into.');
+  }
+
+  const provider = getTranslationProvider(options.provider);
+  const translatedTexts = [];
+
+  for (let start = 0; start < segments.length; start += BATCH_SIZE) {
+    const texts = segments.slice(start, start + BATCH_SIZE).map(segment => segment.text || '');
+    const translated = await provider.translate(texts, {
+      sourceLanguage: options.sourceLanguage,
+      targetLanguage: options.targetLanguage,
+      apiBaseUrl: options.apiBaseUrl,
+      apiKey: options.apiKey,
+      model: options.model
+    });
+
+    if (!Array.isArray(translated) || translated.length !== texts.length) {
+      throw new Error(`${provider.name} returned ${translated?.length ?? 0} translations for ${texts.length} segments.`);
+    }
+
+    translatedTexts.push(...translated);
+    updateProgress((translatedTexts.length / segments.length) * 100);
+  }
+
+  return segments.map((segment, index) => ({
+    id: segment.id,
+    startTime: segment.startTime,
+    endTime: segment.endTime,
+    text: (translatedTexts[index] || '').trim(),
+    confidence: null,
+    ...(segment.speaker && {speaker: segment.speaker})
+  }));
+};
+
+/**
+ * Count the segments a stored translation has no line for, e.g. segments created by a split or
+ * subtitle import after the transcript was translated
+ * @param {Array} segments - Current transcription segments
+ * @param {Array} translatedSegments - Segments of a stored translation
+ * @returns {number} - Number of segments with text but no translation; 0 for translations without ids
+ */
+export const countUntranslatedSegments = (segments = [], translatedSegments = []) => {
+  const translatedIds = new Set(translatedSegments.filter(segment => segment.id != null).map(segment => segment.id));
+  if (translatedIds.size === 0) return 0;
+  return segments.filter(segment => segment && segment.text && !translatedIds.has(segment.id)).length;
+};
@@ -0,0 +1,260 @@
+// Speaker diarization runs here so feature extraction and clustering never block the page
+
+const FFT_SIZE = 512;
+const MEL_BANDS = 24;
+const MAX_FRAMES_PER_SEGMENT = 200;
+// Agglomerative clustering is cubic in the number of vectors, so longer recordings cluster a
+// spread-out sample and assign every other segment to the nearest resulting speaker
+const MAX_CLUSTERED_VECTORS = 300;
+
+const post = (id, type, payload = {}) => self.postMessage({ id, type, ...payload });
+
+/**
+ * In-place radix-2 FFT
+ * @param {Float32Array} real - Real part (overwritten)
+ * @param {Float32Array} imag - Imaginary part (overwritten)
+ */
+function fft(real, imag) {
+  const n = real.length;
+
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) {
+      j ^= bit;
+    }
+    j ^= bit;
+    if (i < j) {
+      [real[i], real[j]] = [real[j], real[i]];
+      [imag[i], imag[j]] = [imag[j], imag[i]];
+    }
+  }
+
+  for (let size = 2; size <= n; size <<= 1) {
+    const angle = -2 * Math.PI / size;
+    for (let start = 0; start < n; start += size) {
+      for (let k = 0; k < size / 2; k++) {
+        const cos = Math.cos(angle * k);
+        const sin = Math.sin(angle * k);
+        const evenIndex = start + k;
+        const oddIndex = evenIndex + size / 2;
+        const oddReal = real[oddIndex] * cos - imag[oddIndex] * sin;
+        const oddImag = real[oddIndex] * sin + imag[oddIndex] * cos;
+        real[oddIndex] = real[evenIndex] - oddReal;
+        imag[oddIndex] = imag[evenIndex] - oddImag;
+        real[evenIndex] += oddReal;
+        imag[evenIndex] += oddImag;
+      }
+    }
+  }
+}
+
+/**
+ * Build triangular mel filter ranges over the FFT bins
+ */
+function createMelFilters(sampleRate) {
+  const toMel = (hz) => 2595 * Math.log10(1 + hz / 700);
+  const fromMel = (mel) => 700 * (10 ** (mel / 2595) - 1);
+  const maxMel = toMel(Math.min(sampleRate / 2, 8000));
+  const minMel = toMel(80);
+
+  const bins = [];
+  for (let i = 0; i < MEL_BANDS + 2; i++) {
+    const hz = fromMel(minMel + (i / (MEL_BANDS + 1)) * (maxMel - minMel));
+    bins.push(Math.floor((FFT_SIZE + 1) * hz / sampleRate));
+  }
+
+  return Array.from({length: MEL_BANDS}, (_, band) => ({
+    start: bins[band],
+    peak: bins[band + 1],
+    end: bins[band + 2]
+  }));
+}
+
+/**
+ * Compute a voice fingerprint for a stretch of audio: mean and spread of log mel energies
+ */
+function computeSegmentFeatures(samples, sampleRate, startTime, endTime, filters) {
+  const startSample = Math.floor(startTime * sampleRate);
+  const endSample = Math.min(samples.length, Math.floor(endTime * sampleRate)) - FFT_SIZE;
+  if (endSample <= startSample) return null;
+
+  const frameCount = Math.min(MAX_FRAMES_PER_SEGMENT, Math.floor((endSample - startSample) / (FFT_SIZE / 2)) + 1);
+  const step = (endSample - startSample) / Math.max(1, frameCount - 1);
+
+  const sums = new Float64Array(MEL_BANDS);
+  const squares = new Float64Array(MEL_BANDS);
+  const real = new Float32Array(FFT_SIZE);
+  const imag = new Float32Array(FFT_SIZE);
+  let usedFrames = 0;
+
+  for (let frame = 0; frame < frameCount; frame++) {
+    const offset = Math.floor(startSample + frame * step);
+
+    let frameEnergy = 0;
+    for (let i = 0; i < FFT_SIZE; i++) {
+      const window = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (FFT_SIZE - 1)); // Hann window
+      real[i] = samples[offset + i] * window;
+      imag[i] = 0;
+      frameEnergy += real[i] * real[i];
+    }
+
+    // Skip silent frames, they say nothing about who is speaking
+    if (frameEnergy < 1e-6) continue;
+
+    fft(real, imag);
+
+    filters.forEach((filter, band) => {
+      let energy = 0;
+      for (let bin = filter.start; bin < filter.end; bin++) {
+        const weight = bin < filter.peak
+          ? (bin - filter.start) / Math.max(1, filter.peak - filter.start)
+          : (filter.end - bin) / Math.max(1, filter.end - filter.peak);
+        energy += weight * (real[bin] * real[bin] + imag[bin] * imag[bin]);
+      }
+      const logEnergy = Math.log(energy + 1e-10);
+      sums[band] += logEnergy;
+      squares[band] += logEnergy * logEnergy;
+    });
+    usedFrames++;
+  }
+
+  if (usedFrames === 0) return null;
+
+  const features = [];
+  for (let band = 0; band < MEL_BANDS; band++) {
+    const mean = sums[band] / usedFrames;
+    features.push(mean);
+    features.push(Math.sqrt(Math.max(0, squares[band] / usedFrames - mean * mean)));
+  }
+  return features;
+}
+
+const cosineDistance = (a, b) => {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  if (normA === 0 || normB === 0) return 1;
+  return 1 - dot / Math.sqrt(normA * normB);
+};
+
+/**
+ * Agglomerative (centroid linkage) clustering of feature vectors
+ * @returns {Array} - Clusters as { members, centroid }
+ */
+function clusterFeatures(vectors, {maxSpeakers, threshold}) {
+  const clusters = vectors.map((vector, index) => ({members: [index], centroid: vector, active: true}));
+
+  // Pairwise distances are cached so each merge only recomputes one row
+  const distances = clusters.map((a, i) => clusters.map((b, j) => (i === j ? Infinity : cosineDistance(a.centroid, b.centroid))));
+  let activeCount = clusters.length;
+
+  while (activeCount > 1) {
+    let bestPair = null;
+    let bestDistance = Infinity;
+
+    for (let i = 0; i < clusters.length; i++) {
+      if (!clusters[i].active) continue;
+      for (let j = i + 1; j < clusters.length; j++) {
+        if (clusters[j].active && distances[i][j] < bestDistance) {
+          bestDistance = distances[i][j];
+          bestPair = [i, j];
+        }
+      }
+    }
+
+    if (bestDistance > threshold && activeCount <= maxSpeakers) break;
+
+    const [i, j] = bestPair;
+    const a = clusters[i];
+    const b = clusters[j];
+    const total = a.members.length + b.members.length;
+    a.centroid = a.centroid.map((value, k) => (value * a.members.length + b.centroid[k] * b.members.length) / total);
+    a.members = [...a.members, ...b.members];
+    b.active = false;
+    activeCount--;
+
+    clusters.forEach((other, k) => {
+      if (k === i || !other.active) return;
+      const distance = cosineDistance(a.centroid, other.centroid);
+      distances[i][k] = distance;
+      distances[k][i] = distance;
+    });
+  }
+
+  return clusters.filter(cluster => cluster.active);
+}
+
+/**
+ * Assign every vector to a speaker, clustering at most MAX_CLUSTERED_VECTORS of them
+ * @returns {Array} - Cluster index for every vector
+ */
+function assignSpeakers(vectors, options) {
+  const step = Math.max(1, vectors.length / MAX_CLUSTERED_VECTORS);
+  const sampleIndexes = [];
+  for (let position = 0; position < vectors.length; position += step) {
+    sampleIndexes.push(Math.floor(position));
+  }
+
+  const clusters = clusterFeatures(sampleIndexes.map(index => vectors[index]), options);
+  const assignments = new Array(vectors.length);
+  clusters.forEach((cluster, clusterIndex) => {
+    cluster.members.forEach(member => {
+      assignments[sampleIndexes[member]] = clusterIndex;
+    });
+  });
+
+  for (let index = 0; index < vectors.length; index++) {
+    if (assignments[index] !== undefined) continue;
+    let nearest = 0;
+    let nearestDistance = Infinity;
+    clusters.forEach((cluster, clusterIndex) => {
+      const distance = cosineDistance(vectors[index], cluster.centroid);
+      if (distance < nearestDistance) {
+        nearestDistance = distance;
+        nearest = clusterIndex;
+      }
+    });
+    assignments[index] = nearest;
+  }
+  return assignments;
+}
+
+/**
+ * Group segments by voice
+ * @returns {Array} - Cluster index per segment, null for segments without usable audio
+ */
+const diarize = (id, { samples, sampleRate, segments, maxSpeakers, threshold }) => {
+  const filters = createMelFilters(sampleRate);
+  const features = segments.map((segment, index) => {
+    if (index % 50 === 0) post(id, 'progress', { progress: (index / segments.length) * 0.8 });
+    return computeSegmentFeatures(samples, sampleRate, segment.startTime, segment.endTime, filters);
+  });
+
+  // Normalize each dimension across the recording so loudness and channel effects cancel out
+  const valid = features.filter(Boolean);
+  if (valid.length === 0) return features.map(() => null);
+
+  const dimensions = valid[0].length;
+  const means = Array.from({length: dimensions}, (_, k) => valid.reduce((sum, vector) => sum + vector[k], 0) / valid.length);
+  const normalized = valid.map(vector => vector.map((value, k) => value - means[k]));
+
+  post(id, 'progress', { progress: 0.8 });
+  const assignments = assignSpeakers(normalized, { maxSpeakers, threshold });
+
+  let validIndex = 0;
+  return features.map(vector => (vector ? assignments[validIndex++] : null));
+};
+
+self.onmessage = ({ data }) => {
+  const { id } = data;
+  try {
+    post(id, 'result', { assignments: diarize(id, data) });
+  } catch (error) {
+    post(id, 'error', { message: error.message || String(error) });
+  }
+};
@@ -0,0 +1,125 @@
+import { pipeline, env, WhisperTextStreamer, Tensor } from '@huggingface/transformers';
+
+// Models always come from the Hugging Face hub and are kept in the browser cache
+env.allowLocalModels = false;
+env.useBrowserCache = true;
+
+const CHUNK_SECONDS = 30;
+const STRIDE_SECONDS = 5;
+const SAMPLE_RATE = 16000;
+
+let loaded = null;
+
+const post = (id, type, payload = {}) => self.postMessage({ id, type, ...payload });
+
+// Keep one model in memory; switching models releases the previous one
+const loadModel = async (id, model) => {
+  if (loaded && loaded.model === model) {
+    return loaded.transcriber;
+  }
+  if (loaded) {
+    await loaded.transcriber.dispose();
+    loaded = null;
+  }
+
+  const transcriber = await pipeline('automatic-speech-recognition', model, {
+    device: 'wasm',
+    dtype: 'q8',
+    progress_callback: (event) => {
+      if (event.status === 'progress') {
+        post(id, 'download', { file: event.file, loaded: event.loaded, total: event.total });
+      }
+    }
+  });
+
+  loaded = { model, transcriber };
+  return transcriber;
+};
+
+// Matches the windows the pipeline cuts the audio into, so finished windows can be reported as progress
+const countWindows = (sampleCount) => {
+  const window = CHUNK_SECONDS * SAMPLE_RATE;
+  const jump = (CHUNK_SECONDS - 2 * STRIDE_SECONDS) * SAMPLE_RATE;
+  return 1 + Math.ceil(Math.max(0, sampleCount - window) / jump);
+};
+
+const transcribe = async (id, { model, audio, language }) => {
+  const transcriber = await loadModel(id, model);
+  const totalWindows = countWindows(audio.length);
+  let finishedWindows = 0;
+
+  const output = await transcriber(audio, {
+    // English-only models reject the language and task options
+    ...(!model.endsWith('.en') && { language: language || null, task: 'transcribe' }),
+    chunk_length_s: CHUNK_SECONDS,
+    stride_length_s: STRIDE_SECONDS,
+    return_timestamps: true,
+    streamer: new WhisperTextStreamer(transcriber.tokenizer, {
+      skip_prompt: true,
+      on_finalize: () => {
+        finishedWindows++;
+        post(id, 'progress', { progress: Math.min(finishedWindows / totalWindows, 1) });
+      }
+    })
+  });
+
+  return output.chunks || [{ timestamp: [0, audio.length / SAMPLE_RATE], text: output.text }];
+};
+
+// Whisper's own language identification: the probability of each language token right after <|startoftranscript|>
+const detectLanguage = async (id, { model, audio }) => {
+  if (model.endsWith('.en')) {
+    throw new Error('English-only models cannot detect the language. Choose a multilingual model in Settings.');
+  }
+
+  const transcriber = await loadModel(id, model);
+  const { tokenizer, processor } = transcriber;
+  const vocabulary = tokenizer.model.tokens_to_ids;
+  const startToken = vocabulary.get('<|startoftranscript|>');
+  const languageTokens = [...vocabulary.entries()]
+    .map(([token, tokenId]) => ({ code: (token.match(/^<\|([a-z]{2,3})\|>$/) || [])[1], tokenId }))
+    .filter(({ code }) => code);
+
+  // Average the probabilities over up to four 30 second windows
+  const window = CHUNK_SECONDS * SAMPLE_RATE;
+  const windowCount = Math.min(4, Math.max(1, Math.ceil(audio.length / window)));
+  const totals = new Map();
+
+  for (let index = 0; index < windowCount; index++) {
+    const { input_features } = await processor(audio.subarray(index * window, (index + 1) * window));
+    const { logits } = await transcriber.model({
+      input_features,
+      decoder_input_ids: new Tensor('int64', [BigInt(startToken)], [1, 1])
+    });
+
+    const scores = languageTokens.map(({ tokenId }) => logits.data[tokenId]);
+    const max = Math.max(...scores);
+    const weights = scores.map(score => Math.exp(score - max));
+    const sum = weights.reduce((total, weight) => total + weight, 0);
+    languageTokens.forEach(({ code }, tokenIndex) => {
+      totals.set(code, (totals.get(code) || 0) + weights[tokenIndex] / sum / windowCount);
+    });
+    post(id, 'progress', { progress: (index + 1) / windowCount });
+  }
+
+  const [language, confidence] = [...totals.entries()].sort((a, b) => b[1] - a[1])[0];
+  return { language, confidence };
+};
+
+self.onmessage = async ({ data }) => {
+  const { id, type } = data;
+  try {
+    if (type === 'load') {
+      await loadModel(id, data.model);
+      post(id, 'result');
+    } else if (type === 'transcribe') {
+      post(id, 'result', { chunks: await transcribe(id, data) });
+    } else if (type === 'detect') {
+      post(id, 'result', { detection: await detectLanguage(id, data) });
+    } else {
+      throw new Error(`Unknown request: ${type}`);
+    }
+  } catch (error) {
+    post(id, 'error', { message: error.message || String(error) });
+  }
+};
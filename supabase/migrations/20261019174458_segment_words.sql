@@ -0,0 +1,3 @@
+-- Word-level timestamps [{ word, start, end, confidence }] as returned by the transcription provider
+alter table transcription_segments_73fk5a8d9s
+  add column if not exists words jsonb;
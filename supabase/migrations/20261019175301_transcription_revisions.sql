@@ -0,0 +1,18 @@
+-- Previous state of edited segments. segment_id has no foreign key so a segment's history
+-- is kept even when the segment itself is gone.
+create table if not exists transcription_revisions_73fk5a8d9s (
+  id uuid primary key default gen_random_uuid(),
+  transcription_id uuid not null references transcriptions_73fk5a8d9s (id) on delete cascade,
+  segment_id uuid not null,
+  user_id uuid not null references auth.users (id) on delete cascade,
+  previous jsonb,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists transcription_revisions_73fk5a8d9s_transcription_idx
+  on transcription_revisions_73fk5a8d9s (transcription_id, created_at desc);
+
+alter table transcription_revisions_73fk5a8d9s enable row level security;
+
+create policy "Users manage their own revisions" on transcription_revisions_73fk5a8d9s
+  for all using (auth.uid() = user_id) with check (auth.uid() = user_id);
@@ -0,0 +1,5 @@
+-- Splits insert segments and merges delete them; those changes are recorded as revisions too.
+-- Inserts have no previous state, deletes keep the removed segment in previous.
+alter table transcription_revisions_73fk5a8d9s
+  add column if not exists action text not null default 'update'
+  check (action in ('update', 'insert', 'delete'));
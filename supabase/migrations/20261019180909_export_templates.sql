@@ -0,0 +1,15 @@
+-- settings holds the template options (layout, sections, branding) as JSON
+create table if not exists export_templates_73fk5a8d9s (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users (id) on delete cascade,
+  name text not null,
+  is_default boolean not null default false,
+  settings jsonb not null default '{}'::jsonb,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+alter table export_templates_73fk5a8d9s enable row level security;
+
+create policy "Users manage their own export templates" on export_templates_73fk5a8d9s
+  for all using (auth.uid() = user_id) with check (auth.uid() = user_id);
@@ -0,0 +1,17 @@
+-- One stored translation per transcription and language; saving again replaces it
+create table if not exists transcription_translations_73fk5a8d9s (
+  id uuid primary key default gen_random_uuid(),
+  transcription_id uuid not null references transcriptions_73fk5a8d9s (id) on delete cascade,
+  user_id uuid not null references auth.users (id) on delete cascade,
+  language text not null,
+  provider text,
+  segments jsonb not null default '[]'::jsonb,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  unique (transcription_id, language)
+);
+
+alter table transcription_translations_73fk5a8d9s enable row level security;
+
+create policy "Users manage their own translations" on transcription_translations_73fk5a8d9s
+  for all using (auth.uid() = user_id) with check (auth.uid() = user_id);
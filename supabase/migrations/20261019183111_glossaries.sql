@@ -0,0 +1,18 @@
+-- Glossary replacements made in a segment, as [{ offset, term, original }]
+alter table transcription_segments_73fk5a8d9s
+  add column if not exists corrections jsonb;
+
+create table if not exists glossaries_73fk5a8d9s (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users (id) on delete cascade,
+  name text not null,
+  terms jsonb not null default '[]'::jsonb,
+  applies_to_all boolean not null default false,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+alter table glossaries_73fk5a8d9s enable row level security;
+
+create policy "Users manage their own glossaries" on glossaries_73fk5a8d9s
+  for all using (auth.uid() = user_id) with check (auth.uid() = user_id);